@@ -0,0 +1,127 @@
+/**
+ * Benchmark of flash throughput during an upgrade of a simulated T7.
+ *
+ * Upgrades a simulated Ethernet T7 once sending one flash chunk per rwMany
+ * call and once combining as many chunks per call as fit in a packet, then
+ * reports the calls made and the time taken by each. Each simulated call
+ * takes a fixed latency standing in for the network round trip.
+ *
+ * Usage: node flash-benchmark.js [imageKilobytes] [callLatencyMs]
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+var crypto = require('crypto');
+
+var driver_const = require('labjack-nodejs').driver_const;
+
+var labjack_t7_header = require('./labjack_t7_header');
+var labjack_t7_simulator = require('./labjack_t7_simulator');
+var labjack_t7_upgrade = require('./labjack_t7_upgrade');
+
+var DEFAULT_IMAGE_KILOBYTES = 32;
+var DEFAULT_CALL_LATENCY = 1;
+var SERIAL_NUMBER = 470010117;
+var IP_ADDRESS = '192.168.1.207';
+
+
+/**
+ * Create the contents of a firmware file with a single valid T7 image.
+ *
+ * @param {Number} imageLength The number of bytes in the image.
+ * @return {Buffer} The firmware file contents.
+**/
+var createFirmware = function (imageLength)
+{
+    var image = new Buffer(imageLength);
+    for (var i=0; i<imageLength; i++)
+        image[i] = i % 256;
+
+    var header = labjack_t7_header.serializeHeader({
+        headerCode: driver_const.T7_HEAD_FIRST_FOUR_BYTES,
+        intendedDevice: driver_const.T7_TARGET,
+        containedVersion: 1.0067,
+        numImgInFile: 1,
+        lenOfImg: imageLength,
+        imgOffset: driver_const.T7_IMG_HEADER_LENGTH,
+        numBytesInSHA: imageLength,
+        unencryptedSHA: crypto.createHash('sha1').update(image).digest()
+    });
+
+    return Buffer.concat([header, image]);
+};
+
+
+/**
+ * Upgrade a new simulated T7 and measure how long it took.
+ *
+ * @param {Buffer} firmware The firmware file contents.
+ * @param {Number} callLatency Milliseconds each simulated call takes.
+ * @param {Number} chunksPerCall The most chunks per call or undefined for as
+ *      many as fit in a packet.
+ * @return {q.promise} Promise that resolves to an object with the number of
+ *      rwMany calls made and the milliseconds the upgrade took.
+**/
+var runUpgrade = function (firmware, callLatency, chunksPerCall)
+{
+    var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+        serialNumber: SERIAL_NUMBER,
+        firmwareVersion: 1.0066,
+        connectionType: 'LJM_ctETHERNET',
+        ipAddress: IP_ADDRESS,
+        rebootTime: 0,
+        callLatency: callLatency
+    });
+    var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+    var device = new library.device();
+    device.openSync('LJM_dtT7', 'LJM_ctETHERNET', IP_ADDRESS);
+
+    var startTime = Date.now();
+    return labjack_t7_upgrade.updateFirmware(device, firmware, {
+        labjack: library,
+        enumeration: {pollInterval: 1},
+        chunksPerCall: chunksPerCall
+    })
+    .then(function () {
+        return {
+            calls: simulatedDevice.getNumCalls('rwMany'),
+            duration: Date.now() - startTime
+        };
+    });
+};
+
+
+var imageKilobytes = Number(process.argv[2]) || DEFAULT_IMAGE_KILOBYTES;
+var callLatency = process.argv[3] === undefined ?
+    DEFAULT_CALL_LATENCY : Number(process.argv[3]);
+var firmware = createFirmware(imageKilobytes * 1024);
+var results = {};
+
+var report = function (name, result) {
+    var kilobytesPerSecond = imageKilobytes * 1000 / result.duration;
+    console.log(name + ': ' + result.calls + ' rwMany calls, ' +
+        result.duration + ' ms, ' + kilobytesPerSecond.toFixed(1) +
+        ' KB/s of image');
+};
+
+console.log('Upgrading a ' + imageKilobytes + ' KB image with ' +
+    callLatency + ' ms per call.');
+
+runUpgrade(firmware, callLatency, 1)
+.then(function (result) {
+    results.unbatched = result;
+    report('One chunk per call', result);
+    return runUpgrade(firmware, callLatency);
+})
+.then(function (result) {
+    results.batched = result;
+    report('Chunks batched per packet', result);
+    console.log('Speed up: ' +
+        (results.unbatched.duration / results.batched.duration).toFixed(1) +
+        'x');
+})
+.fail(function (err) {
+    console.error('Benchmark failed: ' + err);
+    process.exit(1);
+});
@@ -0,0 +1,196 @@
+/**
+ * Exit codes and result reporting for the t7-upgrade command.
+ *
+ * Kept apart from bin/t7-upgrade, which parses arguments and opens a device
+ * when it is loaded, so the mapping from a failed upgrade to an exit code and
+ * the messages written for the result can be tested.
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+var labjack_t7_errors = require('./labjack_t7_errors');
+
+var EXIT_CODES = {
+    success: 0,
+    failure: 1,
+    open: 2,
+    read: 3,
+    check: 4,
+    erase: 5,
+    resume: 6,
+    write: 7,
+    verifyWrite: 8,
+    reboot: 9,
+    enumerate: 10,
+    verify: 11,
+    aborted: 12,
+    backup: 13
+};
+
+var UPGRADE_ERROR_ATTRIBUTES = [
+    'stage',
+    'code',
+    'address',
+    'flashState',
+    'report',
+    'serialNumber',
+    'waited',
+    'attempts'
+];
+
+var STAGE_DESCRIPTIONS = {
+    read: 'Reading firmware file',
+    check: 'Checking compatibility',
+    backup: 'Backing up installed firmware',
+    erase: 'Erasing flash',
+    resume: 'Checking resume point',
+    write: 'Writing flash',
+    verifyWrite: 'Verifying written flash',
+    reboot: 'Rebooting device',
+    enumerate: 'Waiting for device',
+    verify: 'Checking new firmware',
+    rollback: 'Rolling back to previous firmware'
+};
+
+
+/**
+ * Describe an error in a form that can be written as JSON.
+ *
+ * @param {Error} err The error to describe.
+ * @return {Object} Object with the error name, message and any of the
+ *      attributes in UPGRADE_ERROR_ATTRIBUTES.
+**/
+exports.describeError = function(err)
+{
+    var description = {
+        name: err instanceof Error ? err.name : 'Error',
+        message: err instanceof Error ? err.message : String(err)
+    };
+
+    UPGRADE_ERROR_ATTRIBUTES.forEach(function (name) {
+        if (err instanceof Object && err[name] !== undefined)
+            description[name] = err[name];
+    });
+
+    return description;
+};
+
+
+/**
+ * Describe the rollback after a failed upgrade.
+ *
+ * @param {Object} rollback The rollback attribute of the upgrade error.
+ * @return {Object} Object with the attempted and succeeded attributes and
+ *      either the firmwareVersion rolled back to or the described error. A
+ *      rollback that was not attempted also has its reason.
+**/
+exports.describeRollback = function(rollback)
+{
+    var description = {
+        attempted: rollback.attempted,
+        succeeded: rollback.succeeded
+    };
+
+    if (rollback.succeeded)
+        description.firmwareVersion = rollback.firmwareVersion;
+    else
+        description.error = exports.describeError(rollback.error);
+    if (rollback.reason)
+        description.reason = rollback.reason;
+
+    return description;
+};
+
+
+/**
+ * Determine the process exit code for a failed upgrade.
+ *
+ * @param {Error} err The error the upgrade failed with.
+ * @return {Number} The exit code for the stage that failed.
+**/
+exports.getExitCode = function(err)
+{
+    if (err instanceof labjack_t7_errors.UpgradeAbortedError)
+        return EXIT_CODES.aborted;
+    if (err instanceof Object && EXIT_CODES.hasOwnProperty(err.stage))
+        return EXIT_CODES[err.stage];
+    return EXIT_CODES.failure;
+};
+
+
+/**
+ * Describe the outcome of an upgrade.
+ *
+ * @param {Error} err The error the upgrade failed with or null on success.
+ * @param {Object} result Attributes to include in the result on success.
+ * @return {Object} Object with the exitCode to exit with, the result message
+ *      to report and its human readable text.
+**/
+exports.describeOutcome = function(err, result)
+{
+    var exitCode = err ? exports.getExitCode(err) : EXIT_CODES.success;
+    var message = {event: 'result', success: !err, exitCode: exitCode};
+    var text;
+
+    if (err) {
+        message.error = exports.describeError(err);
+        text = 'Upgrade failed';
+        if (message.error.stage)
+            text += ' during ' + message.error.stage;
+        text += ': ' + message.error.message;
+        if (err.flashState)
+            text += '\nFirmware flash was left ' + err.flashState + '.';
+        if (err.rollback) {
+            message.rollback = exports.describeRollback(err.rollback);
+            if (err.rollback.succeeded) {
+                text += '\nRolled back to firmware version ' +
+                    err.rollback.firmwareVersion + '.';
+            } else if (!err.rollback.attempted) {
+                text += '\nRollback not attempted: ' +
+                    message.rollback.reason;
+            } else {
+                text += '\nRollback failed: ' +
+                    message.rollback.error.message;
+            }
+        }
+    } else {
+        for (var name in result)
+            message[name] = result[name];
+        if (result.dryRun) {
+            text = 'Dry run passed. Firmware ' + result.currentVersion +
+                ' would be replaced with ' + result.newVersion + '.\n' +
+                'The upgrade would erase ' + result.erasePages.length +
+                ' flash pages, write ' + result.writeBytes + ' bytes in ' +
+                result.writeChunks + ' chunks and take about ' +
+                Math.ceil(result.estimatedDuration / 1000) + ' seconds.';
+        } else if (result.skipped) {
+            text = 'Firmware ' + result.firmwareVersion + ' is already ' +
+                'installed. Nothing was written.';
+        } else {
+            text = 'Upgrade complete. Firmware version ' +
+                result.firmwareVersion + '.';
+        }
+    }
+
+    return {exitCode: exitCode, message: message, text: text};
+};
+
+
+/**
+ * Format a message for the user as a single line.
+ *
+ * @param {Object} message Object with an event attribute naming the kind of
+ *      message and any other attributes describing it.
+ * @param {String} text The human readable form of the message.
+ * @param {Boolean} json True to format the message as JSON.
+ * @return {String} The line to write, ending in a newline.
+**/
+exports.formatMessage = function(message, text, json)
+{
+    return (json ? JSON.stringify(message) : text) + '\n';
+};
+
+
+exports.EXIT_CODES = EXIT_CODES;
+exports.STAGE_DESCRIPTIONS = STAGE_DESCRIPTIONS;
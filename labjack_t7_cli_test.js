@@ -0,0 +1,251 @@
+/**
+ * Unit tests for the t7-upgrade command exit codes and result reporting.
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+var labjack_t7_cli = require('./labjack_t7_cli');
+var labjack_t7_errors = require('./labjack_t7_errors');
+
+var EXIT_CODES = labjack_t7_cli.EXIT_CODES;
+
+
+module.exports = {
+
+	testExitCodeForEachStage: function(test)
+	{
+		var expectedCodes = {
+			open: 2,
+			read: 3,
+			check: 4,
+			erase: 5,
+			resume: 6,
+			write: 7,
+			verifyWrite: 8,
+			reboot: 9,
+			enumerate: 10,
+			verify: 11,
+			backup: 13
+		};
+
+		Object.keys(expectedCodes).forEach(function (stage) {
+			var err = new labjack_t7_errors.UpgradeError('Failed.',
+				{stage: stage});
+			test.equal(labjack_t7_cli.getExitCode(err), expectedCodes[stage],
+				stage);
+			test.equal(EXIT_CODES[stage], expectedCodes[stage], stage);
+		});
+		test.done();
+	},
+
+
+	testExitCodeForErrorClasses: function(test)
+	{
+		var errors = [
+			[new labjack_t7_errors.FirmwareFileError('Bad file.'), 3],
+			[new labjack_t7_errors.CompatibilityError('Wrong device.'), 4],
+			[new labjack_t7_errors.EraseError('Erase failed.'), 5],
+			[new labjack_t7_errors.WriteError('Write failed.'), 7],
+			[new labjack_t7_errors.VerifyError('Mismatch.'), 8],
+			[new labjack_t7_errors.RebootError('No reboot.'), 9],
+			[new labjack_t7_errors.EnumerationError('Not found.'), 10],
+			[new labjack_t7_errors.EnumerationTimeoutError(30000, 6, 1227),
+				10]
+		];
+
+		errors.forEach(function (pair) {
+			test.equal(labjack_t7_cli.getExitCode(pair[0]), pair[1],
+				pair[0].name);
+		});
+		test.done();
+	},
+
+
+	testExitCodeAborted: function(test)
+	{
+		var err = new labjack_t7_errors.UpgradeAbortedError('write');
+
+		test.equal(err.stage, 'write');
+		test.equal(labjack_t7_cli.getExitCode(err), EXIT_CODES.aborted);
+		test.equal(EXIT_CODES.aborted, 12);
+		test.done();
+	},
+
+
+	testExitCodeWithoutStage: function(test)
+	{
+		var rollbackErr = new labjack_t7_errors.UpgradeError('Failed.',
+			{stage: 'rollback'});
+
+		test.equal(labjack_t7_cli.getExitCode(new Error('Failed.')),
+			EXIT_CODES.failure);
+		test.equal(labjack_t7_cli.getExitCode('Failed.'), EXIT_CODES.failure);
+		test.equal(labjack_t7_cli.getExitCode(rollbackErr),
+			EXIT_CODES.failure);
+		test.equal(EXIT_CODES.failure, 1);
+		test.equal(EXIT_CODES.success, 0);
+		test.done();
+	},
+
+
+	testDescribeSuccess: function(test)
+	{
+		var outcome = labjack_t7_cli.describeOutcome(null, {
+			serialNumber: 470010117,
+			firmwareVersion: 1.0067,
+			skipped: false
+		});
+		var line = labjack_t7_cli.formatMessage(outcome.message, outcome.text,
+			true);
+
+		test.equal(outcome.exitCode, EXIT_CODES.success);
+		test.equal(outcome.text, 'Upgrade complete. Firmware version 1.0067.');
+		test.equal(line.indexOf('\n'), line.length - 1);
+		test.deepEqual(JSON.parse(line), {
+			event: 'result',
+			success: true,
+			exitCode: 0,
+			serialNumber: 470010117,
+			firmwareVersion: 1.0067,
+			skipped: false
+		});
+		test.equal(
+			labjack_t7_cli.formatMessage(outcome.message, outcome.text, false),
+			outcome.text + '\n'
+		);
+		test.done();
+	},
+
+
+	testDescribeSkipped: function(test)
+	{
+		var outcome = labjack_t7_cli.describeOutcome(null, {
+			serialNumber: 470010117,
+			firmwareVersion: 1.0067,
+			skipped: true
+		});
+
+		test.equal(outcome.exitCode, EXIT_CODES.success);
+		test.equal(outcome.text,
+			'Firmware 1.0067 is already installed. Nothing was written.');
+		test.done();
+	},
+
+
+	testDescribeFailure: function(test)
+	{
+		var err = new labjack_t7_errors.WriteError('Write failed.', {
+			serialNumber: 470010117,
+			address: 0x200000,
+			code: 1255
+		});
+		err.flashState = 'partially written';
+		err.rollback = {
+			attempted: true,
+			succeeded: true,
+			firmwareVersion: 1.0066
+		};
+		var outcome = labjack_t7_cli.describeOutcome(err);
+		var line = labjack_t7_cli.formatMessage(outcome.message, outcome.text,
+			true);
+
+		test.equal(outcome.exitCode, EXIT_CODES.write);
+		test.deepEqual(JSON.parse(line), {
+			event: 'result',
+			success: false,
+			exitCode: 7,
+			error: {
+				name: 'WriteError',
+				message: 'Write failed.',
+				stage: 'write',
+				code: 1255,
+				address: 0x200000,
+				flashState: 'partially written',
+				serialNumber: 470010117
+			},
+			rollback: {
+				attempted: true,
+				succeeded: true,
+				firmwareVersion: 1.0066
+			}
+		});
+		test.equal(outcome.text,
+			'Upgrade failed during write: Write failed.\n' +
+			'Firmware flash was left partially written.\n' +
+			'Rolled back to firmware version 1.0066.');
+		test.done();
+	},
+
+
+	testDescribeFailedRollback: function(test)
+	{
+		var err = new labjack_t7_errors.VerifyError('Wrong version.',
+			{stage: 'verify'});
+		err.rollback = {
+			attempted: true,
+			succeeded: false,
+			error: new labjack_t7_errors.EnumerationError('Not found.')
+		};
+		var outcome = labjack_t7_cli.describeOutcome(err);
+		var message = JSON.parse(labjack_t7_cli.formatMessage(
+			outcome.message, outcome.text, true));
+
+		test.equal(outcome.exitCode, EXIT_CODES.verify);
+		test.deepEqual(message.rollback, {
+			attempted: true,
+			succeeded: false,
+			error: {
+				name: 'EnumerationError',
+				message: 'Not found.',
+				stage: 'enumerate'
+			}
+		});
+		test.equal(outcome.text,
+			'Upgrade failed during verify: Wrong version.\n' +
+			'Rollback failed: Not found.');
+		test.done();
+	},
+
+
+	testDescribeSkippedRollback: function(test)
+	{
+		var err = new labjack_t7_errors.EnumerationTimeoutError(470010117,
+			1000, 3);
+		err.rollback = {
+			attempted: false,
+			succeeded: false,
+			reason: 'Device not found to reflash.',
+			error: new labjack_t7_errors.EnumerationTimeoutError(470010117,
+				500, 2)
+		};
+		var outcome = labjack_t7_cli.describeOutcome(err);
+
+		test.equal(outcome.exitCode, EXIT_CODES.enumerate);
+		test.equal(outcome.message.rollback.attempted, false);
+		test.equal(outcome.message.rollback.reason,
+			'Device not found to reflash.');
+		test.equal(outcome.message.rollback.error.name,
+			'EnumerationTimeoutError');
+		test.equal(outcome.text.split('\n')[1],
+			'Rollback not attempted: Device not found to reflash.');
+		test.done();
+	},
+
+
+	testDescribeNonUpgradeError: function(test)
+	{
+		var outcome = labjack_t7_cli.describeOutcome('Device not found.');
+
+		test.equal(outcome.exitCode, EXIT_CODES.failure);
+		test.deepEqual(outcome.message, {
+			event: 'result',
+			success: false,
+			exitCode: 1,
+			error: {name: 'Error', message: 'Device not found.'}
+		});
+		test.equal(outcome.text, 'Upgrade failed: Device not found.');
+		test.done();
+	}
+
+};
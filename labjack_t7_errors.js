@@ -0,0 +1,240 @@
+/**
+ * Errors raised while upgrading the firmware on a LabJack T7.
+ *
+ * Every error is an UpgradeError with stage, serialNumber, address and code
+ * attributes so that callers can tell where an upgrade failed and why without
+ * parsing error messages. Attributes that do not apply are left undefined.
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+var util = require('util');
+
+var FLASH_STATE_BY_STAGE = {
+    read: 'untouched',
+    check: 'untouched',
+    backup: 'untouched',
+    erase: 'partially erased',
+    resume: 'partially written',
+    write: 'partially written',
+    verifyWrite: 'written',
+    reboot: 'written'
+};
+
+
+/**
+ * Base class for errors raised while upgrading a device.
+ *
+ * @param {String} message Description of the problem.
+ * @param {Object} details Optional object with any of the following
+ *      attributes:
+ *      stage {String} The name of the upgrade stage that failed. Defaults to
+ *          the stage the error type is normally raised in.
+ *      serialNumber {Number} The serial number of the device being upgraded.
+ *      address {Number} The flash address being operated on.
+ *      code {Number} The LJM error code reported by the device or driver.
+ *      cause {Error} The lower level error that caused this one.
+**/
+function UpgradeError(message, details)
+{
+    details = details || {};
+
+    this.message = message;
+    if (details.stage !== undefined)
+        this.stage = details.stage;
+    this.serialNumber = details.serialNumber;
+    this.address = details.address;
+    this.code = details.code;
+    this.cause = details.cause;
+    Error.captureStackTrace(this, this.constructor);
+}
+util.inherits(UpgradeError, Error);
+UpgradeError.prototype.name = 'UpgradeError';
+UpgradeError.prototype.stage = undefined;
+exports.UpgradeError = UpgradeError;
+
+
+/**
+ * Error raised when a firmware file cannot be read or is corrupted.
+ *
+ * @param {String} message Description of the problem.
+ * @param {Object} details Optional details as described in UpgradeError.
+**/
+function FirmwareFileError(message, details)
+{
+    UpgradeError.call(this, message, details);
+}
+util.inherits(FirmwareFileError, UpgradeError);
+FirmwareFileError.prototype.name = 'FirmwareFileError';
+FirmwareFileError.prototype.stage = 'read';
+exports.FirmwareFileError = FirmwareFileError;
+
+
+/**
+ * Error raised when a firmware image may not be written to a device.
+ *
+ * @param {String} message Description of the problem.
+ * @param {Object} details Optional details as described in UpgradeError.
+**/
+function CompatibilityError(message, details)
+{
+    UpgradeError.call(this, message, details);
+}
+util.inherits(CompatibilityError, UpgradeError);
+CompatibilityError.prototype.name = 'CompatibilityError';
+CompatibilityError.prototype.stage = 'check';
+exports.CompatibilityError = CompatibilityError;
+
+
+/**
+ * Error raised when device flash could not be erased.
+ *
+ * @param {String} message Description of the problem.
+ * @param {Object} details Optional details as described in UpgradeError.
+**/
+function EraseError(message, details)
+{
+    UpgradeError.call(this, message, details);
+}
+util.inherits(EraseError, UpgradeError);
+EraseError.prototype.name = 'EraseError';
+EraseError.prototype.stage = 'erase';
+exports.EraseError = EraseError;
+
+
+/**
+ * Error raised when the firmware image could not be written to flash.
+ *
+ * @param {String} message Description of the problem.
+ * @param {Object} details Optional details as described in UpgradeError.
+**/
+function WriteError(message, details)
+{
+    UpgradeError.call(this, message, details);
+}
+util.inherits(WriteError, UpgradeError);
+WriteError.prototype.name = 'WriteError';
+WriteError.prototype.stage = 'write';
+exports.WriteError = WriteError;
+
+
+/**
+ * Error raised when flash or firmware on a device does not match what was
+ * expected, or when flash could not be read back to check it.
+ *
+ * @param {String} message Description of the problem.
+ * @param {Object} details Optional details as described in UpgradeError.
+**/
+function VerifyError(message, details)
+{
+    UpgradeError.call(this, message, details);
+}
+util.inherits(VerifyError, UpgradeError);
+VerifyError.prototype.name = 'VerifyError';
+VerifyError.prototype.stage = 'verifyWrite';
+exports.VerifyError = VerifyError;
+
+
+/**
+ * Error raised when a device could not be rebooted into its new firmware.
+ *
+ * @param {String} message Description of the problem.
+ * @param {Object} details Optional details as described in UpgradeError.
+**/
+function RebootError(message, details)
+{
+    UpgradeError.call(this, message, details);
+}
+util.inherits(RebootError, UpgradeError);
+RebootError.prototype.name = 'RebootError';
+RebootError.prototype.stage = 'reboot';
+exports.RebootError = RebootError;
+
+
+/**
+ * Error raised when a device could not be found or opened.
+ *
+ * @param {String} message Description of the problem.
+ * @param {Object} details Optional details as described in UpgradeError.
+**/
+function EnumerationError(message, details)
+{
+    UpgradeError.call(this, message, details);
+}
+util.inherits(EnumerationError, UpgradeError);
+EnumerationError.prototype.name = 'EnumerationError';
+EnumerationError.prototype.stage = 'enumerate';
+exports.EnumerationError = EnumerationError;
+
+
+/**
+ * Error raised when a device does not re-enumerate after it is rebooted.
+ *
+ * @param {Number} serialNumber The serial number of the device waited for.
+ * @param {Number} waited The number of milliseconds waited for the device.
+ * @param {Number} attempts The number of times the device was looked for.
+ * @param {Error} lastError The last error raised while listing or opening
+ *      the device or undefined if it was simply never found.
+**/
+function EnumerationTimeoutError(serialNumber, waited, attempts, lastError)
+{
+    EnumerationError.call(
+        this,
+        'Device ' + serialNumber + ' did not re-enumerate after ' + waited +
+            ' ms (' + attempts + ' attempts).',
+        {
+            serialNumber: serialNumber,
+            code: exports.getLJMErrorCode(lastError),
+            cause: lastError
+        }
+    );
+    this.waited = waited;
+    this.attempts = attempts;
+    this.lastError = lastError;
+}
+util.inherits(EnumerationTimeoutError, EnumerationError);
+EnumerationTimeoutError.prototype.name = 'EnumerationTimeoutError';
+exports.EnumerationTimeoutError = EnumerationTimeoutError;
+
+
+/**
+ * Error raised when an upgrade stops because it was aborted.
+ *
+ * @param {String} stage The name of the upgrade stage that was interrupted.
+ * @param {Object} details Optional details as described in UpgradeError.
+**/
+function UpgradeAbortedError(stage, details)
+{
+    var flashState = FLASH_STATE_BY_STAGE[stage];
+
+    UpgradeError.call(
+        this,
+        'Upgrade aborted during ' + stage + ' stage. Device firmware flash ' +
+            'left ' + flashState + '.',
+        details
+    );
+    this.stage = stage;
+    this.flashState = flashState;
+}
+util.inherits(UpgradeAbortedError, UpgradeError);
+UpgradeAbortedError.prototype.name = 'UpgradeAbortedError';
+exports.UpgradeAbortedError = UpgradeAbortedError;
+
+
+/**
+ * Get the LJM error code from an error reported by labjack-nodejs.
+ *
+ * @param {Number|Error} err The error passed to an onError callback or thrown
+ *      by a synchronous call.
+ * @return {Number} The LJM error code or undefined if the error does not
+ *      have one.
+**/
+exports.getLJMErrorCode = function(err)
+{
+    if (typeof err === 'number')
+        return err;
+    if (err instanceof Object && typeof err.code === 'number')
+        return err.code;
+    return undefined;
+};
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for LabJack T7 upgrade errors.
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+var labjack_t7_errors = require('./labjack_t7_errors');
+var labjack_t7_header = require('./labjack_t7_header');
+
+
+module.exports = {
+
+	testUpgradeErrorDetails: function(test)
+	{
+		var err = new labjack_t7_errors.WriteError('Write failed.', {
+			serialNumber: 470010117,
+			address: 0x200000,
+			code: 1255
+		});
+
+		test.ok(err instanceof Error);
+		test.ok(err instanceof labjack_t7_errors.UpgradeError);
+		test.equal(err.name, 'WriteError');
+		test.equal(err.message, 'Write failed.');
+		test.equal(err.stage, 'write');
+		test.equal(err.serialNumber, 470010117);
+		test.equal(err.address, 0x200000);
+		test.equal(err.code, 1255);
+		test.done();
+	},
+
+
+	testUpgradeErrorStage: function(test)
+	{
+		var err = new labjack_t7_errors.VerifyError('Wrong version.',
+			{stage: 'verify'});
+		var defaultErr = new labjack_t7_errors.VerifyError('Mismatch.');
+
+		test.equal(err.stage, 'verify');
+		test.equal(defaultErr.stage, 'verifyWrite');
+		test.equal(new labjack_t7_errors.FirmwareFileError('').stage, 'read');
+		test.equal(new labjack_t7_errors.CompatibilityError('').stage,
+			'check');
+		test.equal(new labjack_t7_errors.EraseError('').stage, 'erase');
+		test.equal(new labjack_t7_errors.RebootError('').stage, 'reboot');
+		test.equal(new labjack_t7_errors.EnumerationError('').stage,
+			'enumerate');
+		test.done();
+	},
+
+
+	testFirmwareHeaderError: function(test)
+	{
+		var err = new labjack_t7_header.FirmwareHeaderError('lenOfImg',
+			'Too short.', 8, 4);
+
+		test.ok(err instanceof labjack_t7_errors.FirmwareFileError);
+		test.equal(err.name, 'FirmwareHeaderError');
+		test.equal(err.message, 'lenOfImg: Too short.');
+		test.equal(err.stage, 'read');
+		test.equal(err.field, 'lenOfImg');
+		test.done();
+	},
+
+
+	testErrorStackTrace: function(test)
+	{
+		var errors = [
+			new labjack_t7_errors.UpgradeError('Failed.'),
+			new labjack_t7_errors.WriteError('Write failed.'),
+			new labjack_t7_errors.EnumerationTimeoutError(470010117, 30000, 6,
+				1239),
+			new labjack_t7_errors.UpgradeAbortedError('erase'),
+			new labjack_t7_header.FirmwareHeaderError('lenOfImg', 'Too short.')
+		];
+
+		errors.forEach(function (err) {
+			var lines = err.stack.split('\n');
+			test.equal(lines[0], err.name + ': ' + err.message);
+			// Constructor frames are left out so the stack starts here.
+			test.ok(lines[1].indexOf('labjack_t7_errors_test.js') != -1,
+				err.name);
+		});
+		test.done();
+	},
+
+
+	testEnumerationTimeoutError: function(test)
+	{
+		var err = new labjack_t7_errors.EnumerationTimeoutError(470010117,
+			30000, 6, 1239);
+
+		test.ok(err instanceof labjack_t7_errors.EnumerationError);
+		test.equal(err.stage, 'enumerate');
+		test.equal(err.serialNumber, 470010117);
+		test.equal(err.waited, 30000);
+		test.equal(err.attempts, 6);
+		test.equal(err.code, 1239);
+		test.done();
+	},
+
+
+	testUpgradeAbortedError: function(test)
+	{
+		var err = new labjack_t7_errors.UpgradeAbortedError('erase',
+			{serialNumber: 470010117});
+
+		test.ok(err instanceof labjack_t7_errors.UpgradeError);
+		test.equal(err.stage, 'erase');
+		test.equal(err.flashState, 'partially erased');
+		test.equal(err.serialNumber, 470010117);
+		test.done();
+	},
+
+
+	testGetLJMErrorCode: function(test)
+	{
+		var driverError = new Error('1255');
+		driverError.code = 1255;
+
+		test.equal(labjack_t7_errors.getLJMErrorCode(1239), 1239);
+		test.equal(labjack_t7_errors.getLJMErrorCode(driverError), 1255);
+		test.equal(labjack_t7_errors.getLJMErrorCode('Weird Error'),
+			undefined);
+		test.done();
+	}
+
+};
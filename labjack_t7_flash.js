@@ -0,0 +1,225 @@
+/**
+ * Layout of the LabJack T7 external flash.
+ *
+ * Describes the named regions of external flash along with the checks used to
+ * keep region erase, read and write requests inside their region before
+ * anything is sent to a device.
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+var util = require('util');
+
+var labjack_nodejs = require('labjack-nodejs');
+var driver_const = labjack_nodejs.driver_const;
+
+var labjack_t7_errors = require('./labjack_t7_errors');
+
+var FLASH_SIZE = 0x400000;
+var PAGE_SIZE = driver_const.T7_FLASH_PAGE_SIZE;
+var WORD_SIZE = 4;
+
+
+/**
+ * The regions of external flash whose bounds are known, in address order.
+ *
+ * Addresses, keys and erase page counts come from
+ * ljswitchboard-ljm_driver_constants (T7_EFAdd_*, T7_EFkey_* and
+ * T7_*_FLASH_PAGE_ERASE). Regions without a page count there are one page
+ * long because the next region starts one page later. The user and web space,
+ * upgrade log and SWDT settings have no documented size so are left out.
+ * Addresses between regions belong to no region. Protected regions hold
+ * calibration, configuration or recovery data that can not be restored from a
+ * firmware file, so are only erased or written when explicitly allowed.
+**/
+var REGIONS = [
+    {name: 'extFirmwareImage', start: driver_const.T7_EFAdd_ExtFirmwareImage,
+        size: driver_const.T7_IMG_FLASH_PAGE_ERASE * PAGE_SIZE,
+        key: driver_const.T7_EFkey_ExtFirmwareImage, isProtected: false},
+    {name: 'extFirmwareImgInfo',
+        start: driver_const.T7_EFAdd_ExtFirmwareImgInfo,
+        size: driver_const.T7_HDR_FLASH_PAGE_ERASE * PAGE_SIZE,
+        key: driver_const.T7_EFkey_ExtFirmwareImgInfo, isProtected: false},
+    {name: 'intFirmwareImgInfo',
+        start: driver_const.T7_EFAdd_IntFirmwareImgInfo,
+        size: driver_const.T7_HDR_FLASH_PAGE_ERASE * PAGE_SIZE,
+        key: driver_const.T7_EFkey_IntFirmwareImgInfo, isProtected: true},
+    {name: 'emerFirmwareImgInfo',
+        start: driver_const.T7_EFAdd_EmerFirmwareImgInfo,
+        size: driver_const.T7_HDR_FLASH_PAGE_ERASE * PAGE_SIZE,
+        key: driver_const.T7_EFkey_EmerFirmwareImgInfo, isProtected: true},
+    {name: 'startupSettings', start: driver_const.T7_EFAdd_StartupSettings,
+        size: PAGE_SIZE, key: driver_const.T7_EFkey_StartupSettings,
+        isProtected: true},
+    {name: 'deviceConfig', start: driver_const.T7_EFAdd_DeviceConfig,
+        size: PAGE_SIZE, key: driver_const.T7_EFkey_DeviceConfig,
+        isProtected: true},
+    {name: 'commSettings', start: driver_const.T7_EFAdd_CommSettings,
+        size: PAGE_SIZE, key: driver_const.T7_EFkey_CommSettings,
+        isProtected: true},
+    {name: 'deviceInfo', start: driver_const.T7_EFAdd_DeviceInfo,
+        size: PAGE_SIZE, key: driver_const.T7_EFkey_DeviceInfo,
+        isProtected: true},
+    {name: 'calValues', start: driver_const.T7_EFAdd_CalValues,
+        size: PAGE_SIZE, key: driver_const.T7_EFkey_CalValues,
+        isProtected: true},
+    {name: 'emerFirmwareImage', start: driver_const.T7_EFAdd_EmerFirmwareImage,
+        size: driver_const.T7_RECOVERY_IMG_FLASH_PAGE_ERASE * PAGE_SIZE,
+        key: driver_const.T7_EFkey_EmerFirmwareImage, isProtected: true}
+].map(function (region) {
+    region.pageSize = PAGE_SIZE;
+    return region;
+});
+
+
+/**
+ * Error raised when a flash region request is invalid.
+ *
+ * An UpgradeError raised before anything is sent to the device.
+ *
+ * @param {String} region The name of the region requested.
+ * @param {String} message Description of the problem.
+ * @param {Number} offset Optional byte offset into the region requested.
+ * @param {Number} length Optional number of bytes requested.
+**/
+function FlashRegionError(region, message, offset, length)
+{
+    labjack_t7_errors.UpgradeError.call(this, region + ': ' + message);
+    this.region = region;
+    this.offset = offset;
+    this.length = length;
+}
+util.inherits(FlashRegionError, labjack_t7_errors.UpgradeError);
+FlashRegionError.prototype.name = 'FlashRegionError';
+exports.FlashRegionError = FlashRegionError;
+
+
+/**
+ * Get the description of a named flash region.
+ *
+ * @param {String} name The name of the region, like 'extFirmwareImage'.
+ * @return {Object} Object with the name, start address, size in bytes, erase
+ *      page size in bytes, key and isProtected flag of the region.
+ * @throws {FlashRegionError} Thrown if there is no region with that name.
+**/
+exports.getRegion = function(name)
+{
+    var matching = REGIONS.filter(function (region) {
+        return region.name === name;
+    });
+
+    if (matching.length === 0)
+        throw new FlashRegionError(String(name), 'Unknown flash region.');
+
+    var region = {};
+    for (var attribute in matching[0])
+        region[attribute] = matching[0][attribute];
+    return region;
+};
+
+
+/**
+ * Get the description of every flash region.
+ *
+ * @return {Array} Array of regions as described in getRegion, in address
+ *      order.
+**/
+exports.getRegions = function()
+{
+    return REGIONS.map(function (region) {
+        return exports.getRegion(region.name);
+    });
+};
+
+
+/**
+ * Find the flash region that contains an address.
+ *
+ * @param {Number} address The flash address.
+ * @return {Object} The region as described in getRegion or null if the
+ *      address is outside flash or between regions.
+**/
+exports.findRegion = function(address)
+{
+    var matching = REGIONS.filter(function (region) {
+        return address >= region.start &&
+            address < region.start + region.size;
+    });
+    return matching.length > 0 ? exports.getRegion(matching[0].name) : null;
+};
+
+
+/**
+ * Check that a range of bytes lies inside a region and is aligned.
+ *
+ * @param {Object} region The region as described in getRegion.
+ * @param {Number} offset The byte offset of the range from the region start.
+ * @param {Number} length The number of bytes in the range.
+ * @param {Number} alignment The number of bytes that the offset and length
+ *      must both be multiples of.
+ * @return {Number} The flash address of the start of the range.
+ * @throws {FlashRegionError} Thrown if the range is empty, misaligned or
+ *      extends outside the region.
+**/
+exports.checkRange = function(region, offset, length, alignment)
+{
+    var isCount = function (value) {
+        return typeof value === 'number' && value >= 0 && value % 1 === 0;
+    };
+
+    if (!isCount(offset) || !isCount(length) || length === 0) {
+        throw new FlashRegionError(
+            region.name,
+            'Offset must be a whole number of bytes and length a positive ' +
+                'whole number of bytes.',
+            offset,
+            length
+        );
+    }
+
+    if (offset % alignment !== 0 || length % alignment !== 0) {
+        throw new FlashRegionError(
+            region.name,
+            'Offset ' + offset + ' and length ' + length + ' must be ' +
+                'multiples of ' + alignment + ' bytes.',
+            offset,
+            length
+        );
+    }
+
+    if (offset + length > region.size) {
+        throw new FlashRegionError(
+            region.name,
+            'Bytes ' + offset + ' to ' + (offset + length) + ' extend past ' +
+                'the end of the region at ' + region.size + '.',
+            offset,
+            length
+        );
+    }
+
+    return region.start + offset;
+};
+
+
+/**
+ * Check that a region may be erased or written.
+ *
+ * @param {Object} region The region as described in getRegion.
+ * @param {Boolean} allowProtected Optional flag that allows protected regions
+ *      to be erased or written. Defaults to false.
+ * @throws {FlashRegionError} Thrown if the region is protected and
+ *      allowProtected is not set.
+**/
+exports.checkWritable = function(region, allowProtected)
+{
+    if (region.isProtected && !allowProtected) {
+        throw new FlashRegionError(region.name,
+            'Region holds data that can not be restored from a firmware ' +
+                'file. Set allowProtected to erase or write it.');
+    }
+};
+
+
+exports.FLASH_SIZE = FLASH_SIZE;
+exports.WORD_SIZE = WORD_SIZE;
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for the LabJack T7 external flash layout.
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+var driver_const = require('labjack-nodejs').driver_const;
+
+var labjack_t7_flash = require('./labjack_t7_flash');
+
+
+module.exports = {
+
+	testRegionsFitInFlash: function(test)
+	{
+		var regions = labjack_t7_flash.getRegions();
+		var nextStart = 0;
+
+		regions.forEach(function (region) {
+			test.ok(region.start >= nextStart, region.name);
+			test.equal(region.start % region.pageSize, 0);
+			test.ok(region.size > 0);
+			test.equal(region.size % region.pageSize, 0);
+			nextStart = region.start + region.size;
+		});
+		test.ok(nextStart <= labjack_t7_flash.FLASH_SIZE);
+		test.done();
+	},
+
+
+	testGetRegion: function(test)
+	{
+		var image = labjack_t7_flash.getRegion('extFirmwareImage');
+		test.equal(image.start, driver_const.T7_EFAdd_ExtFirmwareImage);
+		test.equal(image.key, driver_const.T7_EFkey_ExtFirmwareImage);
+		test.equal(image.pageSize, driver_const.T7_FLASH_PAGE_SIZE);
+		test.equal(image.size, driver_const.T7_IMG_FLASH_PAGE_ERASE *
+			driver_const.T7_FLASH_PAGE_SIZE);
+		test.equal(image.isProtected, false);
+
+		var startup = labjack_t7_flash.getRegion('startupSettings');
+		test.equal(startup.start, driver_const.T7_EFAdd_StartupSettings);
+		test.equal(startup.size, driver_const.T7_FLASH_PAGE_SIZE);
+		test.equal(startup.isProtected, true);
+
+		// Changes to a returned region do not affect the table.
+		image.size = 0;
+		test.notEqual(labjack_t7_flash.getRegion('extFirmwareImage').size, 0);
+
+		test.throws(
+			function () { labjack_t7_flash.getRegion('bootloader'); },
+			function (err) {
+				return err instanceof labjack_t7_flash.FlashRegionError &&
+					err.region === 'bootloader';
+			}
+		);
+		test.done();
+	},
+
+
+	testFindRegion: function(test)
+	{
+		var image = labjack_t7_flash.getRegion('extFirmwareImage');
+		var emergency = labjack_t7_flash.getRegion('emerFirmwareImage');
+
+		labjack_t7_flash.getRegions().forEach(function (region) {
+			var last = region.start + region.size - labjack_t7_flash.WORD_SIZE;
+			test.equal(labjack_t7_flash.findRegion(region.start).name,
+				region.name);
+			test.equal(labjack_t7_flash.findRegion(last).name, region.name);
+		});
+
+		// Addresses between regions and outside flash belong to no region.
+		test.equal(labjack_t7_flash.findRegion(image.start + image.size),
+			null);
+		test.equal(labjack_t7_flash.findRegion(
+			driver_const.T7_EFAdd_ExtFirmwareImgInfo - 4), null);
+		test.equal(labjack_t7_flash.findRegion(
+			driver_const.T7_EFAdd_StartupSettings - 4), null);
+		test.equal(labjack_t7_flash.findRegion(
+			emergency.start + emergency.size), null);
+		test.equal(labjack_t7_flash.findRegion(labjack_t7_flash.FLASH_SIZE),
+			null);
+		test.equal(labjack_t7_flash.findRegion(-4), null);
+		test.done();
+	},
+
+
+	testCheckRange: function(test)
+	{
+		var region = labjack_t7_flash.getRegion('startupSettings');
+		var checkFails = function (offset, length, alignment) {
+			test.throws(
+				function () {
+					labjack_t7_flash.checkRange(region, offset, length,
+						alignment);
+				},
+				function (err) {
+					return err instanceof labjack_t7_flash.FlashRegionError &&
+						err.region === 'startupSettings' &&
+						err.offset === offset && err.length === length;
+				}
+			);
+		};
+
+		test.equal(labjack_t7_flash.checkRange(region, 8, 16, 4),
+			region.start + 8);
+		test.equal(labjack_t7_flash.checkRange(region, 0, region.size,
+			region.pageSize), region.start);
+
+		checkFails(2, 4, 4);
+		checkFails(0, 6, 4);
+		checkFails(0, 0, 4);
+		checkFails(-4, 4, 4);
+		checkFails(0.5, 4, 4);
+		checkFails(region.size - 4, 8, 4);
+		checkFails(0, 4, region.pageSize);
+		test.done();
+	},
+
+
+	testCheckWritable: function(test)
+	{
+		test.doesNotThrow(function () {
+			labjack_t7_flash.checkWritable(
+				labjack_t7_flash.getRegion('extFirmwareImage'));
+		});
+
+		[
+			'intFirmwareImgInfo',
+			'emerFirmwareImgInfo',
+			'startupSettings',
+			'deviceConfig',
+			'commSettings',
+			'deviceInfo',
+			'calValues',
+			'emerFirmwareImage'
+		].forEach(function (name) {
+			var region = labjack_t7_flash.getRegion(name);
+			test.throws(function () {
+				labjack_t7_flash.checkWritable(region);
+			}, labjack_t7_flash.FlashRegionError, name);
+			test.doesNotThrow(function () {
+				labjack_t7_flash.checkWritable(region, true);
+			}, name);
+		});
+		test.done();
+	}
+
+};
@@ -0,0 +1,407 @@
+/**
+ * Parsing and validation logic for LabJack T7 firmware file headers.
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+var path = require('path');
+var util = require('util');
+
+var labjack_nodejs = require('labjack-nodejs');
+var driver_const = labjack_nodejs.driver_const;
+
+var labjack_t7_errors = require('./labjack_t7_errors');
+
+var HEADER_LENGTH = driver_const.T7_IMG_HEADER_LENGTH;
+var HEADER_OPTIONS = 72;
+var SHA_LENGTH = 20;
+var RESERVED_LENGTH = 8;
+var NUM_CHECKSUM_WORDS = driver_const.HEADER_CHECKSUM / 4;
+var T7_TARGETS = [driver_const.T7_TARGET_OLD, driver_const.T7_TARGET];
+
+// Released firmware files are named like T7firmware_010067_2014-02-24.bin.
+var FILE_NAME_PATTERN = /^T7firmware_(\d{6})_(\d{4})-(\d{2})-(\d{2})\.bin$/;
+
+
+/**
+ * Description of every field in the 128 byte firmware image header.
+ *
+ * Fields are listed in the order that they appear in the header. Each entry
+ * has the name of the attribute on the parsed header object, the byte offset
+ * of the field, its length in bytes, and the function used to decode it.
+**/
+var HEADER_FIELDS = [
+    {name: 'headerCode', offset: driver_const.HEADER_CODE, length: 4,
+        read: 'readUInt32BE'},
+    {name: 'intendedDevice', offset: driver_const.HEADER_TARGET, length: 4,
+        read: 'readUInt32BE'},
+    {name: 'containedVersion', offset: driver_const.HEADER_VERSION, length: 4,
+        read: 'readVersion'},
+    {name: 'requiredUpgraderVersion', offset: driver_const.HEADER_REQ_LJSU,
+        length: 4, read: 'readVersion'},
+    {name: 'imageNumber', offset: driver_const.HEADER_IMAGE_NUM, length: 2,
+        read: 'readUInt16BE'},
+    {name: 'numImgInFile', offset: driver_const.HEADER_NUM_IMAGES, length: 2,
+        read: 'readUInt16BE'},
+    {name: 'startNextImg', offset: driver_const.HEADER_NEXT_IMG, length: 4,
+        read: 'readUInt32BE'},
+    {name: 'lenOfImg', offset: driver_const.HEADER_IMG_LEN, length: 4,
+        read: 'readUInt32BE'},
+    {name: 'imgOffset', offset: driver_const.HEADER_IMG_OFFSET, length: 4,
+        read: 'readUInt32BE'},
+    {name: 'numBytesInSHA', offset: driver_const.HEADER_SHA_BYTE_COUNT,
+        length: 4, read: 'readUInt32BE'},
+    {name: 'options', offset: HEADER_OPTIONS, length: 4, read: 'readUInt32BE'},
+    {name: 'encryptedSHA', offset: driver_const.HEADER_ENC_SHA1,
+        length: SHA_LENGTH, read: 'slice'},
+    {name: 'unencryptedSHA', offset: driver_const.HEADER_SHA1,
+        length: SHA_LENGTH, read: 'slice'},
+    {name: 'reserved', offset: driver_const.HEADER_RESERVED,
+        length: RESERVED_LENGTH, read: 'slice'},
+    {name: 'headerChecksum', offset: driver_const.HEADER_CHECKSUM, length: 4,
+        read: 'readUInt32BE'}
+];
+
+
+/**
+ * Error raised when a firmware file header is missing or invalid.
+ *
+ * A FirmwareFileError with the name of the offending header field.
+ *
+ * @param {String} field The name of the header field that failed to parse or
+ *      validate.
+ * @param {String} message Description of the problem.
+ * @param {Number} expected Optional value the field was expected to have.
+ * @param {Number} actual Optional value the field actually had.
+**/
+function FirmwareHeaderError(field, message, expected, actual)
+{
+    labjack_t7_errors.FirmwareFileError.call(this, field + ': ' + message);
+    this.field = field;
+    this.expected = expected;
+    this.actual = actual;
+    Error.captureStackTrace(this, this.constructor);
+}
+util.inherits(FirmwareHeaderError, labjack_t7_errors.FirmwareFileError);
+FirmwareHeaderError.prototype.name = 'FirmwareHeaderError';
+exports.FirmwareHeaderError = FirmwareHeaderError;
+
+
+/**
+ * Decode a single header field from the given buffer.
+ *
+ * @param {Buffer} buffer The buffer containing the header.
+ * @param {Number} start The offset within buffer that the header starts at.
+ * @param {Object} field Entry from HEADER_FIELDS describing the field.
+ * @return {Number|Buffer} The decoded field value.
+**/
+var readField = function (buffer, start, field)
+{
+    var position = start + field.offset;
+
+    if (field.read === 'slice')
+        return buffer.slice(position, position + field.length);
+    else if (field.read === 'readVersion')
+        return Number(buffer.readFloatBE(position).toFixed(4));
+    else
+        return buffer[field.read](position);
+};
+
+
+/**
+ * Calculate the checksum for a firmware image header.
+ *
+ * The checksum is the sum of every big endian 32 bit word in the header that
+ * precedes the headerChecksum field, truncated to 32 bits. Only the field's
+ * offset is documented (HEADER_CHECKSUM in ljswitchboard-ljm_driver_constants).
+ * The algorithm has not been confirmed against the LabJack file format
+ * specification or a release .bin file, so a mismatch on a release file may
+ * mean this function is wrong rather than the file.
+ *
+ * @param {Buffer} buffer The buffer containing the header.
+ * @param {Number} start Optional offset within buffer that the header starts
+ *      at. Defaults to 0.
+ * @return {Number} The unsigned 32 bit checksum.
+**/
+exports.calculateChecksum = function(buffer, start)
+{
+    start = start || 0;
+
+    var checksum = 0;
+    for (var i=0; i<NUM_CHECKSUM_WORDS; i++) {
+        checksum = (checksum + buffer.readUInt32BE(start + i*4)) >>> 0;
+    }
+
+    return checksum;
+};
+
+
+/**
+ * Parse every field of a firmware image header.
+ *
+ * @param {Buffer} buffer The buffer containing the header.
+ * @param {Number} start Optional offset within buffer that the header starts
+ *      at. Defaults to 0.
+ * @return {Object} Object with an attribute for every header field as well as
+ *      a rawImageInfo attribute with the raw 128 byte header.
+ * @throws {FirmwareHeaderError} Thrown if the buffer ends before the header
+ *      does. The error names the first field that could not be read.
+**/
+exports.parseHeader = function(buffer, start)
+{
+    start = start || 0;
+
+    var header = {};
+    HEADER_FIELDS.forEach(function (field) {
+        var fieldEnd = start + field.offset + field.length;
+        if (fieldEnd > buffer.length) {
+            throw new FirmwareHeaderError(
+                field.name,
+                'File truncated before the end of this header field.',
+                fieldEnd,
+                buffer.length
+            );
+        }
+        header[field.name] = readField(buffer, start, field);
+    });
+    header.rawImageInfo = buffer.slice(start, start + HEADER_LENGTH);
+
+    return header;
+};
+
+
+/**
+ * Check that a parsed header is self consistent and matches its file.
+ *
+ * @param {Object} header The header as returned by parseHeader.
+ * @param {Number} availableLength The number of bytes from the start of the
+ *      header to the start of the next image in the file or, for the last
+ *      image, to the end of the file.
+ * @throws {FirmwareHeaderError} Thrown if the header checksum does not match,
+ *      if the image does not start right after the header, if the image is not
+ *      made of whole 32 bit words, or if the file size does not match the
+ *      image length in the header.
+**/
+exports.validateHeader = function(header, availableLength)
+{
+    var checksum = exports.calculateChecksum(header.rawImageInfo);
+    if (checksum !== header.headerChecksum) {
+        throw new FirmwareHeaderError(
+            'headerChecksum',
+            'Header checksum does not match header contents.',
+            checksum,
+            header.headerChecksum
+        );
+    }
+
+    if (header.imgOffset !== HEADER_LENGTH) {
+        throw new FirmwareHeaderError(
+            'imgOffset',
+            'Image does not start immediately after the header.',
+            HEADER_LENGTH,
+            header.imgOffset
+        );
+    }
+
+    if (header.lenOfImg % 4 !== 0) {
+        throw new FirmwareHeaderError(
+            'lenOfImg',
+            'Image length is not a whole number of 32 bit words.',
+            header.lenOfImg - header.lenOfImg % 4,
+            header.lenOfImg
+        );
+    }
+
+    var expectedLength = header.imgOffset + header.lenOfImg;
+    if (expectedLength !== availableLength) {
+        throw new FirmwareHeaderError(
+            'lenOfImg',
+            'Image length does not match file size (file truncated?).',
+            expectedLength,
+            availableLength
+        );
+    }
+};
+
+
+/**
+ * Parse and validate every image in a firmware file.
+ *
+ * Firmware files may contain more than one image, each with its own header.
+ * The first header's numImgInFile field gives the number of images and each
+ * header's startNextImg field gives the file offset of the following image's
+ * header. The last image must end at the end of the file.
+ *
+ * @param {Buffer} buffer The full contents of the firmware file.
+ * @return {Array} Array with one object per image, in file order. Each object
+ *      has a header attribute containing the parsed header and an image
+ *      attribute containing the image payload.
+ * @throws {FirmwareHeaderError} Thrown if the file is truncated, if the image
+ *      chain is broken, or if any header is invalid.
+**/
+exports.parseFirmwareFile = function(buffer)
+{
+    var images = [];
+    var start = 0;
+    var numImages = null;
+
+    while (numImages === null || images.length < numImages) {
+        var header = exports.parseHeader(buffer, start);
+        var isLastImage;
+        var end;
+
+        if (numImages === null)
+            numImages = Math.max(header.numImgInFile, 1);
+        isLastImage = images.length === numImages - 1;
+
+        if (isLastImage) {
+            end = buffer.length;
+        } else if (header.startNextImg <= start) {
+            throw new FirmwareHeaderError(
+                'startNextImg',
+                'Image ' + images.length + ' of ' + numImages +
+                    ' does not point to a following image.',
+                undefined,
+                header.startNextImg
+            );
+        } else if (header.startNextImg > buffer.length) {
+            throw new FirmwareHeaderError(
+                'startNextImg',
+                'File truncated before the start of the next image.',
+                header.startNextImg,
+                buffer.length
+            );
+        } else {
+            end = header.startNextImg;
+        }
+
+        exports.validateHeader(header, end - start);
+
+        images.push({
+            header: header,
+            image: buffer.slice(
+                start + header.imgOffset,
+                start + header.imgOffset + header.lenOfImg
+            )
+        });
+
+        start = end;
+    }
+
+    return images;
+};
+
+
+/**
+ * Parse the firmware version and build date from a firmware file name.
+ *
+ * Released firmware files are named T7firmware_XXXXXX_YYYY-MM-DD.bin where
+ * XXXXXX is the firmware version times 10000 and YYYY-MM-DD is the build date.
+ * Only the file name is parsed so directory names may contain anything.
+ *
+ * @param {String} fileSrc The path or name of the firmware file.
+ * @return {Object} Object with version {Number} and buildDate {Date}
+ *      attributes or null if the name does not match the pattern or its build
+ *      date is not a real date.
+**/
+exports.parseFileName = function(fileSrc)
+{
+    var match = FILE_NAME_PATTERN.exec(path.basename(fileSrc));
+    if (match === null)
+        return null;
+
+    var year = Number(match[2]);
+    var month = Number(match[3]);
+    var day = Number(match[4]);
+    var buildDate = new Date(Date.UTC(year, month - 1, day));
+    var isRealDate = buildDate.getUTCFullYear() === year &&
+        buildDate.getUTCMonth() === month - 1 &&
+        buildDate.getUTCDate() === day;
+    if (!isRealDate)
+        return null;
+
+    return {
+        version: Number((Number(match[1]) / 10000).toFixed(4)),
+        buildDate: buildDate
+    };
+};
+
+
+/**
+ * Check that the version in a firmware file name matches the file's images.
+ *
+ * The header is authoritative. The file name is only checked if it matches
+ * the pattern described in parseFileName, and only against images intended
+ * for a T7.
+ *
+ * @param {Array} images The images as returned by parseFirmwareFile.
+ * @param {String} fileSrc The path or name of the firmware file.
+ * @throws {FirmwareHeaderError} Thrown for the containedVersion field if a T7
+ *      image contains a different version than the file name. The expected
+ *      value is the file name version and the actual value the header
+ *      version.
+**/
+exports.checkFileName = function(images, fileSrc)
+{
+    var fileName = exports.parseFileName(fileSrc);
+    if (fileName === null)
+        return;
+
+    images.forEach(function (image) {
+        var header = image.header;
+        if (T7_TARGETS.indexOf(header.intendedDevice) == -1)
+            return;
+
+        if (header.containedVersion !== fileName.version) {
+            throw new FirmwareHeaderError(
+                'containedVersion',
+                'Header version ' + header.containedVersion + ' does not ' +
+                    'match version ' + fileName.version + ' in file name ' +
+                    path.basename(fileSrc) + '.',
+                fileName.version,
+                header.containedVersion
+            );
+        }
+    });
+};
+
+
+/**
+ * Build a raw 128 byte header from a header object.
+ *
+ * Inverse of parseHeader. Fields missing from the provided object are left as
+ * zeros. The headerChecksum field is always recalculated.
+ *
+ * @param {Object} header Object with header fields named as in parseHeader.
+ * @return {Buffer} The raw header.
+**/
+exports.serializeHeader = function(header)
+{
+    var buffer = new Buffer(HEADER_LENGTH);
+    buffer.fill(0);
+
+    HEADER_FIELDS.forEach(function (field) {
+        var value = header[field.name];
+        if (value === undefined || field.name === 'headerChecksum')
+            return;
+
+        if (field.read === 'slice')
+            value.copy(buffer, field.offset, 0, field.length);
+        else if (field.read === 'readVersion')
+            buffer.writeFloatBE(value, field.offset);
+        else
+            buffer[field.read.replace('read', 'write')](value, field.offset);
+    });
+
+    buffer.writeUInt32BE(
+        exports.calculateChecksum(buffer),
+        driver_const.HEADER_CHECKSUM
+    );
+
+    return buffer;
+};
+
+
+exports.HEADER_LENGTH = HEADER_LENGTH;
+exports.HEADER_FIELDS = HEADER_FIELDS;
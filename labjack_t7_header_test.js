@@ -0,0 +1,253 @@
+/**
+ * Unit tests for LabJack T7 firmware header parsing and validation.
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+var driver_const = require('labjack-nodejs').driver_const;
+
+var labjack_t7_header = require('./labjack_t7_header');
+
+var TEST_IMAGE_LENGTH = 64;
+var TEST_VERSION = 1.0067;
+
+
+/**
+ * Create the contents of a single valid firmware image with its header.
+ *
+ * @param {Number} imageLength The number of bytes in the image payload.
+ * @param {Object} headerFields Optional header fields to override.
+ * @return {Buffer} Header followed by the image payload.
+**/
+function createFirmwareFile(imageLength, headerFields)
+{
+	var fields = {
+		headerCode: driver_const.T7_HEAD_FIRST_FOUR_BYTES,
+		intendedDevice: driver_const.T7_TARGET,
+		containedVersion: TEST_VERSION,
+		requiredUpgraderVersion: 0.2,
+		imageNumber: 0,
+		numImgInFile: 1,
+		lenOfImg: imageLength,
+		imgOffset: labjack_t7_header.HEADER_LENGTH,
+		numBytesInSHA: imageLength
+	};
+	for (var name in headerFields)
+		fields[name] = headerFields[name];
+
+	var header = labjack_t7_header.serializeHeader(fields);
+
+	var image = new Buffer(imageLength);
+	for (var i=0; i<imageLength; i++)
+		image[i] = i;
+
+	return Buffer.concat([header, image]);
+}
+
+
+/**
+ * Create the contents of a firmware file with two chained images.
+ *
+ * @return {Buffer} Both images with their headers.
+**/
+function createMultiImageFile()
+{
+	var firstLength = labjack_t7_header.HEADER_LENGTH + 32;
+	var first = createFirmwareFile(32, {
+		intendedDevice: driver_const.T7_RECOVERY_TARGET,
+		numImgInFile: 2,
+		startNextImg: firstLength
+	});
+	var second = createFirmwareFile(TEST_IMAGE_LENGTH, {
+		imageNumber: 1,
+		numImgInFile: 2
+	});
+	return Buffer.concat([first, second]);
+}
+
+
+module.exports = {
+
+	testParseFirmwareFile: function(test)
+	{
+		var file = createFirmwareFile(TEST_IMAGE_LENGTH);
+
+		var parsed = labjack_t7_header.parseFirmwareFile(file);
+		test.equal(parsed.length, 1);
+		parsed = parsed[0];
+		var header = parsed.header;
+
+		test.equal(header.headerCode, driver_const.T7_HEAD_FIRST_FOUR_BYTES);
+		test.equal(header.intendedDevice, driver_const.T7_TARGET);
+		test.equal(header.containedVersion, TEST_VERSION);
+		test.equal(header.requiredUpgraderVersion, 0.2);
+		test.equal(header.numImgInFile, 1);
+		test.equal(header.lenOfImg, TEST_IMAGE_LENGTH);
+		test.equal(header.imgOffset, labjack_t7_header.HEADER_LENGTH);
+		test.equal(header.numBytesInSHA, TEST_IMAGE_LENGTH);
+		test.equal(header.unencryptedSHA.length, 20);
+		test.equal(header.rawImageInfo.length, labjack_t7_header.HEADER_LENGTH);
+		test.equal(parsed.image.length, TEST_IMAGE_LENGTH);
+		test.equal(parsed.image[1], 1);
+		test.done();
+	},
+
+
+	testParseHeaderTruncated: function(test)
+	{
+		var file = createFirmwareFile(TEST_IMAGE_LENGTH);
+
+		test.throws(
+			function () {
+				labjack_t7_header.parseFirmwareFile(file.slice(0, 30));
+			},
+			function (err) {
+				return err instanceof labjack_t7_header.FirmwareHeaderError &&
+					err.field === 'imgOffset';
+			}
+		);
+		test.done();
+	},
+
+
+	testValidateHeaderChecksum: function(test)
+	{
+		var file = createFirmwareFile(TEST_IMAGE_LENGTH);
+		file.writeUInt32BE(driver_const.T7_TARGET_OLD,
+			driver_const.HEADER_TARGET);
+
+		test.throws(
+			function () { labjack_t7_header.parseFirmwareFile(file); },
+			function (err) { return err.field === 'headerChecksum'; }
+		);
+		test.done();
+	},
+
+
+	testValidateHeaderTruncatedImage: function(test)
+	{
+		var file = createFirmwareFile(TEST_IMAGE_LENGTH);
+
+		test.throws(
+			function () {
+				labjack_t7_header.parseFirmwareFile(
+					file.slice(0, file.length - 8));
+			},
+			function (err) {
+				return err.field === 'lenOfImg' &&
+					err.expected === file.length &&
+					err.actual === file.length - 8;
+			}
+		);
+		test.done();
+	},
+
+
+	testValidateHeaderImageOffset: function(test)
+	{
+		var file = createFirmwareFile(TEST_IMAGE_LENGTH);
+		var header = labjack_t7_header.parseHeader(file);
+		header.imgOffset = labjack_t7_header.HEADER_LENGTH + 4;
+		labjack_t7_header.serializeHeader(header).copy(file);
+
+		test.throws(
+			function () { labjack_t7_header.parseFirmwareFile(file); },
+			function (err) { return err.field === 'imgOffset'; }
+		);
+		test.done();
+	},
+
+
+	testParseMultiImageFile: function(test)
+	{
+		var file = createMultiImageFile();
+
+		var parsed = labjack_t7_header.parseFirmwareFile(file);
+
+		test.equal(parsed.length, 2);
+		test.equal(parsed[0].header.intendedDevice,
+			driver_const.T7_RECOVERY_TARGET);
+		test.equal(parsed[0].image.length, 32);
+		test.equal(parsed[1].header.imageNumber, 1);
+		test.equal(parsed[1].header.intendedDevice, driver_const.T7_TARGET);
+		test.equal(parsed[1].image.length, TEST_IMAGE_LENGTH);
+		test.equal(parsed[1].image[1], 1);
+		test.done();
+	},
+
+
+	testParseMultiImageFileBrokenChain: function(test)
+	{
+		var file = createMultiImageFile();
+		var header = labjack_t7_header.parseHeader(file);
+		header.startNextImg = 0;
+		labjack_t7_header.serializeHeader(header).copy(file);
+
+		test.throws(
+			function () { labjack_t7_header.parseFirmwareFile(file); },
+			function (err) { return err.field === 'startNextImg'; }
+		);
+		test.done();
+	},
+
+
+	testParseMultiImageFileTruncated: function(test)
+	{
+		var file = createMultiImageFile();
+
+		test.throws(
+			function () {
+				labjack_t7_header.parseFirmwareFile(
+					file.slice(0, file.length - 4));
+			},
+			function (err) { return err.field === 'lenOfImg'; }
+		);
+		test.done();
+	},
+
+
+	testParseFileName: function(test)
+	{
+		var parsed = labjack_t7_header.parseFileName(
+			'/home/lab_user/t7_firmware/T7firmware_010067_2014-02-24.bin');
+
+		test.equal(parsed.version, TEST_VERSION);
+		test.equal(parsed.buildDate.toISOString(), '2014-02-24T00:00:00.000Z');
+		test.equal(labjack_t7_header.parseFileName('firmware.bin'), null);
+		test.equal(labjack_t7_header.parseFileName(
+			'T7firmware_010067_2014-02-30.bin'), null);
+		test.equal(labjack_t7_header.parseFileName(
+			'T7firmware_10067_2014-02-24.bin'), null);
+		test.equal(labjack_t7_header.parseFileName(
+			'T7firmware_010067_2014-02-24.bin.bak'), null);
+		test.done();
+	},
+
+
+	testCheckFileName: function(test)
+	{
+		var images = labjack_t7_header.parseFirmwareFile(
+			createMultiImageFile());
+
+		test.doesNotThrow(function () {
+			labjack_t7_header.checkFileName(images,
+				'T7firmware_010067_2014-02-24.bin');
+			labjack_t7_header.checkFileName(images, 'renamed_010066.bin');
+		});
+		test.throws(
+			function () {
+				labjack_t7_header.checkFileName(images,
+					'T7firmware_010066_2014-02-24.bin');
+			},
+			function (err) {
+				return err instanceof labjack_t7_header.FirmwareHeaderError &&
+					err.field === 'containedVersion' &&
+					err.expected === 1.0066 &&
+					err.actual === TEST_VERSION;
+			}
+		);
+		test.done();
+	}
+
+};
@@ -0,0 +1,24 @@
+/**
+ * Constants from LJM and the Modbus feedback protocol it uses to talk to a T7.
+ *
+ * Shared by the upgrader and the simulated T7 so both agree on packet sizes
+ * and error codes.
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+// Modbus feedback packets carry an 8 byte header and 4 bytes per frame.
+exports.FEEDBACK_HEADER_BYTES = 8;
+exports.FEEDBACK_FRAME_BYTES = 4;
+
+// LJM errors, from LabJackM.h
+exports.LJME_MBE2_ILLEGAL_DATA_ADDRESS = 1202;
+exports.LJME_MBE3_ILLEGAL_DATA_VALUE = 1203;
+exports.LJME_DEVICE_NOT_OPEN = 1224;
+exports.LJME_DEVICE_NOT_FOUND = 1227;
+exports.LJME_RECONNECT_FAILED = 1239;
+exports.LJME_NO_COMMAND_BYTES_SENT = 1253;
+exports.LJME_INCORRECT_NUM_COMMAND_BYTES_SENT = 1254;
+exports.LJME_NO_RESPONSE_BYTES_RECEIVED = 1255;
+exports.LJME_INCORRECT_NUM_RESPONSE_BYTES_RECEIVED = 1256;
@@ -0,0 +1,844 @@
+/**
+ * Simulated LabJack T7 for testing firmware upgrades without hardware.
+ *
+ * SimulatedT7 models the external flash of a T7 along with the registers used
+ * to erase, write and read it and to request a firmware upgrade. It implements
+ * the parts of the labjack-nodejs device interface used by the upgrader so it
+ * can be passed anywhere a device is expected. createLibrary builds a stand-in
+ * for labjack-nodejs that can find and reopen simulated devices after they
+ * reboot.
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+var crypto = require('crypto');
+
+var labjack_nodejs = require('labjack-nodejs');
+
+var labjack_t7_flash = require('./labjack_t7_flash');
+var labjack_t7_header = require('./labjack_t7_header');
+var labjack_t7_ljm = require('./labjack_t7_ljm');
+
+var driver_const = labjack_nodejs.driver_const;
+var connection_types = driver_const.connectionTypes;
+var device_types = driver_const.deviceTypes;
+
+var ERASED_WORD = 0xFFFFFFFF;
+var DEFAULT_REBOOT_TIME = 10;
+var USB_MAX_BYTES_PER_MB = 64;
+var NETWORK_MAX_BYTES_PER_MB = 1040;
+
+var NAMED_REGISTERS = {
+    SERIAL_NUMBER: 60028,
+    FIRMWARE_VERSION: 60004
+};
+
+var T7_TARGETS = [driver_const.T7_TARGET_OLD, driver_const.T7_TARGET];
+var DEFAULT_CORRUPT_MASK = 0x1;
+
+
+/**
+ * Create an error like the ones labjack-nodejs reports for LJM errors.
+ *
+ * @param {Number} code The LJM error code.
+ * @return {Error} Error with the code as its code attribute and message.
+**/
+var createDriverError = function (code)
+{
+    var error = new Error(String(code));
+    error.code = code;
+    return error;
+};
+
+
+/**
+ * Convert a device or connection type name to its LJM number.
+ *
+ * @param {String|Number} value A name like 'LJM_ctUSB' or an LJM number.
+ * @param {Object} types driver_const.connectionTypes or deviceTypes.
+ * @return {Number} The LJM number for the type.
+**/
+var toTypeNumber = function (value, types)
+{
+    if (typeof value === 'string' && isNaN(value))
+        return types[value];
+    return Number(value);
+};
+
+
+/**
+ * Model of the external flash memory on a T7.
+ *
+ * Flash is stored sparsely as 32 bit words. Words that have never been written
+ * read as erased (0xFFFFFFFF).
+**/
+function SimulatedFlash()
+{
+    var words = {};
+
+    /**
+     * Get the key needed to erase or write the given address.
+     *
+     * @param {Number} address The flash address.
+     * @return {Number} The key for the region containing the address or null
+     *      if the address may not be erased or written.
+    **/
+    this.getKey = function(address)
+    {
+        var region = labjack_t7_flash.findRegion(address);
+        return region ? region.key : null;
+    };
+
+    /**
+     * Determine if an address is a word aligned address within flash.
+     *
+     * @param {Number} address The flash address.
+     * @return {Boolean} True if the address may be read.
+    **/
+    this.isValidAddress = function(address)
+    {
+        return address >= 0 && address < labjack_t7_flash.FLASH_SIZE &&
+            address % 4 === 0;
+    };
+
+    /**
+     * Erase the flash page containing an address.
+     *
+     * @param {Number} address Address of the start of the page.
+    **/
+    this.erasePage = function(address)
+    {
+        for (var i=0; i<driver_const.T7_FLASH_PAGE_SIZE; i+=4)
+            delete words[address + i];
+    };
+
+    /**
+     * Write a word to flash.
+     *
+     * Like real flash, writing can only clear bits. A page must be erased
+     * before a word in it can be set to an arbitrary value.
+     *
+     * @param {Number} address The word aligned flash address.
+     * @param {Number} value The unsigned 32 bit value to write.
+    **/
+    this.writeWord = function(address, value)
+    {
+        words[address] = (this.readWord(address) & value) >>> 0;
+    };
+
+    /**
+     * Read a word from flash.
+     *
+     * @param {Number} address The word aligned flash address.
+     * @return {Number} The unsigned 32 bit value at that address.
+    **/
+    this.readWord = function(address)
+    {
+        if (words.hasOwnProperty(address))
+            return words[address];
+        return ERASED_WORD;
+    };
+
+    /**
+     * Read a region of flash.
+     *
+     * @param {Number} address The word aligned address to start reading at.
+     * @param {Number} length The number of bytes to read.
+     * @return {Buffer} The flash contents with each word stored big endian.
+    **/
+    this.read = function(address, length)
+    {
+        var buffer = new Buffer(length);
+        for (var i=0; i<length; i+=4)
+            buffer.writeUInt32BE(this.readWord(address + i), i);
+        return buffer;
+    };
+}
+exports.SimulatedFlash = SimulatedFlash;
+
+
+/**
+ * Simulated T7 that can be erased, written, read and upgraded.
+ *
+ * The simulated device starts with one handle open. Requesting a firmware
+ * upgrade reboots it: the device disappears for options.rebootTime
+ * milliseconds, then installs the image in external flash if its header and
+ * SHA-1 are valid and reports the new FIRMWARE_VERSION. Callbacks are always
+ * called asynchronously like those of labjack-nodejs and, like labjack-nodejs,
+ * errors thrown by callbacks are caught rather than propagated (see
+ * getCallbackErrors). Failures can be scripted with injectFault.
+ *
+ * @param {Object} options Optional object with the following attributes:
+ *      serialNumber {Number} Defaults to 470010000.
+ *      firmwareVersion {Number} The installed firmware version. Defaults to
+ *          1.0.
+ *      connectionType {Number|String} The connection the device is reachable
+ *          over. Defaults to USB.
+ *      ipAddress {String} Defaults to '0.0.0.0'.
+ *      rebootTime {Number} Milliseconds the device is gone for while it
+ *          reboots. Defaults to 10.
+ *      maxPacketBytes {Number} The largest rwMany command or response the
+ *          device accepts. Defaults to the maxBytesPerMB reported for its
+ *          connection.
+ *      callLatency {Number} Milliseconds each device call takes to call back,
+ *          standing in for the round trip to a real device. Defaults to 0.
+**/
+function SimulatedT7(options)
+{
+    var self = this;
+
+    options = options || {};
+
+    var serialNumber = options.serialNumber || 470010000;
+    var firmwareVersion = Math.fround(options.firmwareVersion || 1.0);
+    var connectionType = toTypeNumber(
+        options.connectionType || connection_types.LJM_ctUSB,
+        connection_types
+    );
+    var ipAddress = options.ipAddress || '0.0.0.0';
+    var rebootTime = options.rebootTime === undefined ?
+        DEFAULT_REBOOT_TIME : options.rebootTime;
+    var maxBytesPerMB = connectionType === connection_types.LJM_ctUSB ?
+        USB_MAX_BYTES_PER_MB : NETWORK_MAX_BYTES_PER_MB;
+    var maxPacketBytes = options.maxPacketBytes || maxBytesPerMB;
+    var callLatency = options.callLatency || 0;
+
+    var flash = new SimulatedFlash();
+    var numOpenHandles = 1;
+    var isRebooting = false;
+    var numReboots = 0;
+    var keyRegister = 0;
+    var readPointer = 0;
+    var writePointer = 0;
+    var isDisconnected = false;
+    var faults = [];
+    var callbackErrors = [];
+    var numCalls = {};
+
+    /**
+     * Call a callback on a later turn of the event loop.
+    **/
+    var later = function (callback, value) {
+        var call = function () {
+            try {
+                callback(value);
+            } catch (err) {
+                callbackErrors.push(err);
+            }
+        };
+
+        if (callLatency > 0)
+            setTimeout(call, callLatency);
+        else
+            setImmediate(call);
+    };
+
+    /**
+     * Install the image in external flash if it is valid.
+     *
+     * @return {Boolean} True if the image was installed.
+    **/
+    var installImage = function () {
+        var imageInfo = flash.read(
+            driver_const.T7_EFAdd_ExtFirmwareImgInfo,
+            driver_const.T7_IMG_HEADER_LENGTH
+        );
+        var header = labjack_t7_header.parseHeader(imageInfo);
+        var checksum = labjack_t7_header.calculateChecksum(imageInfo);
+
+        var headerValid = checksum === header.headerChecksum &&
+            header.headerCode === driver_const.T7_HEAD_FIRST_FOUR_BYTES &&
+            T7_TARGETS.indexOf(header.intendedDevice) != -1 &&
+            header.numBytesInSHA <= header.lenOfImg;
+        if (!headerValid)
+            return false;
+
+        var image = flash.read(
+            driver_const.T7_EFAdd_ExtFirmwareImage,
+            header.numBytesInSHA + (4 - header.numBytesInSHA % 4) % 4
+        );
+        var actualSHA = crypto.createHash('sha1')
+            .update(image.slice(0, header.numBytesInSHA))
+            .digest('hex');
+        if (actualSHA !== header.unencryptedSHA.toString('hex'))
+            return false;
+
+        // Like a real T7, the version is held as a 32 bit float.
+        firmwareVersion = Math.fround(header.containedVersion);
+        return true;
+    };
+
+    var findFault = function (type) {
+        var matching = faults.filter(function (fault) {
+            return fault.type === type;
+        });
+        return matching.length > 0 ? matching[0] : null;
+    };
+
+    // Reboot faults count reboots rather than calls.
+    var findRebootFault = function (type) {
+        var fault = findFault(type);
+        if (!fault)
+            return null;
+        fault.calls++;
+        if (fault.reboots !== undefined && fault.calls > fault.reboots)
+            return null;
+        return fault;
+    };
+
+    var reboot = function () {
+        var slowReboot = findRebootFault('slowReboot');
+        isRebooting = true;
+        setTimeout(function () {
+            if (findRebootFault('noEnumerate'))
+                return;
+
+            installImage();
+            var wrongVersion = findRebootFault('wrongVersion');
+            if (wrongVersion)
+                firmwareVersion = Math.fround(wrongVersion.firmwareVersion);
+            numReboots++;
+            isRebooting = false;
+        }, slowReboot ? slowReboot.rebootTime : rebootTime);
+    };
+
+    /**
+     * Check that a device operation may be performed.
+     *
+     * @return {Number} LJM error code or null if the device is available.
+    **/
+    var getAvailabilityError = function () {
+        if (numOpenHandles === 0)
+            return labjack_t7_ljm.LJME_DEVICE_NOT_OPEN;
+        if (isDisconnected)
+            return labjack_t7_ljm.LJME_RECONNECT_FAILED;
+        if (isRebooting)
+            return labjack_t7_ljm.LJME_DEVICE_NOT_FOUND;
+        return null;
+    };
+
+    var resolveAddress = function (address) {
+        if (typeof address === 'string')
+            return NAMED_REGISTERS[address];
+        return address;
+    };
+
+    var disconnect = function (duration) {
+        isDisconnected = true;
+        if (duration !== undefined) {
+            setTimeout(function () {
+                isDisconnected = false;
+            }, duration);
+        }
+    };
+
+    /**
+     * Count a device call against the injected error and disconnect faults.
+     *
+     * @param {String} operation The name of the device function called.
+     * @param {Array} addresses The registers the call accesses.
+     * @return {Number} LJM error code the call should fail with or null if it
+     *      should be performed.
+    **/
+    var triggerFaults = function (operation, addresses) {
+        var error = null;
+        addresses = addresses.map(resolveAddress);
+
+        faults.forEach(function (fault) {
+            var isTriggered = fault.type === 'error' ||
+                fault.type === 'disconnect';
+            var operationMatches = fault.operation === undefined ||
+                fault.operation === operation;
+            var registerMatches = fault.register === undefined ||
+                addresses.indexOf(resolveAddress(fault.register)) != -1;
+            if (!isTriggered || !operationMatches || !registerMatches)
+                return;
+
+            fault.calls++;
+            var firstCall = fault.call || 1;
+            var lastCall = firstCall + (fault.count || 1) - 1;
+            if (fault.calls < firstCall || fault.calls > lastCall)
+                return;
+
+            if (fault.type === 'disconnect') {
+                disconnect(fault.duration);
+                error = error || labjack_t7_ljm.LJME_RECONNECT_FAILED;
+            } else {
+                error = error || fault.code;
+            }
+        });
+
+        return error;
+    };
+
+    /**
+     * Check that a device call may be performed and count it against the
+     * injected faults.
+     *
+     * @return {Number} LJM error code or null if the call should be performed.
+    **/
+    var startCall = function (operation, addresses) {
+        numCalls[operation] = (numCalls[operation] || 0) + 1;
+        return getAvailabilityError() || triggerFaults(operation, addresses);
+    };
+
+    var corruptWord = function (address, value) {
+        faults.forEach(function (fault) {
+            if (fault.type === 'corruptWrite' && fault.address === address) {
+                var mask = fault.mask === undefined ?
+                    DEFAULT_CORRUPT_MASK : fault.mask;
+                value = (value ^ mask) >>> 0;
+            }
+        });
+        return value;
+    };
+
+    /**
+     * Perform a single register read.
+     *
+     * @return {Object} Object with either an error attribute with an LJM
+     *      error code or a value attribute.
+    **/
+    var readRegister = function (address) {
+        address = resolveAddress(address);
+
+        if (address === NAMED_REGISTERS.SERIAL_NUMBER)
+            return {value: serialNumber};
+        if (address === NAMED_REGISTERS.FIRMWARE_VERSION)
+            return {value: firmwareVersion};
+        if (address === driver_const.T7_MA_EXF_READ) {
+            if (!flash.isValidAddress(readPointer))
+                return {error: labjack_t7_ljm.LJME_MBE3_ILLEGAL_DATA_VALUE};
+            var value = flash.readWord(readPointer);
+            readPointer += 4;
+            return {value: value};
+        }
+
+        return {error: labjack_t7_ljm.LJME_MBE2_ILLEGAL_DATA_ADDRESS};
+    };
+
+    /**
+     * Perform a single register write.
+     *
+     * @return {Number} LJM error code or null on success.
+    **/
+    var writeRegister = function (address, value) {
+        address = resolveAddress(address);
+
+        if (address === driver_const.T7_MA_EXF_KEY) {
+            keyRegister = value;
+        } else if (address === driver_const.T7_MA_EXF_pREAD) {
+            readPointer = value;
+        } else if (address === driver_const.T7_MA_EXF_pWRITE) {
+            writePointer = value;
+        } else if (address === driver_const.T7_MA_EXF_ERASE) {
+            var pageOffset = value % driver_const.T7_FLASH_PAGE_SIZE;
+            if (!flash.isValidAddress(value) || pageOffset !== 0)
+                return labjack_t7_ljm.LJME_MBE3_ILLEGAL_DATA_VALUE;
+            if (flash.getKey(value) === null ||
+                flash.getKey(value) !== keyRegister) {
+                return labjack_t7_ljm.LJME_MBE3_ILLEGAL_DATA_VALUE;
+            }
+            flash.erasePage(value);
+        } else if (address === driver_const.T7_MA_EXF_WRITE) {
+            if (!flash.isValidAddress(writePointer))
+                return labjack_t7_ljm.LJME_MBE3_ILLEGAL_DATA_VALUE;
+            if (flash.getKey(writePointer) === null ||
+                flash.getKey(writePointer) !== keyRegister) {
+                return labjack_t7_ljm.LJME_MBE3_ILLEGAL_DATA_VALUE;
+            }
+            flash.writeWord(writePointer, corruptWord(writePointer, value));
+            writePointer += 4;
+        } else if (address === driver_const.T7_MA_REQ_FWUPG) {
+            if (value !== driver_const.T7_REQUEST_FW_UPGRADE)
+                return labjack_t7_ljm.LJME_MBE3_ILLEGAL_DATA_VALUE;
+            reboot();
+        } else {
+            return labjack_t7_ljm.LJME_MBE2_ILLEGAL_DATA_ADDRESS;
+        }
+
+        return null;
+    };
+
+    this.write = function(address, value, onError, onSuccess)
+    {
+        var error = startCall('write', [address]) ||
+            writeRegister(address, value);
+        if (error)
+            later(onError, error);
+        else
+            later(onSuccess);
+    };
+
+    this.writeMany = function(addresses, values, onError, onSuccess)
+    {
+        var error = startCall('writeMany', addresses);
+        for (var i=0; i<addresses.length && !error; i++)
+            error = writeRegister(addresses[i], values[i]);
+
+        if (error)
+            later(onError, error);
+        else
+            later(onSuccess);
+    };
+
+    // Packets that are too big are rejected before any frame is run.
+    var checkPacketSize = function (directions, numValues) {
+        var commandBytes = labjack_t7_ljm.FEEDBACK_HEADER_BYTES +
+            directions.length * labjack_t7_ljm.FEEDBACK_FRAME_BYTES;
+        var responseBytes = labjack_t7_ljm.FEEDBACK_HEADER_BYTES;
+
+        directions.forEach(function (direction, frame) {
+            if (direction === driver_const.LJM_WRITE)
+                commandBytes += numValues[frame] * 4;
+            else
+                responseBytes += numValues[frame] * 4;
+        });
+
+        if (commandBytes > maxPacketBytes)
+            return labjack_t7_ljm.LJME_INCORRECT_NUM_COMMAND_BYTES_SENT;
+        if (responseBytes > maxPacketBytes)
+            return labjack_t7_ljm.LJME_INCORRECT_NUM_RESPONSE_BYTES_RECEIVED;
+        return null;
+    };
+
+    this.rwMany = function(addresses, directions, numValues, values, onError,
+        onSuccess)
+    {
+        var error = startCall('rwMany', addresses) ||
+            checkPacketSize(directions, numValues);
+        var results = [];
+        var valueIndex = 0;
+
+        for (var frame=0; frame<addresses.length && !error; frame++) {
+            for (var i=0; i<numValues[frame] && !error; i++) {
+                if (directions[frame] === driver_const.LJM_WRITE) {
+                    error = writeRegister(addresses[frame], values[valueIndex]);
+                } else {
+                    var result = readRegister(addresses[frame]);
+                    error = result.error;
+                    results.push(result.value);
+                }
+                valueIndex++;
+            }
+        }
+
+        if (error)
+            later(onError, error);
+        else
+            later(onSuccess, results);
+    };
+
+    this.read = function(address, onError, onSuccess)
+    {
+        var error = startCall('read', [address]);
+        var result = error ? {error: error} : readRegister(address);
+        if (result.error)
+            later(onError, result.error);
+        else
+            later(onSuccess, result.value);
+    };
+
+    this.readSync = function(address)
+    {
+        var error = startCall('readSync', [address]);
+        var result = error ? {error: error} : readRegister(address);
+        if (result.error)
+            throw createDriverError(result.error);
+        return result.value;
+    };
+
+    this.getHandleInfo = function(onError, onSuccess)
+    {
+        var error = startCall('getHandleInfo', []);
+        if (error)
+            later(onError, error);
+        else
+            later(onSuccess, self.getDeviceInfo());
+    };
+
+    this.closeSync = function()
+    {
+        if (numOpenHandles === 0)
+            throw createDriverError(labjack_t7_ljm.LJME_DEVICE_NOT_OPEN);
+
+        // Like labjack-nodejs, the device is closed even if closing fails.
+        var error = triggerFaults('closeSync', []);
+        numOpenHandles--;
+        if (error)
+            throw createDriverError(error);
+    };
+
+    /**
+     * Open another handle to the simulated device. The device stays open
+     * until closeSync has been called once for every handle.
+     *
+     * @throws {Error} Thrown with LJME_DEVICE_NOT_FOUND while the device is
+     *      rebooting or disconnected.
+    **/
+    this.open = function()
+    {
+        if (!self.isAvailable())
+            throw createDriverError(labjack_t7_ljm.LJME_DEVICE_NOT_FOUND);
+        numOpenHandles++;
+    };
+
+    /**
+     * Determine if the device can currently be found by listAll.
+     *
+     * @return {Boolean} False while the device is rebooting or disconnected.
+    **/
+    this.isAvailable = function()
+    {
+        return !isRebooting && !isDisconnected;
+    };
+
+    /**
+     * Script a failure.
+     *
+     * Faults stay in effect until clearFaults is called. Calls are counted
+     * from when the fault is injected.
+     *
+     * @param {Object} fault Object with a type attribute and the attributes
+     *      for that type:
+     *      error: Fail calls with an LJM error.
+     *          code {Number} The LJM error code to fail with.
+     *          operation {String} The device function to fail, like 'rwMany'.
+     *              Defaults to any function.
+     *          register {Number|String} Only count calls that access this
+     *              register. Defaults to any register.
+     *          call {Number} The first matching call to fail, starting at 1.
+     *              Defaults to 1.
+     *          count {Number} The number of consecutive matching calls to
+     *              fail. Defaults to 1.
+     *      disconnect: Drop the connection on a call. The call and every later
+     *          call fail with LJME_RECONNECT_FAILED and the device can not be
+     *          found or opened. Takes the operation, register and call
+     *          attributes of error faults and:
+     *          duration {Number} Milliseconds until the device reconnects.
+     *              Defaults to never reconnecting.
+     *      corruptWrite: Flip bits in a word as it is written to flash.
+     *          address {Number} The flash address of the word.
+     *          mask {Number} The bits to flip. Defaults to 0x1.
+     *      noEnumerate: Never come back after a reboot.
+     *          reboots {Number} The number of reboots to affect. Defaults to
+     *              every reboot.
+     *      slowReboot: Stay gone for longer while rebooting.
+     *          rebootTime {Number} Milliseconds the device is gone for.
+     *          reboots {Number} The number of reboots to affect. Defaults to
+     *              every reboot.
+     *      wrongVersion: Report the wrong firmware version after a reboot.
+     *          firmwareVersion {Number} The version to report.
+     *          reboots {Number} The number of reboots to affect. Defaults to
+     *              every reboot.
+    **/
+    this.injectFault = function(fault)
+    {
+        var injected = {calls: 0};
+        for (var name in fault)
+            injected[name] = fault[name];
+        faults.push(injected);
+    };
+
+    /**
+     * Remove every injected fault and reconnect the device if it was
+     * disconnected.
+    **/
+    this.clearFaults = function()
+    {
+        faults = [];
+        isDisconnected = false;
+    };
+
+    /**
+     * Get a description of the device like listAll and getHandleInfo report.
+     *
+     * @return {Object} Object with deviceType, connectionType, serialNumber,
+     *      ipAddress, port and maxBytesPerMB attributes.
+    **/
+    this.getDeviceInfo = function()
+    {
+        var isUSB = connectionType === connection_types.LJM_ctUSB;
+        return {
+            deviceType: device_types.LJM_dtT7,
+            connectionType: connectionType,
+            serialNumber: serialNumber,
+            ipAddress: ipAddress,
+            port: isUSB ? 0 : 502,
+            maxBytesPerMB: maxBytesPerMB
+        };
+    };
+
+    /**
+     * Get the firmware version the device is running.
+     *
+     * @return {Number} The installed firmware version as the 32 bit float
+     *      the device reports.
+    **/
+    this.getFirmwareVersion = function()
+    {
+        return firmwareVersion;
+    };
+
+    /**
+     * Get the number of times the device has finished rebooting.
+     *
+     * @return {Number} The number of completed reboots.
+    **/
+    this.getNumReboots = function()
+    {
+        return numReboots;
+    };
+
+    /**
+     * Get the errors thrown by callbacks passed to this device.
+     *
+     * @return {Array} The errors in the order they were thrown.
+    **/
+    this.getCallbackErrors = function()
+    {
+        return callbackErrors;
+    };
+
+    /**
+     * Get the number of calls made to a device function, including calls
+     * that failed.
+     *
+     * @param {String} operation The device function, like 'rwMany'.
+     * @return {Number} The number of calls made.
+    **/
+    this.getNumCalls = function(operation)
+    {
+        return numCalls[operation] || 0;
+    };
+
+    /**
+     * Get the model of the device's external flash.
+     *
+     * @return {SimulatedFlash} The flash model.
+    **/
+    this.getFlash = function()
+    {
+        return flash;
+    };
+}
+exports.SimulatedT7 = SimulatedT7;
+
+
+/**
+ * Create a stand-in for labjack-nodejs that finds simulated devices.
+ *
+ * The returned object has driver and device constructors like labjack-nodejs.
+ * driver.listAll reports the simulated devices that are not rebooting and
+ * device.openSync connects to one of them. Pass it as the labjack option of
+ * updateFirmware or upgradeFleet.
+ *
+ * @param {Array} devices The SimulatedT7 devices that can be found.
+ * @return {Object} Object with driver_const, driver and device attributes and
+ *      a getNumOpenDevices function that returns the number of devices opened
+ *      through the library and not yet closed.
+**/
+exports.createLibrary = function(devices)
+{
+    var openDevices = [];
+
+    var matches = function (device, deviceType, connectionType, identifier) {
+        var info = device.getDeviceInfo();
+        deviceType = toTypeNumber(deviceType, device_types);
+        connectionType = toTypeNumber(connectionType, connection_types);
+
+        var typeMatches = deviceType === device_types.LJM_dtANY ||
+            deviceType === info.deviceType;
+        var connectionMatches = connectionType === connection_types.LJM_ctANY ||
+            connectionType === info.connectionType;
+        var identifierMatches = identifier === undefined ||
+            identifier === 'LJM_idANY' ||
+            String(identifier) === String(info.serialNumber) ||
+            String(identifier) === info.ipAddress;
+
+        return device.isAvailable() && typeMatches && connectionMatches &&
+            identifierMatches;
+    };
+
+    function SimulatedDriver()
+    {
+        this.listAll = function(deviceType, connectionType, onError, onSuccess)
+        {
+            var found = devices.filter(function (device) {
+                return matches(device, deviceType, connectionType);
+            }).map(function (device) {
+                var info = device.getDeviceInfo();
+                return {
+                    deviceType: info.deviceType,
+                    connectionType: info.connectionType,
+                    serialNumber: info.serialNumber,
+                    ipAddress: info.ipAddress
+                };
+            });
+
+            setImmediate(function () { onSuccess(found); });
+        };
+    }
+
+    function SimulatedDevice()
+    {
+        var self = this;
+
+        this.openSync = function(deviceType, connectionType, identifier)
+        {
+            var found = devices.filter(function (device) {
+                return matches(device, deviceType, connectionType, identifier);
+            });
+            if (found.length === 0)
+                throw createDriverError(labjack_t7_ljm.LJME_DEVICE_NOT_FOUND);
+
+            var device = found[0];
+            var isClosed = false;
+            device.open();
+            openDevices.push(self);
+
+            // A closed handle fails its own calls while other handles to the
+            // same device keep working.
+            ['write', 'writeMany', 'rwMany', 'read',
+                'getHandleInfo'].forEach(function (name) {
+                self[name] = function () {
+                    if (!isClosed) {
+                        device[name].apply(device, arguments);
+                        return;
+                    }
+                    var onError = arguments[arguments.length - 2];
+                    setImmediate(function () {
+                        onError(labjack_t7_ljm.LJME_DEVICE_NOT_OPEN);
+                    });
+                };
+            });
+
+            self.readSync = function (address) {
+                if (isClosed) {
+                    throw createDriverError(
+                        labjack_t7_ljm.LJME_DEVICE_NOT_OPEN);
+                }
+                return device.readSync(address);
+            };
+
+            // Each handle can only be closed once.
+            self.closeSync = function () {
+                if (isClosed) {
+                    throw createDriverError(
+                        labjack_t7_ljm.LJME_DEVICE_NOT_OPEN);
+                }
+                isClosed = true;
+                openDevices.splice(openDevices.indexOf(self), 1);
+                device.closeSync();
+            };
+        };
+    }
+
+    return {
+        driver_const: driver_const,
+        driver: SimulatedDriver,
+        device: SimulatedDevice,
+        getNumOpenDevices: function () { return openDevices.length; }
+    };
+};
@@ -0,0 +1,1299 @@
+/**
+ * Unit tests for the simulated LabJack T7.
+ *
+ * @author Chris Johnson (chrisjohn404)
+ * @author Sam Pottinger (samnsparky)
+**/
+
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var driver_const = require('labjack-nodejs').driver_const;
+var connection_types = driver_const.connectionTypes;
+
+var labjack_t7_header = require('./labjack_t7_header');
+var labjack_t7_simulator = require('./labjack_t7_simulator');
+var labjack_t7_upgrade = require('./labjack_t7_upgrade');
+
+var TEST_SERIAL_NUMBER = 470010117;
+var TEST_IMAGE_LENGTH = 256;
+var TEST_FIRMWARE_VERSION = 1.0067;
+
+
+/**
+ * Write a firmware file with a single valid T7 image to a temporary directory.
+ *
+ * @param {Number} firmwareVersion Optional version of the firmware in the
+ *      file. Defaults to TEST_FIRMWARE_VERSION.
+ * @return {String} The path of the firmware file, named as a release would be.
+**/
+function writeFirmwareFile(firmwareVersion)
+{
+	firmwareVersion = firmwareVersion || TEST_FIRMWARE_VERSION;
+	var versionDigits = String(Math.round(firmwareVersion * 10000));
+	var fileName = 'T7firmware_' + ('000000' + versionDigits).slice(-6) +
+		'_2014-02-24.bin';
+
+	var image = new Buffer(TEST_IMAGE_LENGTH);
+	for (var i=0; i<TEST_IMAGE_LENGTH; i++)
+		image[i] = i % 256;
+
+	var header = labjack_t7_header.serializeHeader({
+		headerCode: driver_const.T7_HEAD_FIRST_FOUR_BYTES,
+		intendedDevice: driver_const.T7_TARGET,
+		containedVersion: firmwareVersion,
+		numImgInFile: 1,
+		lenOfImg: TEST_IMAGE_LENGTH,
+		imgOffset: driver_const.T7_IMG_HEADER_LENGTH,
+		numBytesInSHA: TEST_IMAGE_LENGTH,
+		unencryptedSHA: crypto.createHash('sha1').update(image).digest()
+	});
+
+	var filePath = path.join(os.tmpdir(), fileName);
+	fs.writeFileSync(filePath, Buffer.concat([header, image]));
+	return filePath;
+}
+
+
+/**
+ * Upgrade a simulated device with faults injected and check how it fails.
+ *
+ * Also checks that no error was thrown, and so lost, in a device callback.
+ *
+ * @param {Object} test The nodeunit test.
+ * @param {Array} faults The faults to inject into the device.
+ * @param {Object} options Additional options to pass to updateFirmware.
+ * @param {function} checkError Function called with the error the upgrade
+ *      failed with and the simulated device.
+**/
+function testUpgradeFailure(test, faults, options, checkError)
+{
+	var filePath = writeFirmwareFile();
+	var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+		serialNumber: TEST_SERIAL_NUMBER,
+		firmwareVersion: 1.0066
+	});
+	var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+	var device = new library.device();
+	device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+
+	var upgradeOptions = {labjack: library, enumeration: {pollInterval: 5}};
+	for (var name in options)
+		upgradeOptions[name] = options[name];
+
+	faults.forEach(simulatedDevice.injectFault);
+
+	labjack_t7_upgrade.updateFirmware(device, filePath, upgradeOptions)
+	.then(function () {
+		test.ok(false, 'Upgrade succeeded despite faults.');
+	}, function (err) {
+		checkError(err, simulatedDevice);
+	})
+	.fin(function () {
+		test.deepEqual(simulatedDevice.getCallbackErrors(), []);
+		fs.unlinkSync(filePath);
+		test.done();
+	});
+}
+
+
+/**
+ * Upgrade a simulated device that has firmware in flash to back up with
+ * faults injected and check how the upgrade and its rollback fail.
+ *
+ * The device is first upgraded to version 1.0066 without faults, so its
+ * reboot count includes that upgrade.
+ *
+ * @param {Object} test The nodeunit test.
+ * @param {Array} faults The faults to inject into the device.
+ * @param {Object} options Additional options to pass to updateFirmware along
+ *      with the rollback option.
+ * @param {function} checkError Function called with the error the upgrade
+ *      failed with and the simulated device.
+**/
+function testRollbackFromBackupFailure(test, faults, options, checkError)
+{
+	var oldFilePath = writeFirmwareFile(1.0066);
+	var filePath = writeFirmwareFile();
+	var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+		serialNumber: TEST_SERIAL_NUMBER,
+		firmwareVersion: 1.0065
+	});
+	var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+	var device = new library.device();
+	device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+
+	var upgradeOptions = {
+		labjack: library,
+		enumeration: {pollInterval: 5},
+		rollback: true
+	};
+	for (var name in options)
+		upgradeOptions[name] = options[name];
+
+	labjack_t7_upgrade.updateFirmware(device, oldFilePath, {
+		labjack: library,
+		enumeration: {pollInterval: 5}
+	})
+	.then(function (bundle) {
+		faults.forEach(simulatedDevice.injectFault);
+		return labjack_t7_upgrade.updateFirmware(bundle.getDevice(), filePath,
+			upgradeOptions);
+	})
+	.then(function () {
+		test.ok(false, 'Upgrade succeeded despite faults.');
+	}, function (err) {
+		checkError(err, simulatedDevice);
+	})
+	.fin(function () {
+		test.deepEqual(simulatedDevice.getCallbackErrors(), []);
+		fs.unlinkSync(oldFilePath);
+		fs.unlinkSync(filePath);
+		test.done();
+	});
+}
+
+
+module.exports = {
+
+	testEraseAndWriteFlash: function(test)
+	{
+		var device = new labjack_t7_simulator.SimulatedT7();
+		var address = driver_const.T7_EFAdd_ExtFirmwareImage;
+		var key = driver_const.T7_EFkey_ExtFirmwareImage;
+
+		device.writeMany(
+			[driver_const.T7_MA_EXF_KEY, driver_const.T7_MA_EXF_ERASE,
+				driver_const.T7_MA_EXF_KEY, driver_const.T7_MA_EXF_pWRITE],
+			[key, address, key, address],
+			function (err) {
+				test.ok(false, 'Erase failed: ' + err);
+				test.done();
+			},
+			function () {
+				device.rwMany(
+					[driver_const.T7_MA_EXF_WRITE],
+					[driver_const.LJM_WRITE],
+					[2],
+					[0x12345678, 0x0F0F0F0F],
+					function (err) {
+						test.ok(false, 'Write failed: ' + err);
+						test.done();
+					},
+					function () {
+						var flash = device.getFlash();
+						test.equal(flash.readWord(address), 0x12345678);
+						test.equal(flash.readWord(address + 4), 0x0F0F0F0F);
+						test.equal(flash.readWord(address + 8), 0xFFFFFFFF);
+						test.done();
+					}
+				);
+			}
+		);
+	},
+
+
+	testWrongKeyRejected: function(test)
+	{
+		var device = new labjack_t7_simulator.SimulatedT7();
+		var address = driver_const.T7_EFAdd_ExtFirmwareImage;
+
+		device.writeMany(
+			[driver_const.T7_MA_EXF_KEY, driver_const.T7_MA_EXF_ERASE],
+			[driver_const.T7_EFkey_ExtFirmwareImgInfo, address],
+			function (err) {
+				test.equal(err, 1203);
+				test.done();
+			},
+			function () {
+				test.ok(false, 'Erased with the wrong key.');
+				test.done();
+			}
+		);
+	},
+
+
+	testReadFlash: function(test)
+	{
+		var device = new labjack_t7_simulator.SimulatedT7();
+		var address = driver_const.T7_EFAdd_ExtFirmwareImgInfo;
+		var flash = device.getFlash();
+
+		flash.erasePage(address);
+		flash.writeWord(address + 4, 0xCAFEBABE);
+
+		device.rwMany(
+			[driver_const.T7_MA_EXF_pREAD, driver_const.T7_MA_EXF_READ],
+			[driver_const.LJM_WRITE, driver_const.LJM_READ],
+			[1, 3],
+			[address, 0, 0, 0],
+			function (err) {
+				test.ok(false, 'Read failed: ' + err);
+				test.done();
+			},
+			function (values) {
+				test.deepEqual(values, [0xFFFFFFFF, 0xCAFEBABE, 0xFFFFFFFF]);
+				test.done();
+			}
+		);
+	},
+
+
+	testFaultCounting: function(test)
+	{
+		var device = new labjack_t7_simulator.SimulatedT7();
+		var results = [];
+
+		device.injectFault({
+			type: 'error',
+			operation: 'read',
+			register: 'FIRMWARE_VERSION',
+			call: 2,
+			count: 2,
+			code: 1255
+		});
+
+		var readVersion = function (remaining) {
+			if (remaining === 0) {
+				test.deepEqual(results, ['ok', 1255, 1255, 'ok']);
+				test.done();
+				return;
+			}
+
+			device.read('SERIAL_NUMBER', function () {}, function () {
+				device.read('FIRMWARE_VERSION',
+					function (err) {
+						results.push(err);
+						readVersion(remaining - 1);
+					},
+					function () {
+						results.push('ok');
+						readVersion(remaining - 1);
+					}
+				);
+			});
+		};
+
+		readVersion(4);
+	},
+
+
+	testCallbackErrorsCaught: function(test)
+	{
+		var device = new labjack_t7_simulator.SimulatedT7();
+		var callbackError = new Error('Callback failed.');
+
+		device.read('SERIAL_NUMBER', function () {}, function () {
+			throw callbackError;
+		});
+		setImmediate(function () {
+			setImmediate(function () {
+				test.deepEqual(device.getCallbackErrors(), [callbackError]);
+				test.done();
+			});
+		});
+	},
+
+
+	testClosedDevice: function(test)
+	{
+		var device = new labjack_t7_simulator.SimulatedT7();
+
+		device.closeSync();
+		test.throws(function () { device.readSync('FIRMWARE_VERSION'); });
+		device.read('FIRMWARE_VERSION',
+			function (err) {
+				test.equal(err, 1224);
+				test.done();
+			},
+			function () {
+				test.ok(false, 'Read from closed device.');
+				test.done();
+			}
+		);
+	},
+
+
+	testClosedHandle: function(test)
+	{
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var devices = [new library.device(), new library.device()];
+		devices.forEach(function (device) {
+			device.openSync('LJM_dtT7', 'LJM_ctUSB',
+				String(TEST_SERIAL_NUMBER));
+		});
+
+		devices[0].closeSync();
+		test.throws(function () { devices[0].closeSync(); });
+		test.throws(function () { devices[0].readSync('SERIAL_NUMBER'); });
+		test.equal(devices[1].readSync('SERIAL_NUMBER'), TEST_SERIAL_NUMBER);
+		test.equal(library.getNumOpenDevices(), 1);
+		devices[0].read('SERIAL_NUMBER',
+			function (err) {
+				test.equal(err, 1224);
+				test.done();
+			},
+			function () {
+				test.ok(false, 'Read from closed handle.');
+				test.done();
+			}
+		);
+	},
+
+
+	testCreateLibrary: function(test)
+	{
+		var usbDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER
+		});
+		var ethernetDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER + 1,
+			connectionType: 'LJM_ctETHERNET',
+			ipAddress: '192.168.1.207'
+		});
+		var library = labjack_t7_simulator.createLibrary(
+			[usbDevice, ethernetDevice]);
+
+		var device = new library.device();
+		device.openSync('LJM_dtT7', 'LJM_ctANY', '192.168.1.207');
+		test.equal(device.readSync('SERIAL_NUMBER'), TEST_SERIAL_NUMBER + 1);
+		test.throws(function () {
+			new library.device().openSync('LJM_dtT7', 'LJM_ctUSB',
+				String(TEST_SERIAL_NUMBER + 1));
+		});
+
+		new library.driver().listAll('LJM_dtT7', connection_types.LJM_ctUSB,
+			function (err) {
+				test.ok(false, 'listAll failed: ' + err);
+				test.done();
+			},
+			function (devicesInfo) {
+				test.equal(devicesInfo.length, 1);
+				test.equal(devicesInfo[0].serialNumber, TEST_SERIAL_NUMBER);
+				test.done();
+			}
+		);
+	},
+
+
+	testUpdateFirmware: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER,
+			firmwareVersion: 1.0066
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+
+		labjack_t7_upgrade.updateFirmware(device, filePath, {
+			labjack: library,
+			enumeration: {pollInterval: 5}
+		})
+		.then(function (bundle) {
+			test.equal(bundle.getFirmwareVersion(), 1.0067);
+			test.equal(simulatedDevice.getFirmwareVersion(),
+				Math.fround(1.0067));
+			test.equal(simulatedDevice.getNumReboots(), 1);
+			test.equal(bundle.getDevice().readSync('FIRMWARE_VERSION'),
+				Math.fround(1.0067));
+		}, function (err) {
+			test.ok(false, 'Upgrade failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			test.done();
+		});
+	},
+
+
+	testUpdateFirmwareFromBuffer: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var firmware = fs.readFileSync(filePath);
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER,
+			firmwareVersion: 1.0066
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+		fs.unlinkSync(filePath);
+
+		labjack_t7_upgrade.updateFirmware(device, firmware, {
+			labjack: library,
+			enumeration: {pollInterval: 5}
+		})
+		.then(function (bundle) {
+			test.equal(bundle.getFirmwareVersion(), 1.0067);
+			test.equal(simulatedDevice.getFirmwareVersion(),
+				Math.fround(1.0067));
+		}, function (err) {
+			test.ok(false, 'Upgrade failed: ' + err);
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testUpdateFirmwareAdaptiveChunks: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER,
+			firmwareVersion: 1.0066,
+			connectionType: 'LJM_ctETHERNET',
+			ipAddress: '192.168.1.207',
+			maxPacketBytes: 300
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		device.openSync('LJM_dtT7', 'LJM_ctETHERNET', '192.168.1.207');
+
+		labjack_t7_upgrade.updateFirmware(device, filePath, {
+			labjack: library,
+			enumeration: {pollInterval: 5},
+			chunkSize: 'adaptive'
+		})
+		.then(function (bundle) {
+			test.equal(bundle.getFirmwareVersion(), 1.0067);
+			test.equal(simulatedDevice.getFirmwareVersion(),
+				Math.fround(1.0067));
+		}, function (err) {
+			test.ok(false, 'Upgrade failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			test.done();
+		});
+	},
+
+
+	testUpdateFirmwareBatched: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var simulatedDevices = [0, 1].map(function (offset) {
+			return new labjack_t7_simulator.SimulatedT7({
+				serialNumber: TEST_SERIAL_NUMBER + offset,
+				firmwareVersion: 1.0066,
+				connectionType: 'LJM_ctETHERNET',
+				ipAddress: '192.168.1.' + (207 + offset)
+			});
+		});
+		var library = labjack_t7_simulator.createLibrary(simulatedDevices);
+
+		var upgrade = function (simulatedDevice, chunksPerCall) {
+			var device = new library.device();
+			device.openSync('LJM_dtT7', 'LJM_ctETHERNET',
+				simulatedDevice.getDeviceInfo().ipAddress);
+			return labjack_t7_upgrade.updateFirmware(device, filePath, {
+				labjack: library,
+				enumeration: {pollInterval: 5},
+				chunksPerCall: chunksPerCall
+			});
+		};
+
+		upgrade(simulatedDevices[0], 1)
+		.then(function () {
+			return upgrade(simulatedDevices[1]);
+		})
+		.then(function () {
+			var unbatchedCalls = simulatedDevices[0].getNumCalls('rwMany');
+			var batchedCalls = simulatedDevices[1].getNumCalls('rwMany');
+			test.equal(simulatedDevices[1].getFirmwareVersion(),
+				Math.fround(1.0067));
+			test.ok(batchedCalls * 4 < unbatchedCalls,
+				batchedCalls + ' batched calls, ' + unbatchedCalls +
+				' unbatched calls');
+		}, function (err) {
+			test.ok(false, 'Upgrade failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			test.done();
+		});
+	},
+
+
+	testUpdateFirmwareBatchedWithRetries: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var simulatedDevices = [0, 1].map(function (offset) {
+			return new labjack_t7_simulator.SimulatedT7({
+				serialNumber: TEST_SERIAL_NUMBER + offset,
+				firmwareVersion: 1.0066,
+				connectionType: 'LJM_ctETHERNET',
+				ipAddress: '192.168.1.' + (207 + offset),
+				maxPacketBytes: 300
+			});
+		});
+		var library = labjack_t7_simulator.createLibrary(simulatedDevices);
+
+		var upgrade = function (simulatedDevice, retry) {
+			var device = new library.device();
+			device.openSync('LJM_dtT7', 'LJM_ctETHERNET',
+				simulatedDevice.getDeviceInfo().ipAddress);
+			return labjack_t7_upgrade.updateFirmware(device, filePath, {
+				labjack: library,
+				enumeration: {pollInterval: 5},
+				retry: retry
+			});
+		};
+
+		// Oversized calls are halved straight away rather than retried, so
+		// retries make no extra calls.
+		upgrade(simulatedDevices[0])
+		.then(function () {
+			return upgrade(simulatedDevices[1], {maxAttempts: 3, backoff: 10});
+		})
+		.then(function () {
+			test.equal(simulatedDevices[1].getFirmwareVersion(),
+				Math.fround(1.0067));
+			test.equal(simulatedDevices[1].getNumCalls('rwMany'),
+				simulatedDevices[0].getNumCalls('rwMany'));
+		}, function (err) {
+			test.ok(false, 'Upgrade failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			test.done();
+		});
+	},
+
+
+	testUpgradeFleetFromStream: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var simulatedDevices = [0, 1].map(function (offset) {
+			return new labjack_t7_simulator.SimulatedT7({
+				serialNumber: TEST_SERIAL_NUMBER + offset,
+				firmwareVersion: 1.0066
+			});
+		});
+		var library = labjack_t7_simulator.createLibrary(simulatedDevices);
+
+		labjack_t7_upgrade.upgradeFleet('all', fs.createReadStream(filePath), {
+			labjack: library,
+			enumeration: {pollInterval: 5},
+			concurrency: 2
+		})
+		.then(function (summary) {
+			test.equal(summary.succeeded.length, 2);
+			test.equal(summary.failed.length, 0);
+			simulatedDevices.forEach(function (simulatedDevice) {
+				test.equal(simulatedDevice.getFirmwareVersion(),
+					Math.fround(1.0067));
+			});
+		}, function (err) {
+			test.ok(false, 'Fleet upgrade failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			test.done();
+		});
+	},
+
+
+	testUpgradeFleetClosesDevices: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var rollbackPath = writeFirmwareFile(1.0066);
+		var simulatedDevices = [0, 1, 2].map(function (offset) {
+			return new labjack_t7_simulator.SimulatedT7({
+				serialNumber: TEST_SERIAL_NUMBER + offset,
+				firmwareVersion: 1.0066
+			});
+		});
+		var library = labjack_t7_simulator.createLibrary(simulatedDevices);
+
+		// One device fails before it reboots and one after it reboots.
+		simulatedDevices[1].injectFault({
+			type: 'error',
+			register: driver_const.T7_MA_EXF_WRITE,
+			code: 1
+		});
+		simulatedDevices[2].injectFault({type: 'wrongVersion',
+			firmwareVersion: 1.0065, reboots: 1});
+
+		labjack_t7_upgrade.upgradeFleet('all', filePath, {
+			labjack: library,
+			enumeration: {pollInterval: 5},
+			rollback: rollbackPath
+		})
+		.then(function (summary) {
+			test.deepEqual(summary.succeeded, [TEST_SERIAL_NUMBER]);
+			test.equal(summary.devices[TEST_SERIAL_NUMBER + 1].stage, 'write');
+			test.ok(summary.devices[TEST_SERIAL_NUMBER + 2].rollback.succeeded);
+			test.equal(library.getNumOpenDevices(), 0);
+		}, function (err) {
+			test.ok(false, 'Fleet upgrade failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			fs.unlinkSync(rollbackPath);
+			test.done();
+		});
+	},
+
+
+	testBackupAndRestore: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var newerFilePath = writeFirmwareFile(1.0068);
+		var backupPath = path.join(os.tmpdir(), 't7-backup.bin');
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER,
+			firmwareVersion: 1.0066
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		var upgradeOptions = {labjack: library, enumeration: {pollInterval: 5}};
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+
+		labjack_t7_upgrade.updateFirmware(device, filePath, upgradeOptions)
+		.then(function (bundle) {
+			device = bundle.getDevice();
+			return labjack_t7_upgrade.backupFirmware(device, backupPath);
+		})
+		.then(function (bundle) {
+			test.equal(bundle.getFirmwareVersion(), 1.0067);
+			test.equal(bundle.getSerialNumber(), TEST_SERIAL_NUMBER);
+			test.deepEqual(fs.readFileSync(backupPath),
+				fs.readFileSync(filePath));
+
+			return labjack_t7_upgrade.updateFirmware(device, newerFilePath,
+				upgradeOptions);
+		})
+		.then(function (bundle) {
+			test.equal(simulatedDevice.getFirmwareVersion(),
+				Math.fround(1.0068));
+			return labjack_t7_upgrade.restoreFirmware(bundle.getDevice(),
+				backupPath, upgradeOptions);
+		})
+		.then(function (bundle) {
+			test.equal(bundle.getFirmwareVersion(), 1.0067);
+			test.equal(simulatedDevice.getFirmwareVersion(),
+				Math.fround(1.0067));
+			test.equal(simulatedDevice.getNumReboots(), 3);
+		}, function (err) {
+			test.ok(false, 'Backup and restore failed: ' + err);
+		})
+		.fin(function () {
+			[filePath, newerFilePath, backupPath].forEach(function (file) {
+				if (fs.existsSync(file))
+					fs.unlinkSync(file);
+			});
+			test.done();
+		});
+	},
+
+
+	testBackupErasedFlash: function(test)
+	{
+		var backupPath = path.join(os.tmpdir(), 't7-backup.bin');
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+
+		labjack_t7_upgrade.backupFirmware(device, backupPath)
+		.then(function () {
+			test.ok(false, 'Erased flash backed up.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.FirmwareHeaderError);
+			test.equal(err.stage, 'backup');
+			test.ok(!fs.existsSync(backupPath));
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testBackupReadFails: function(test)
+	{
+		var backupPath = path.join(os.tmpdir(), 't7-backup.bin');
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+		simulatedDevice.injectFault({type: 'error', operation: 'rwMany',
+			code: 1227});
+
+		labjack_t7_upgrade.backupFirmware(device, backupPath)
+		.then(function () {
+			test.ok(false, 'Backup succeeded despite read failure.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.VerifyError);
+			test.equal(err.stage, 'backup');
+			test.equal(err.code, 1227);
+			test.equal(err.address, driver_const.T7_EFAdd_ExtFirmwareImgInfo);
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testDryRun: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER,
+			firmwareVersion: 1.0066
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+
+		// Any erase or write fails the dry run.
+		['write', 'writeMany'].forEach(function (operation) {
+			simulatedDevice.injectFault(
+				{type: 'error', operation: operation, code: 1});
+		});
+		simulatedDevice.injectFault({
+			type: 'error',
+			register: driver_const.T7_MA_EXF_WRITE,
+			code: 1
+		});
+
+		labjack_t7_upgrade.updateFirmware(device, filePath, {dryRun: true})
+		.then(function (plan) {
+			var numPages = driver_const.T7_IMG_FLASH_PAGE_ERASE +
+				driver_const.T7_HDR_FLASH_PAGE_ERASE;
+			var headerLength = driver_const.T7_IMG_HEADER_LENGTH;
+			test.ok(plan.dryRun);
+			test.equal(plan.serialNumber, TEST_SERIAL_NUMBER);
+			test.equal(plan.currentVersion, 1.0066);
+			test.equal(plan.newVersion, 1.0067);
+			test.equal(plan.images.length, 1);
+			test.equal(plan.erasePages.length, numPages);
+			test.equal(plan.writeBytes, TEST_IMAGE_LENGTH + headerLength);
+			test.equal(plan.writeChunks, (TEST_IMAGE_LENGTH + headerLength) /
+				(driver_const.T7_FLASH_BLOCK_WRITE_SIZE * 4));
+			test.ok(plan.estimatedDuration > 0);
+			test.equal(simulatedDevice.getFirmwareVersion(),
+				Math.fround(1.0066));
+			test.equal(simulatedDevice.getNumReboots(), 0);
+		}, function (err) {
+			test.ok(false, 'Dry run failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			test.done();
+		});
+	},
+
+
+	testDryRunCountsCalls: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER,
+			firmwareVersion: 1.0066,
+			connectionType: 'LJM_ctETHERNET',
+			ipAddress: '192.168.1.207'
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		var options = {labjack: library, enumeration: {pollInterval: 5}};
+		var plan;
+		device.openSync('LJM_dtT7', 'LJM_ctETHERNET', '192.168.1.207');
+
+		labjack_t7_upgrade.updateFirmware(device, filePath,
+			{labjack: library, dryRun: true})
+		.then(function (dryRunPlan) {
+			plan = dryRunPlan;
+			return labjack_t7_upgrade.updateFirmware(device, filePath, options);
+		})
+		.then(function () {
+			// Batching sends several chunks in each call.
+			test.ok(plan.rwManyCalls * 4 < plan.writeChunks + plan.readChunks);
+			test.equal(plan.rwManyCalls, simulatedDevice.getNumCalls('rwMany'));
+		}, function (err) {
+			test.ok(false, 'Upgrade failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			test.done();
+		});
+	},
+
+
+	testSkipInstalledVersion: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER,
+			firmwareVersion: 1.0067
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+
+		simulatedDevice.injectFault({type: 'error', operation: 'writeMany',
+			code: 1});
+
+		labjack_t7_upgrade.updateFirmware(device, filePath, {
+			labjack: library,
+			skipIfSameVersion: true
+		})
+		.then(function (bundle) {
+			test.ok(bundle.isAlreadyInstalled());
+			test.equal(simulatedDevice.getNumReboots(), 0);
+		}, function (err) {
+			test.ok(false, 'Upgrade failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			test.done();
+		});
+	},
+
+
+	testEraseFails: function(test)
+	{
+		var faults = [{
+			type: 'error',
+			operation: 'writeMany',
+			register: driver_const.T7_MA_EXF_ERASE,
+			call: 3,
+			code: 1203
+		}];
+
+		testUpgradeFailure(test, faults, {}, function (err, device) {
+			var pageAddress = driver_const.T7_EFAdd_ExtFirmwareImage +
+				2 * driver_const.T7_FLASH_PAGE_SIZE;
+			test.ok(err instanceof labjack_t7_upgrade.EraseError);
+			test.equal(err.stage, 'erase');
+			test.equal(err.address, pageAddress);
+			test.equal(err.code, 1203);
+			test.equal(err.serialNumber, TEST_SERIAL_NUMBER);
+			test.equal(device.getNumReboots(), 0);
+		});
+	},
+
+
+	testDisconnectDuringErase: function(test)
+	{
+		var faults = [{
+			type: 'disconnect',
+			operation: 'writeMany',
+			register: driver_const.T7_MA_EXF_ERASE,
+			call: 5
+		}];
+
+		testUpgradeFailure(test, faults, {}, function (err, device) {
+			var pageAddress = driver_const.T7_EFAdd_ExtFirmwareImage +
+				4 * driver_const.T7_FLASH_PAGE_SIZE;
+			test.ok(err instanceof labjack_t7_upgrade.EraseError);
+			test.equal(err.address, pageAddress);
+			test.equal(err.code, 1239);
+			test.ok(!device.isAvailable());
+		});
+	},
+
+
+	testDisconnectDuringEraseRecovers: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+
+		simulatedDevice.injectFault({
+			type: 'disconnect',
+			operation: 'writeMany',
+			register: driver_const.T7_MA_EXF_ERASE,
+			call: 5,
+			duration: 5
+		});
+
+		labjack_t7_upgrade.updateFirmware(device, filePath, {
+			labjack: library,
+			enumeration: {pollInterval: 5},
+			retry: {maxAttempts: 3, backoff: 10}
+		})
+		.then(function (bundle) {
+			test.equal(simulatedDevice.getFirmwareVersion(),
+				Math.fround(1.0067));
+		}, function (err) {
+			test.ok(false, 'Upgrade failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			test.done();
+		});
+	},
+
+
+	testEraseCheckReadFails: function(test)
+	{
+		var faults = [{
+			type: 'error',
+			operation: 'rwMany',
+			register: driver_const.T7_MA_EXF_READ,
+			code: 1255
+		}];
+
+		testUpgradeFailure(test, faults, {}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.VerifyError);
+			test.equal(err.stage, 'erase');
+			test.equal(err.address, driver_const.T7_EFAdd_ExtFirmwareImgInfo);
+			test.equal(err.code, 1255);
+		});
+	},
+
+
+	testWriteFails: function(test)
+	{
+		var faults = [{
+			type: 'error',
+			operation: 'rwMany',
+			register: driver_const.T7_MA_EXF_WRITE,
+			call: 2,
+			count: 3,
+			code: 1255
+		}];
+		var options = {retry: {maxAttempts: 3, backoff: 1}};
+
+		testUpgradeFailure(test, faults, options, function (err) {
+			var chunkAddress = driver_const.T7_EFAdd_ExtFirmwareImage +
+				driver_const.T7_FLASH_BLOCK_WRITE_SIZE * 4;
+			test.ok(err instanceof labjack_t7_upgrade.WriteError);
+			test.equal(err.stage, 'write');
+			test.equal(err.address, chunkAddress);
+			test.equal(err.code, 1255);
+			test.equal(err.retries, 2);
+		});
+	},
+
+
+	testCheckpointSaveFails: function(test)
+	{
+		var saveError = new Error('Disk full.');
+		var checkpointStore = {
+			save: function () { throw saveError; },
+			load: function () { return null; },
+			clear: function () {}
+		};
+		var options = {checkpoint: checkpointStore};
+
+		testUpgradeFailure(test, [], options, function (err) {
+			var lastChunkAddress = driver_const.T7_EFAdd_ExtFirmwareImage +
+				TEST_IMAGE_LENGTH - driver_const.T7_FLASH_BLOCK_WRITE_SIZE * 4;
+			test.ok(err instanceof labjack_t7_upgrade.WriteError);
+			test.equal(err.address, lastChunkAddress);
+			test.equal(err.cause, saveError);
+		});
+	},
+
+
+	testCorruptWrite: function(test)
+	{
+		var corruptAddress = driver_const.T7_EFAdd_ExtFirmwareImage + 8;
+		var faults = [{type: 'corruptWrite', address: corruptAddress}];
+
+		testUpgradeFailure(test, faults, {}, function (err, device) {
+			test.ok(err instanceof labjack_t7_upgrade.VerifyError);
+			test.equal(err.stage, 'verifyWrite');
+			test.equal(err.address, corruptAddress);
+			test.equal(device.getNumReboots(), 0);
+		});
+	},
+
+
+	testCloseFailsAfterRebootRequest: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+
+		simulatedDevice.injectFault({
+			type: 'error',
+			operation: 'closeSync',
+			code: 1239
+		});
+
+		labjack_t7_upgrade.updateFirmware(device, filePath, {
+			labjack: library,
+			enumeration: {pollInterval: 5}
+		})
+		.then(function (bundle) {
+			test.equal(simulatedDevice.getFirmwareVersion(),
+				Math.fround(1.0067));
+			test.deepEqual(simulatedDevice.getCallbackErrors(), []);
+		}, function (err) {
+			test.ok(false, 'Upgrade failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			test.done();
+		});
+	},
+
+
+	testNeverReenumerates: function(test)
+	{
+		var faults = [{type: 'noEnumerate'}];
+		var options = {enumeration: {pollInterval: 5, maxAttempts: 3}};
+
+		testUpgradeFailure(test, faults, options, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.EnumerationTimeoutError);
+			test.equal(err.stage, 'enumerate');
+			test.equal(err.serialNumber, TEST_SERIAL_NUMBER);
+			test.equal(err.attempts, 3);
+		});
+	},
+
+
+	testWrongVersionAfterReboot: function(test)
+	{
+		var faults = [{type: 'wrongVersion', firmwareVersion: 1.0066}];
+
+		testUpgradeFailure(test, faults, {}, function (err, device) {
+			test.ok(err instanceof labjack_t7_upgrade.VerifyError);
+			test.equal(err.stage, 'verify');
+			test.equal(device.getNumReboots(), 1);
+		});
+	},
+
+
+	testUpgradeWithRollbackSucceeds: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var rollbackPath = writeFirmwareFile(1.0066);
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER,
+			firmwareVersion: 1.0066
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		var stages = [];
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+
+		var upgrade = labjack_t7_upgrade.createUpgrade(device, filePath, {
+			labjack: library,
+			enumeration: {pollInterval: 5},
+			rollback: rollbackPath
+		});
+		upgrade.on('stage', function (stage) { stages.push(stage); });
+
+		upgrade.start()
+		.then(function (bundle) {
+			// The device reports a 32 bit float that only matches the header's
+			// version once rounded.
+			test.notEqual(simulatedDevice.getFirmwareVersion(), 1.0067);
+			test.equal(bundle.getFirmwareVersion(), 1.0067);
+			test.equal(stages[stages.length - 1], 'verify');
+			test.equal(stages.indexOf('rollback'), -1);
+			test.equal(simulatedDevice.getNumReboots(), 1);
+		}, function (err) {
+			test.ok(false, 'Upgrade failed: ' + err);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			fs.unlinkSync(rollbackPath);
+			test.done();
+		});
+	},
+
+
+	testRollbackFromBackup: function(test)
+	{
+		var filePath = writeFirmwareFile();
+		var newerFilePath = writeFirmwareFile(1.0068);
+		var simulatedDevice = new labjack_t7_simulator.SimulatedT7({
+			serialNumber: TEST_SERIAL_NUMBER,
+			firmwareVersion: 1.0066
+		});
+		var library = labjack_t7_simulator.createLibrary([simulatedDevice]);
+		var device = new library.device();
+		var stages = [];
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', String(TEST_SERIAL_NUMBER));
+
+		labjack_t7_upgrade.updateFirmware(device, filePath, {
+			labjack: library,
+			enumeration: {pollInterval: 5}
+		})
+		.then(function (bundle) {
+			var upgrade = labjack_t7_upgrade.createUpgrade(bundle.getDevice(),
+				newerFilePath, {
+					labjack: library,
+					enumeration: {pollInterval: 5},
+					rollback: true
+				});
+			upgrade.on('stage', function (stage) { stages.push(stage); });
+
+			simulatedDevice.injectFault({type: 'wrongVersion',
+				firmwareVersion: 1.0066, reboots: 1});
+			return upgrade.start();
+		})
+		.then(function () {
+			test.ok(false, 'Upgrade succeeded despite wrong version.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.VerifyError);
+			test.equal(err.stage, 'verify');
+			test.ok(err.rollback.attempted);
+			test.ok(err.rollback.succeeded);
+			test.equal(err.rollback.firmwareVersion, 1.0067);
+			test.equal(err.rollback.device.readSync('FIRMWARE_VERSION'),
+				Math.fround(1.0067));
+			test.equal(stages.indexOf('backup'), stages.indexOf('erase') - 1);
+			test.equal(stages[stages.length - 1], 'rollback');
+			test.equal(simulatedDevice.getFirmwareVersion(),
+				Math.fround(1.0067));
+			test.equal(simulatedDevice.getNumReboots(), 3);
+		})
+		.fin(function () {
+			fs.unlinkSync(filePath);
+			fs.unlinkSync(newerFilePath);
+			test.done();
+		});
+	},
+
+
+	testRollbackFromFile: function(test)
+	{
+		var rollbackPath = writeFirmwareFile(1.0066);
+		var faults = [
+			{type: 'wrongVersion', firmwareVersion: 1.0065, reboots: 1}
+		];
+
+		testUpgradeFailure(test, faults, {rollback: rollbackPath},
+			function (err, device) {
+				test.ok(err instanceof labjack_t7_upgrade.VerifyError);
+				test.equal(err.stage, 'verify');
+				test.ok(err.rollback.succeeded);
+				test.equal(err.rollback.firmwareVersion, 1.0066);
+				test.equal(device.getFirmwareVersion(), Math.fround(1.0066));
+				test.equal(device.getNumReboots(), 2);
+				fs.unlinkSync(rollbackPath);
+			}
+		);
+	},
+
+
+	testRollbackFails: function(test)
+	{
+		var rollbackPath = writeFirmwareFile(1.0066);
+		// Every upgrade erases 121 pages, so the rollback's first erase is
+		// call 122.
+		var faults = [
+			{type: 'wrongVersion', firmwareVersion: 1.0065, reboots: 1},
+			{type: 'error', operation: 'writeMany',
+				register: driver_const.T7_MA_EXF_ERASE, call: 122, code: 1203}
+		];
+
+		testUpgradeFailure(test, faults, {rollback: rollbackPath},
+			function (err, device) {
+				test.ok(err instanceof labjack_t7_upgrade.VerifyError);
+				test.ok(err.rollback.attempted);
+				test.ok(!err.rollback.succeeded);
+				test.equal(err.rollback.error.stage, 'erase');
+				test.equal(device.getNumReboots(), 1);
+				fs.unlinkSync(rollbackPath);
+			}
+		);
+	},
+
+
+	testNeverReenumeratesWithRollback: function(test)
+	{
+		var faults = [{type: 'noEnumerate'}];
+		var options = {
+			enumeration: {pollInterval: 5, maxAttempts: 3},
+			rollbackEnumeration: {pollInterval: 5, maxAttempts: 2}
+		};
+
+		testRollbackFromBackupFailure(test, faults, options,
+			function (err, device) {
+				test.ok(err instanceof
+					labjack_t7_upgrade.EnumerationTimeoutError);
+				test.equal(err.stage, 'enumerate');
+				test.equal(err.attempts, 3);
+				test.strictEqual(err.rollback.attempted, false);
+				test.ok(!err.rollback.succeeded);
+				test.equal(err.rollback.reason,
+					'Device not found to reflash.');
+				test.ok(err.rollback.error instanceof
+					labjack_t7_upgrade.EnumerationTimeoutError);
+				test.equal(err.rollback.error.attempts, 2);
+				test.equal(device.getNumReboots(), 1);
+			}
+		);
+	},
+
+
+	testRollbackAfterSlowReboot: function(test)
+	{
+		var faults = [{type: 'slowReboot', rebootTime: 100, reboots: 1}];
+		var options = {
+			enumeration: {pollInterval: 5, maxAttempts: 3},
+			rollbackEnumeration: {pollInterval: 20, timeout: 1000}
+		};
+
+		testRollbackFromBackupFailure(test, faults, options,
+			function (err, device) {
+				test.ok(err instanceof
+					labjack_t7_upgrade.EnumerationTimeoutError);
+				test.equal(err.stage, 'enumerate');
+				test.ok(err.rollback.attempted);
+				test.ok(err.rollback.succeeded);
+				test.equal(err.rollback.firmwareVersion, 1.0066);
+				test.equal(device.getFirmwareVersion(), Math.fround(1.0066));
+				test.equal(device.getNumReboots(), 3);
+			}
+		);
+	},
+
+
+	testMissingRollbackFile: function(test)
+	{
+		var options = {rollback: path.join(os.tmpdir(), 'missing.bin')};
+
+		testUpgradeFailure(test, [], options, function (err, device) {
+			test.ok(err instanceof labjack_t7_upgrade.FirmwareFileError);
+			test.equal(err.stage, 'read');
+			test.equal(device.getFlash().readWord(
+				driver_const.T7_EFAdd_ExtFirmwareImgInfo), 0xFFFFFFFF);
+			test.equal(device.getNumReboots(), 0);
+		});
+	},
+
+
+	testVersionReadFails: function(test)
+	{
+		var faults = [{
+			type: 'error',
+			operation: 'read',
+			register: 'FIRMWARE_VERSION',
+			call: 2,
+			code: 1255
+		}];
+
+		testUpgradeFailure(test, faults, {}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.VerifyError);
+			test.equal(err.stage, 'verify');
+			test.equal(err.code, 1255);
+		});
+	}
+};
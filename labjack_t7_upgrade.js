@@ -5,13 +5,24 @@
  * @author Sam Pottinger (samnsparky)
 **/
 
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
 var fs = require('fs');
+var util = require('util');
 
 var async = require('async');
 var labjack_nodejs = require('labjack-nodejs');
 var lazy = require('lazy');
 var q = require('q');
+
+var labjack_t7_errors = require('./labjack_t7_errors');
+var labjack_t7_flash = require('./labjack_t7_flash');
+var labjack_t7_header = require('./labjack_t7_header');
+var labjack_t7_ljm = require('./labjack_t7_ljm');
+
 var driver_const = labjack_nodejs.driver_const;
+var connection_types = driver_const.connectionTypes;
+var device_types = driver_const.deviceTypes;
 
 var DEBUG_CHECK_ERASE = true;
 var DEBUG_CHECK_WRITE = true;
@@ -22,6 +33,64 @@ var ALLOWED_IMAGE_INFO_DEVICE_TYPES = [
 var EXPECTED_ZEROED_MEM_VAL = 4294967295; // 0xFFFFFFFF
 var EXPECTED_REBOOT_WAIT = 5000;
 
+// Rough timings used to estimate how long an upgrade will take, in ms.
+var ESTIMATED_PAGE_ERASE_TIME = 50;
+var ESTIMATED_CALL_TIME = 2;
+var DEFAULT_VERIFY_MISMATCH_LIMIT = 16;
+
+// LJM errors raised when a packet is larger than the connection allows.
+var PACKET_SIZE_ERRORS = [
+    labjack_t7_ljm.LJME_INCORRECT_NUM_COMMAND_BYTES_SENT,
+    labjack_t7_ljm.LJME_INCORRECT_NUM_RESPONSE_BYTES_RECEIVED
+];
+
+// Largest adaptive chunk size known to work, by connection type.
+var adaptiveChunkSizes = {};
+
+var DEFAULT_RETRY_POLICY = {
+    maxAttempts: 1,
+    backoff: 100,
+    backoffFactor: 2,
+    // LJM errors caused by lost or late packets
+    retryableErrors: [
+        labjack_t7_ljm.LJME_RECONNECT_FAILED,
+        labjack_t7_ljm.LJME_NO_COMMAND_BYTES_SENT,
+        labjack_t7_ljm.LJME_INCORRECT_NUM_COMMAND_BYTES_SENT,
+        labjack_t7_ljm.LJME_NO_RESPONSE_BYTES_RECEIVED,
+        labjack_t7_ljm.LJME_INCORRECT_NUM_RESPONSE_BYTES_RECEIVED
+    ]
+};
+var DEFAULT_ENUMERATION_POLICY = {
+    timeout: 120000,
+    pollInterval: null,
+    maxAttempts: null
+};
+var DEFAULT_ROLLBACK_ENUMERATION_POLICY = {
+    timeout: 30000,
+    pollInterval: null,
+    maxAttempts: null
+};
+var DEFAULT_VERSION_POLICY = {
+    allowDowngrade: false,
+    skipIfSameVersion: false,
+    force: false,
+    minimumVersion: null
+};
+
+// Error types are exported here so that callers only need this module.
+exports.UpgradeError = labjack_t7_errors.UpgradeError;
+exports.FirmwareFileError = labjack_t7_errors.FirmwareFileError;
+exports.FirmwareHeaderError = labjack_t7_header.FirmwareHeaderError;
+exports.FlashRegionError = labjack_t7_flash.FlashRegionError;
+exports.CompatibilityError = labjack_t7_errors.CompatibilityError;
+exports.EraseError = labjack_t7_errors.EraseError;
+exports.WriteError = labjack_t7_errors.WriteError;
+exports.VerifyError = labjack_t7_errors.VerifyError;
+exports.RebootError = labjack_t7_errors.RebootError;
+exports.EnumerationError = labjack_t7_errors.EnumerationError;
+exports.EnumerationTimeoutError = labjack_t7_errors.EnumerationTimeoutError;
+exports.UpgradeAbortedError = labjack_t7_errors.UpgradeAbortedError;
+
 
 /**
  * Create a range enumeration like in Python.
@@ -67,6 +136,20 @@ function DeviceFirmwareBundle()
     var device = null;
     var version = null;
     var serial = null;
+    var upgrade = null;
+    var retryPolicy = DEFAULT_RETRY_POLICY;
+    var imageWriteOffset = 0;
+    var checkpointStore = null;
+    var verifyMismatchLimit = DEFAULT_VERIFY_MISMATCH_LIMIT;
+    var connectionInfo = null;
+    var reconnectOrder = null;
+    var enumerationPolicy = DEFAULT_ENUMERATION_POLICY;
+    var labjackLibrary = null;
+    var versionPolicy = DEFAULT_VERSION_POLICY;
+    var installedVersion = null;
+    var alreadyInstalled = false;
+    var chunkSize = driver_const.T7_FLASH_BLOCK_WRITE_SIZE;
+    var chunksPerCall = null;
 
     /**
      * Get the raw contents of the firmware image.
@@ -171,7 +254,6 @@ function DeviceFirmwareBundle()
     **/
     this.setFirmwareVersion = function(newVersion)
     {
-        //console.log(newVersion);
         version = newVersion;
     };
 
@@ -199,742 +281,3414 @@ function DeviceFirmwareBundle()
     {
         return serial;
     };
-}
-
-
-/**
- * Reads the contents of the specified firmware file into memory.
- *
- * Reads the raw contents of the specified firmware file asynchronously. Note
- * that the entire file is read into memory.
- *
- * @param {String} fileSrc The full path to the file to read.
- * @return {q.promise} New DeviceFirmwareBundle without a device loaded but
- *      initalized with the contents of the specified firmware file.
-**/
-exports.readFirmwareFile = function(fileSrc)
-{
-    var deferred = q.defer();
 
-    var bundle = new DeviceFirmwareBundle();
+    /**
+     * Set the upgrade that this bundle is part of.
+     *
+     * Record the FirmwareUpgrade that is driving the pipeline this bundle is
+     * passed through. Flash operations report their progress through it.
+     *
+     * @param {FirmwareUpgrade} newUpgrade The upgrade in progress.
+    **/
+    this.setUpgrade = function(newUpgrade)
+    {
+        upgrade = newUpgrade;
+    };
 
-    fs.readFile(fileSrc, function (err, data) {
-        var imageFile = new Buffer(data);
-        var imageInformation = {
-            rawImageInfo: imageFile.slice(0, 128),
-            headerCode: imageFile.readUInt32BE(driver_const.HEADER_CODE),
-            intendedDevice: imageFile.readUInt32BE(driver_const.HEADER_TARGET),
-            containedVersion: imageFile.readFloatBE(
-                driver_const.HEADER_VERSION).toFixed(4),
-            requiredUpgraderVersion: imageFile.readFloatBE(
-                driver_const.HEADER_REQ_LJSU).toFixed(4),
-            imageNumber: imageFile.readUInt16BE(driver_const.HEADER_IMAGE_NUM),
-            numImgInFile: imageFile.readUInt16BE(
-                driver_const.HEADER_NUM_IMAGES),
-            startNextImg: imageFile.readUInt32BE(driver_const.HEADER_NEXT_IMG),
-            lenOfImg: imageFile.readUInt32BE(driver_const.HEADER_IMG_LEN),
-            imgOffset: imageFile.readUInt32BE(driver_const.HEADER_IMG_OFFSET),
-            numBytesInSHA: imageFile.readUInt32BE(
-                driver_const.HEADER_SHA_BYTE_COUNT),
-            options: imageFile.readUInt32BE(72),
-            encryptedSHA: imageFile.readUInt32BE(driver_const.HEADER_ENC_SHA1),
-            unencryptedSHA: imageFile.readUInt32BE(driver_const.HEADER_SHA1),
-            headerChecksum: imageFile.readUInt32BE(driver_const.HEADER_CHECKSUM)
-        };
-        bundle.setFirmwareImageInformation(imageInformation);
-        bundle.setFirmwareImage(imageFile.slice(128, imageFile.length));
+    /**
+     * Get the upgrade that this bundle is part of.
+     *
+     * @return {FirmwareUpgrade} The upgrade driving the pipeline or null if
+     *      this bundle is being operated on outside of an upgrade.
+    **/
+    this.getUpgrade = function()
+    {
+        return upgrade;
+    };
 
-        var versionStr = fileSrc.split('_');
-        versionStr = versionStr[1];
-        bundle.setFirmwareVersion(Number(versionStr)/10000);
-        
-        deferred.resolve(bundle);
-    });
+    /**
+     * Set how failed flash operations should be retried.
+     *
+     * @param {Object} newRetryPolicy Object with any of the following
+     *      attributes. Missing attributes keep their default values.
+     *      maxAttempts {Number} The maximum number of times to try each erase
+     *          page, write chunk or read chunk. Defaults to 1 (no retries).
+     *      backoff {Number} The number of milliseconds to wait before the first
+     *          retry. Defaults to 100.
+     *      backoffFactor {Number} Multiplier applied to the wait before each
+     *          subsequent retry. Defaults to 2.
+     *      retryableErrors {Array} The LJM error codes that may be retried.
+     *          Defaults to the errors caused by lost or late packets.
+    **/
+    this.setRetryPolicy = function(newRetryPolicy)
+    {
+        retryPolicy = {};
+        for (var name in DEFAULT_RETRY_POLICY) {
+            if (newRetryPolicy && newRetryPolicy[name] !== undefined)
+                retryPolicy[name] = newRetryPolicy[name];
+            else
+                retryPolicy[name] = DEFAULT_RETRY_POLICY[name];
+        }
+    };
 
-    return deferred.promise;
-};
+    /**
+     * Get how failed flash operations should be retried.
+     *
+     * @return {Object} The retry policy with every attribute described in
+     *      setRetryPolicy.
+    **/
+    this.getRetryPolicy = function()
+    {
+        return retryPolicy;
+    };
 
+    /**
+     * Set how much of the image is already in flash.
+     *
+     * Used when resuming an interrupted upgrade so that the image write starts
+     * where the interrupted write left off.
+     *
+     * @param {Number} newImageWriteOffset The number of bytes at the start of
+     *      the image that are already written to the device.
+    **/
+    this.setImageWriteOffset = function(newImageWriteOffset)
+    {
+        imageWriteOffset = newImageWriteOffset;
+    };
 
-/**
- * Ensure that the given firmware image is compatible with the given device.
- *
- * @param {DeviceFirmwareBundle} bundle The firmware and corresponding device to
- *      check compatability for.
- * @return {q.promise} Promise that resolves to the provided device bundle.
- * @throws {Error} Thrown if the firmware image is not compatible.
-**/
-exports.checkCompatibility = function(bundle)
-{
-    var deferred = q.defer();
+    /**
+     * Get how much of the image is already in flash.
+     *
+     * @return {Number} The number of bytes at the start of the image that do
+     *      not need to be written. Defaults to 0.
+    **/
+    this.getImageWriteOffset = function()
+    {
+        return imageWriteOffset;
+    };
 
-    var expectedHeaderCode = driver_const.T7_HEAD_FIRST_FOUR_BYTES;
-    var imageInformation = bundle.getFirmwareImageInformation();
-    var firmwareVersion = bundle.getFirmwareVersion();
+    /**
+     * Set where image write checkpoints should be saved.
+     *
+     * @param {Object} newCheckpointStore Object with a save function that
+     *      takes a checkpoint as returned by createCheckpoint, a load function
+     *      that returns the last saved checkpoint or null, and a clear function
+     *      that deletes the saved checkpoint. See createFileCheckpointStore.
+    **/
+    this.setCheckpointStore = function(newCheckpointStore)
+    {
+        checkpointStore = newCheckpointStore;
+    };
 
-    var headerCodeCorrect = imageInformation.headerCode == expectedHeaderCode;
-    var intendedDeviceCorrect = ALLOWED_IMAGE_INFO_DEVICE_TYPES.indexOf(
-        imageInformation.intendedDevice) != -1;
-    var versionCorrect = imageInformation.containedVersion == firmwareVersion;
+    /**
+     * Get where image write checkpoints should be saved.
+     *
+     * @return {Object} The checkpoint store or null if checkpoints should not
+     *      be saved.
+    **/
+    this.getCheckpointStore = function()
+    {
+        return checkpointStore;
+    };
 
-    if (headerCodeCorrect && intendedDeviceCorrect && versionCorrect) {
-        deferred.resolve(bundle);
-    } else {
-        if (!headerCodeCorrect)
-            deferred.reject(new Error('Invalid header code.'));
-        else if(!intendedDeviceCorrect)
-            deferred.reject(new Error('Incorrect device type.'));
-        else
-            deferred.reject(new Error('Incorrect version.'));
-    }
-    
-    return deferred.promise;
-};
+    /**
+     * Set how many mismatched words a write verification should report.
+     *
+     * @param {Number} newVerifyMismatchLimit The maximum number of mismatched
+     *      32 bit words to include in a verification report.
+    **/
+    this.setVerifyMismatchLimit = function(newVerifyMismatchLimit)
+    {
+        verifyMismatchLimit = newVerifyMismatchLimit;
+    };
 
+    /**
+     * Get how many mismatched words a write verification should report.
+     *
+     * @return {Number} The maximum number of mismatched 32 bit words to
+     *      include in a verification report. Defaults to 16.
+    **/
+    this.getVerifyMismatchLimit = function()
+    {
+        return verifyMismatchLimit;
+    };
 
-/**
- * Erases n number of flash pages on the device within the provided bundle.
- *
- * @param {DeviceFirmwareBundle} bundle The bundle with the device to perform
- *      the erase operation on.
- * @param {Number} startAddress The address to start erasing flash pages on.
- * @param {Number} numPages The number of pages to erase;
- * @param {Number} key Permissions key for that range.
- * @return {q.promise} Promise that resolves to the provided bundle after the
- *      erase is complete.
-**/
-exports.eraseFlash = function(bundle, startAddress, numPages, key)
-{
-    var deferred = q.defer();
+    /**
+     * Set how many 32 bit words each flash read and write chunk transfers.
+     *
+     * @param {Number|String} newChunkSize The number of words per chunk or
+     *      'adaptive' to start with the largest chunk the connection allows
+     *      and halve it after packet size errors (see createFlashOperation).
+     *      Undefined restores the default.
+     * @throws {UpgradeError} Thrown, with the check stage, if the chunk size
+     *      is not a positive whole number or 'adaptive'.
+    **/
+    this.setChunkSize = function(newChunkSize)
+    {
+        if (newChunkSize === undefined) {
+            chunkSize = driver_const.T7_FLASH_BLOCK_WRITE_SIZE;
+            return;
+        }
 
-    var device = bundle.getDevice();
-    var pages = range(numPages);
-    async.eachSeries(
-        pages,
-        function (page, callback) {
-            device.writeMany(
-                [driver_const.T7_MA_EXF_KEY, driver_const.T7_MA_EXF_ERASE],
-                [key, startAddress + page * driver_const.T7_FLASH_PAGE_SIZE],
-                function (err) { console.log(err); callback(err); },
-                function () { callback(null); }
+        var isCount = typeof newChunkSize === 'number' && newChunkSize > 0 &&
+            newChunkSize % 1 === 0;
+        if (!isCount && newChunkSize !== 'adaptive') {
+            throw new labjack_t7_errors.UpgradeError(
+                'Chunk size must be a positive whole number or \'adaptive\'.',
+                {stage: 'check'}
             );
-        },
-        function (err) {
-            if (err)
-                deferred.reject( new Error(err) );
-            else
-                deferred.resolve(bundle);
         }
-    );
-
-    return deferred.promise;
-};
+        chunkSize = newChunkSize;
+    };
 
+    /**
+     * Get how many 32 bit words each flash read and write chunk transfers.
+     *
+     * @return {Number|String} The number of words per chunk or 'adaptive'.
+     *      Defaults to 8.
+    **/
+    this.getChunkSize = function()
+    {
+        return chunkSize;
+    };
 
-/**
- * Erases the existing image in the device within the provided bundle.
- *
- * @param {DeviceFirmwareBundle} bundle The bundle with the device to perform
- *      the erase operation on.
- * @return {q.promise} Promise that resolves to the provided bundle after the
- *      erase is complete.
-**/
-exports.eraseImage = function(bundle)
-{
-    var deferred = q.defer();
+    /**
+     * Set the most flash chunks to combine into a single rwMany call.
+     *
+     * @param {Number} newChunksPerCall The most chunks per call. Undefined
+     *      restores the default of as many as fit in one packet on the
+     *      device's connection.
+     * @throws {UpgradeError} Thrown, with the check stage, if the number is
+     *      not a positive whole number.
+    **/
+    this.setChunksPerCall = function(newChunksPerCall)
+    {
+        if (newChunksPerCall === undefined) {
+            chunksPerCall = null;
+            return;
+        }
 
-    exports.eraseFlash(
-        bundle,
-        driver_const.T7_EFAdd_ExtFirmwareImage,
-        driver_const.T7_IMG_FLASH_PAGE_ERASE,
-        driver_const.T7_EFkey_ExtFirmwareImage
-    ).then(
-        function() { deferred.resolve(bundle); },
-        function(err) { deferred.reject(err); }
-    );
+        if (typeof newChunksPerCall !== 'number' || newChunksPerCall < 1 ||
+            newChunksPerCall % 1 !== 0) {
+            throw new labjack_t7_errors.UpgradeError(
+                'Chunks per call must be a positive whole number.',
+                {stage: 'check'}
+            );
+        }
+        chunksPerCall = newChunksPerCall;
+    };
 
-    return deferred.promise;
-};
+    /**
+     * Get the most flash chunks to combine into a single rwMany call.
+     *
+     * @return {Number} The most chunks per call or null for as many as fit in
+     *      one packet.
+    **/
+    this.getChunksPerCall = function()
+    {
+        return chunksPerCall;
+    };
 
+    /**
+     * Record how the device was connected to before it was rebooted.
+     *
+     * @param {Object} newConnectionInfo Object with the deviceType,
+     *      connectionType, serialNumber and ipAddress of the open device and
+     *      the identifier used to reopen it.
+    **/
+    this.setConnectionInfo = function(newConnectionInfo)
+    {
+        connectionInfo = newConnectionInfo;
+    };
 
-/**
- * Erases the existing header in the device within the provided bundle.
- *
- * Erases the existing image information in the device within the provided
- * bundle.
- *
- * @param {DeviceFirmwareBundle} bundle The bundle with the device to perform
- *      the erase operation on.
- * @return {q.promise} Promise that resolves to the provided bundle after the
- *      erase is complete.
-**/
-exports.eraseImageInformation = function(bundle)
-{
-    var deferred = q.defer();
+    /**
+     * Get how the device was connected to before it was rebooted.
+     *
+     * @return {Object} The connection information as given to
+     *      setConnectionInfo or null if it has not been recorded.
+    **/
+    this.getConnectionInfo = function()
+    {
+        return connectionInfo;
+    };
 
-    exports.eraseFlash(
-        bundle,
-        driver_const.T7_EFAdd_ExtFirmwareImgInfo,
-        driver_const.T7_HDR_FLASH_PAGE_ERASE,
-        driver_const.T7_EFkey_ExtFirmwareImgInfo
-    ).then(
-        function() { deferred.resolve(bundle); },
-        deferred.reject
-    );
+    /**
+     * Set how long to wait for the device to re-enumerate after it reboots.
+     *
+     * @param {Object} newEnumerationPolicy Object with any of the following
+     *      attributes. Missing attributes keep their default values.
+     *      timeout {Number} The maximum number of milliseconds to wait for the
+     *          device. May be null to wait indefinitely. Defaults to 120000.
+     *      pollInterval {Number} The number of milliseconds to wait before
+     *          each attempt to find the device. Defaults to 5000.
+     *      maxAttempts {Number} The maximum number of attempts to find the
+     *          device. May be null for no limit. Defaults to null.
+    **/
+    this.setEnumerationPolicy = function(newEnumerationPolicy)
+    {
+        enumerationPolicy = {};
+        for (var name in DEFAULT_ENUMERATION_POLICY) {
+            if (newEnumerationPolicy &&
+                newEnumerationPolicy[name] !== undefined) {
+                enumerationPolicy[name] = newEnumerationPolicy[name];
+            } else {
+                enumerationPolicy[name] = DEFAULT_ENUMERATION_POLICY[name];
+            }
+        }
+    };
 
-    return deferred.promise;
-};
+    /**
+     * Get how long to wait for the device to re-enumerate after it reboots.
+     *
+     * @return {Object} The enumeration policy with every attribute described
+     *      in setEnumerationPolicy. A null pollInterval means the default.
+    **/
+    this.getEnumerationPolicy = function()
+    {
+        return enumerationPolicy;
+    };
 
+    /**
+     * Set the connection types to look for the device on after it reboots.
+     *
+     * @param {Array} newReconnectOrder Array of connection type names (like
+     *      'LJM_ctETHERNET') or numbers, tried in order. May be null to only
+     *      use the connection type the device was opened with.
+    **/
+    this.setReconnectOrder = function(newReconnectOrder)
+    {
+        reconnectOrder = newReconnectOrder || null;
+    };
 
-var createFlashOperation = function (bundle, startAddress, lengthInts, sizeInts,
-    ptrAddress, flashAddress, isReadOp, key, data)
-{
-    var deferred = q.defer();
-    var device = bundle.getDevice();
-    
-    // Creates a closure over a rw excutiong with an address and size
-    var createExecution = function(address, innerSize, writeValues)
+    /**
+     * Get the connection types to look for the device on after it reboots.
+     *
+     * @return {Array} Array of connection type numbers in the order they
+     *      should be tried. Defaults to the connection type recorded with
+     *      setConnectionInfo or USB if none was recorded.
+    **/
+    this.getReconnectOrder = function()
     {
-        return function (lastResults) {
-            var innerDeferred = q.defer();
+        if (reconnectOrder === null) {
+            if (connectionInfo === null)
+                return [connection_types.LJM_ctUSB];
+            return [connectionInfo.connectionType];
+        }
 
-            var addresses = [];
-            var values = [];
-            var directions = [];
-            var numFrames;
-            var numValues;
+        return reconnectOrder.map(function (connectionType) {
+            if (typeof connectionType === 'string')
+                return connection_types[connectionType];
+            return connectionType;
+        });
+    };
 
-            // Flash memory pointer
-            directions.push(driver_const.LJM_WRITE);
+    /**
+     * Set the library used to find and open the device after it reboots.
+     *
+     * @param {Object} newLabJackLibrary Object with driver and device
+     *      constructors like labjack-nodejs, such as the one returned by
+     *      labjack_t7_simulator.createLibrary. May be null to use
+     *      labjack-nodejs.
+    **/
+    this.setLabJackLibrary = function(newLabJackLibrary)
+    {
+        labjackLibrary = newLabJackLibrary || null;
+    };
 
-            // Key
-            if (key === undefined) {
-                numFrames = 2;
-                numValues = [1];
-            } else {
-                // Write for key
+    /**
+     * Get the library used to find and open the device after it reboots.
+     *
+     * @return {Object} The library given to setLabJackLibrary or
+     *      labjack-nodejs if none was given.
+    **/
+    this.getLabJackLibrary = function()
+    {
+        return labjackLibrary || labjack_nodejs;
+    };
+
+    /**
+     * Set which firmware versions may be installed over the device's current
+     * firmware.
+     *
+     * @param {Object} newVersionPolicy Object with any of the following
+     *      attributes. Missing attributes keep their default values.
+     *      allowDowngrade {Boolean} Allow installing firmware older than the
+     *          installed firmware. Defaults to false.
+     *      skipIfSameVersion {Boolean} Skip, rather than reject, an image
+     *          whose version is already installed. Defaults to false.
+     *      force {Boolean} Install the image whatever version is installed.
+     *          Defaults to false.
+     *      minimumVersion {Number} The oldest firmware version that may be
+     *          installed, even with force. May be null for no minimum.
+     *          Defaults to null.
+    **/
+    this.setVersionPolicy = function(newVersionPolicy)
+    {
+        versionPolicy = {};
+        for (var name in DEFAULT_VERSION_POLICY) {
+            if (newVersionPolicy && newVersionPolicy[name] !== undefined)
+                versionPolicy[name] = newVersionPolicy[name];
+            else
+                versionPolicy[name] = DEFAULT_VERSION_POLICY[name];
+        }
+    };
+
+    /**
+     * Get which firmware versions may be installed over the device's current
+     * firmware.
+     *
+     * @return {Object} The version policy with every attribute described in
+     *      setVersionPolicy.
+    **/
+    this.getVersionPolicy = function()
+    {
+        return versionPolicy;
+    };
+
+    /**
+     * Record the firmware version the device was running before the upgrade.
+     *
+     * @param {Number} newInstalledVersion The version read from the device.
+    **/
+    this.setInstalledVersion = function(newInstalledVersion)
+    {
+        installedVersion = newInstalledVersion;
+    };
+
+    /**
+     * Get the firmware version the device was running before the upgrade.
+     *
+     * @return {Number} The version given to setInstalledVersion or null if it
+     *      has not been read.
+    **/
+    this.getInstalledVersion = function()
+    {
+        return installedVersion;
+    };
+
+    /**
+     * Record whether the image is already installed and should be skipped.
+     *
+     * @param {Boolean} newAlreadyInstalled True if the image should not be
+     *      written because the device already runs its version.
+    **/
+    this.setAlreadyInstalled = function(newAlreadyInstalled)
+    {
+        alreadyInstalled = newAlreadyInstalled;
+    };
+
+    /**
+     * Determine if the image is already installed and should be skipped.
+     *
+     * @return {Boolean} The value given to setAlreadyInstalled. Defaults to
+     *      false.
+    **/
+    this.isAlreadyInstalled = function()
+    {
+        return alreadyInstalled;
+    };
+}
+
+
+/**
+ * Create a checkpoint describing how much of an image has been written.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the image being written.
+ * @param {Number} address The flash address up to which (exclusive) the image
+ *      has been written and confirmed by the device.
+ * @return {Object} Checkpoint with the serialNumber of the device, the
+ *      imageNumber and containedVersion of the image, and the address.
+**/
+var createCheckpoint = function (bundle, address)
+{
+    var imageInformation = bundle.getFirmwareImageInformation();
+    return {
+        serialNumber: bundle.getSerialNumber(),
+        imageNumber: imageInformation.imageNumber,
+        containedVersion: imageInformation.containedVersion,
+        address: address
+    };
+};
+
+
+/**
+ * Create a checkpoint store that saves checkpoints to a JSON file.
+ *
+ * @param {String} filePath The location of the file to save checkpoints in.
+ * @return {Object} Checkpoint store with save, load and clear functions as
+ *      described in DeviceFirmwareBundle.setCheckpointStore.
+**/
+exports.createFileCheckpointStore = function(filePath)
+{
+    return {
+        save: function (checkpoint) {
+            fs.writeFileSync(filePath, JSON.stringify(checkpoint));
+        },
+        load: function () {
+            if (!fs.existsSync(filePath))
+                return null;
+            return JSON.parse(fs.readFileSync(filePath));
+        },
+        clear: function () {
+            if (fs.existsSync(filePath))
+                fs.unlinkSync(filePath);
+        }
+    };
+};
+
+
+/**
+ * Report the progress of a flash operation to the upgrade, if any.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle being operated on.
+ * @param {Number} completedBytes The number of bytes erased, written or read
+ *      so far by the current operation.
+ * @param {Number} totalBytes The total number of bytes the current operation
+ *      will erase, write or read.
+**/
+var reportProgress = function (bundle, completedBytes, totalBytes)
+{
+    var upgrade = bundle.getUpgrade();
+    if (!upgrade)
+        return;
+
+    upgrade.emit('progress', {
+        stage: upgrade.getStage(),
+        completedBytes: completedBytes,
+        totalBytes: totalBytes
+    });
+};
+
+
+/**
+ * Check if the upgrade a bundle is part of has been aborted.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle being operated on.
+ * @return {UpgradeAbortedError} Error describing where the upgrade stopped or
+ *      null if the upgrade was not aborted.
+**/
+var getAbortError = function (bundle)
+{
+    var upgrade = bundle.getUpgrade();
+    if (upgrade && upgrade.isAborted()) {
+        return new labjack_t7_errors.UpgradeAbortedError(upgrade.getStage(),
+            {serialNumber: bundle.getSerialNumber()});
+    }
+    else
+        return null;
+};
+
+
+/**
+ * Run a device operation, retrying it according to a retry policy.
+ *
+ * @param {Object} retryPolicy The policy as returned by
+ *      DeviceFirmwareBundle.getRetryPolicy.
+ * @param {function} operation Function that performs the operation. Takes an
+ *      onError and an onSuccess callback like the labjack-nodejs device
+ *      functions.
+ * @param {function} onError Function to call with the final error and the
+ *      number of retries made if every attempt fails or the error may not be
+ *      retried.
+ * @param {function} onSuccess Function to call with the result of the first
+ *      successful attempt. If it throws, onError is called with the thrown
+ *      error as labjack-nodejs would otherwise swallow it.
+**/
+var retryOperation = function (retryPolicy, operation, onError, onSuccess)
+{
+    var retries = 0;
+    var delay = retryPolicy.backoff;
+
+    var attempt = function () {
+        operation(
+            function (err) {
+                var canRetry = retryPolicy.retryableErrors.indexOf(err) != -1;
+                if (!canRetry || retries + 1 >= retryPolicy.maxAttempts) {
+                    onError(err, retries);
+                    return;
+                }
+
+                retries++;
+                setTimeout(attempt, delay);
+                delay *= retryPolicy.backoffFactor;
+            },
+            function (result) {
+                try {
+                    onSuccess(result);
+                } catch (err) {
+                    onError(err, retries);
+                }
+            }
+        );
+    };
+
+    attempt();
+};
+
+
+/**
+ * Create an error for a failure while operating on a bundle.
+ *
+ * @param {function} ErrorType The UpgradeError subclass to create.
+ * @param {DeviceFirmwareBundle} bundle The bundle being operated on.
+ * @param {String} message Description of the problem.
+ * @param {Object} details Optional details as described in UpgradeError. The
+ *      serial number and, during an upgrade, the current stage are taken from
+ *      the bundle unless given.
+ * @return {UpgradeError} The new error.
+**/
+var createError = function (ErrorType, bundle, message, details)
+{
+    var upgrade = bundle.getUpgrade();
+    var errorDetails = {};
+    for (var name in details)
+        errorDetails[name] = details[name];
+
+    if (errorDetails.serialNumber === undefined)
+        errorDetails.serialNumber = bundle.getSerialNumber();
+    if (errorDetails.stage === undefined && upgrade && upgrade.getStage())
+        errorDetails.stage = upgrade.getStage();
+
+    return new ErrorType(message, errorDetails);
+};
+
+
+/**
+ * Describe an error reported by labjack-nodejs.
+ *
+ * @param {Number|Error} err The error passed to an onError callback or thrown
+ *      by a synchronous call.
+ * @return {String} Description of the error.
+**/
+var describeDeviceError = function (err)
+{
+    var code = labjack_t7_errors.getLJMErrorCode(err);
+    if (code !== undefined)
+        return 'LJM error ' + code;
+    if (err instanceof Error)
+        return err.message;
+    return String(err);
+};
+
+
+/**
+ * Create an error for a failed device operation.
+ *
+ * @param {function} ErrorType The UpgradeError subclass to create.
+ * @param {DeviceFirmwareBundle} bundle The bundle being operated on.
+ * @param {String} operation Description of the operation that failed.
+ * @param {Number|String} err The error reported by labjack-nodejs, usually an
+ *      LJM error code.
+ * @param {Number} retries The number of times the operation was retried.
+ * @param {Number} address The flash address being operated on.
+ * @return {UpgradeError} Error with code, address and retries attributes.
+**/
+var createDeviceError = function (ErrorType, bundle, operation, err, retries,
+    address)
+{
+    var error = createError(
+        ErrorType,
+        bundle,
+        operation + ' failed: ' + describeDeviceError(err) + ' (after ' +
+            retries + ' retries).',
+        {
+            address: address,
+            code: labjack_t7_errors.getLJMErrorCode(err),
+            cause: err
+        }
+    );
+    error.retries = retries;
+    return error;
+};
+
+
+/**
+ * Find the LJM name of a connection type.
+ *
+ * @param {Number|String} connectionType The connection type number or name.
+ * @return {String} The name, like 'LJM_ctUSB'. Names are returned unchanged.
+**/
+var getConnectionTypeName = function (connectionType)
+{
+    if (typeof connectionType === 'string' && isNaN(connectionType))
+        return connectionType;
+
+    var names = Object.keys(connection_types).filter(function (name) {
+        return name.indexOf('LJM_ct') === 0 &&
+            connection_types[name] === Number(connectionType);
+    });
+    return names.length > 0 ? names[0] : connectionType;
+};
+
+
+/**
+ * Determine if a firmware source is a readable stream.
+ *
+ * @param {Object} source The firmware source to check.
+ * @return {Boolean} True if the source can be read as a stream.
+**/
+var isReadableStream = function (source)
+{
+    return source instanceof Object && typeof source.pipe === 'function' &&
+        typeof source.on === 'function';
+};
+
+
+/**
+ * Read the raw contents of a firmware source into memory.
+ *
+ * @param {String|Buffer|stream.Readable} source The path of the firmware file,
+ *      a Buffer with its contents or a readable stream of its contents.
+ * @return {q.promise} Promise that resolves to a Buffer with the contents of
+ *      the source. Buffer sources are copied so that later changes by the
+ *      caller do not affect the upgrade. Rejects with a FirmwareFileError if
+ *      the source cannot be read.
+**/
+var readFirmwareSource = function (source)
+{
+    var deferred = q.defer();
+
+    var reject = function (message, err) {
+        deferred.reject(new labjack_t7_errors.FirmwareFileError(
+            message + ': ' + err.message + '.',
+            {cause: err}
+        ));
+    };
+
+    if (Buffer.isBuffer(source)) {
+        deferred.resolve(new Buffer(source));
+    } else if (typeof source === 'string') {
+        fs.readFile(source, function (err, data) {
+            if (err)
+                reject('Could not read firmware file', err);
+            else
+                deferred.resolve(new Buffer(data));
+        });
+    } else if (isReadableStream(source)) {
+        var chunks = [];
+        source.on('data', function (chunk) {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : new Buffer(chunk));
+        });
+        source.on('error', function (err) {
+            reject('Could not read firmware stream', err);
+        });
+        source.on('end', function () {
+            deferred.resolve(Buffer.concat(chunks));
+        });
+    } else {
+        deferred.reject(new labjack_t7_errors.FirmwareFileError(
+            'Firmware source must be a path, a Buffer or a readable stream.'));
+    }
+
+    return deferred.promise;
+};
+
+
+/**
+ * Loads every image in the specified firmware source into memory.
+ *
+ * Reads the raw contents of the firmware file from a path, a Buffer or a
+ * readable stream. Note that the entire file is held in memory. The file
+ * headers are parsed and validated before any bundle is created so that
+ * truncated or corrupted files are rejected before any device is touched.
+ *
+ * The firmware version of each image is taken from its header. If the source
+ * is a path and the file name follows the release naming pattern, its version
+ * must match the headers (see labjack_t7_header.checkFileName).
+ *
+ * @param {String|Buffer|stream.Readable} source The path of the firmware file,
+ *      a Buffer with its contents or a readable stream of its contents.
+ * @return {q.promise} Promise that resolves to an array with one new
+ *      DeviceFirmwareBundle per image in the file, in file order, without a
+ *      device loaded. Rejects with a FirmwareFileError if the source cannot
+ *      be read or a FirmwareHeaderError if any file header is invalid or does
+ *      not match the version in the file name.
+**/
+exports.loadFirmwareImages = function(source)
+{
+    return readFirmwareSource(source).then(function (imageFile) {
+        var firmwareImages = labjack_t7_header.parseFirmwareFile(imageFile);
+        if (typeof source === 'string')
+            labjack_t7_header.checkFileName(firmwareImages, source);
+
+        return firmwareImages.map(function (firmwareImage) {
+            var header = firmwareImage.header;
+            var bundle = new DeviceFirmwareBundle();
+            bundle.setFirmwareImageInformation(header);
+            bundle.setFirmwareImage(firmwareImage.image);
+            bundle.setFirmwareVersion(header.containedVersion);
+            return bundle;
+        });
+    });
+};
+
+
+/**
+ * Loads the first image in the specified firmware source into memory.
+ *
+ * See loadFirmwareImages for sources with more than one image.
+ *
+ * @param {String|Buffer|stream.Readable} source The path of the firmware file,
+ *      a Buffer with its contents or a readable stream of its contents.
+ * @return {q.promise} New DeviceFirmwareBundle without a device loaded but
+ *      initalized with the first image in the firmware source. Rejects with a
+ *      FirmwareFileError if the source cannot be read or a
+ *      FirmwareHeaderError if the file header is invalid.
+**/
+exports.loadFirmware = function(source)
+{
+    return exports.loadFirmwareImages(source).then(function (bundles) {
+        return bundles[0];
+    });
+};
+
+
+/**
+ * Reads every image in the specified firmware file into memory.
+ *
+ * @param {String} fileSrc The full path to the file to read.
+ * @return {q.promise} Promise that resolves to an array with one new
+ *      DeviceFirmwareBundle per image in the file. See loadFirmwareImages.
+**/
+exports.readFirmwareImages = function(fileSrc)
+{
+    return exports.loadFirmwareImages(fileSrc);
+};
+
+
+/**
+ * Reads the contents of the specified firmware file into memory.
+ *
+ * Reads the first image from the specified firmware file. See
+ * readFirmwareImages for files with more than one image.
+ *
+ * @param {String} fileSrc The full path to the file to read.
+ * @return {q.promise} New DeviceFirmwareBundle without a device loaded but
+ *      initalized with the contents of the specified firmware file. Rejects
+ *      with a FirmwareHeaderError if the file header is invalid.
+**/
+exports.readFirmwareFile = function(fileSrc)
+{
+    return exports.loadFirmware(fileSrc);
+};
+
+
+/**
+ * Determine if an image is T7 application firmware.
+ *
+ * Only application firmware reports its version through FIRMWARE_VERSION.
+ * Other images in a firmware file, such as recovery firmware, do not.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the image to check.
+ * @return {Boolean} True if the image is intended to run as a T7 application.
+**/
+var isApplicationImage = function (bundle)
+{
+    var intendedDevice = bundle.getFirmwareImageInformation().intendedDevice;
+    return ALLOWED_IMAGE_INFO_DEVICE_TYPES.indexOf(intendedDevice) != -1;
+};
+
+
+/**
+ * Select the images from a firmware file that should be written to a device.
+ *
+ * @param {Array} bundles Array of DeviceFirmwareBundle, one per image in the
+ *      firmware file.
+ * @param {Boolean} allImages If true, every image is selected. Otherwise only
+ *      the images intended for a T7 are selected.
+ * @return {Array} The selected bundles in file order.
+ * @throws {CompatibilityError} Thrown if no images are selected.
+**/
+var selectImages = function (bundles, allImages)
+{
+    var selected = bundles.filter(function (bundle) {
+        return allImages || isApplicationImage(bundle);
+    });
+
+    if (selected.length === 0) {
+        throw new labjack_t7_errors.CompatibilityError(
+            'No image in firmware file targets this device.');
+    }
+
+    return selected;
+};
+
+
+/**
+ * Round a firmware version to the precision used in firmware headers.
+ *
+ * Devices report their firmware version as a 32 bit float.
+ *
+ * @param {Number} version The version to round.
+ * @return {Number} The version rounded to 4 decimal places.
+**/
+var roundVersion = function (version)
+{
+    return Number(Number(version).toFixed(4));
+};
+
+
+/**
+ * Apply the bundle's version policy to the firmware installed on its device.
+ *
+ * Reads FIRMWARE_VERSION from the device and records it as the bundle's
+ * installed version. Images whose version is already installed are marked as
+ * such if the policy skips them. FIRMWARE_VERSION only describes application
+ * firmware so other images in a multi-image file are not checked.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device and image to
+ *      check.
+ * @return {q.promise} Promise that resolves to the provided bundle. Rejects
+ *      with a CompatibilityError if the policy does not allow the image to be
+ *      installed.
+**/
+var checkVersionPolicy = function (bundle)
+{
+    var deferred = q.defer();
+    var CompatibilityError = labjack_t7_errors.CompatibilityError;
+    var policy = bundle.getVersionPolicy();
+    var newVersion = bundle.getFirmwareVersion();
+
+    bundle.setAlreadyInstalled(false);
+
+    if (!isApplicationImage(bundle)) {
+        deferred.resolve(bundle);
+        return deferred.promise;
+    }
+
+    if (policy.minimumVersion !== null && newVersion < policy.minimumVersion) {
+        deferred.reject(createError(CompatibilityError, bundle,
+            'Firmware ' + newVersion + ' is older than the minimum version ' +
+                policy.minimumVersion + '.'));
+        return deferred.promise;
+    }
+
+    bundle.getDevice().read('FIRMWARE_VERSION',
+        function (err) {
+            deferred.reject(createError(
+                CompatibilityError,
+                bundle,
+                'Reading firmware version failed: ' +
+                    describeDeviceError(err) + '.',
+                {code: labjack_t7_errors.getLJMErrorCode(err), cause: err}
+            ));
+        },
+        function (firmwareVersion) {
+            var installedVersion = roundVersion(firmwareVersion);
+            var isDowngrade = newVersion < installedVersion;
+            bundle.setInstalledVersion(installedVersion);
+
+            if (policy.force) {
+                deferred.resolve(bundle);
+            } else if (isDowngrade && !policy.allowDowngrade) {
+                deferred.reject(createError(CompatibilityError, bundle,
+                    'Firmware ' + newVersion + ' is older than installed ' +
+                        'firmware ' + installedVersion + '. Set ' +
+                        'allowDowngrade to install it.'));
+            } else if (newVersion == installedVersion &&
+                !policy.skipIfSameVersion) {
+                deferred.reject(createError(CompatibilityError, bundle,
+                    'Firmware ' + newVersion + ' is already installed. Set ' +
+                        'skipIfSameVersion to skip it or force to reinstall ' +
+                        'it.'));
+            } else {
+                bundle.setAlreadyInstalled(newVersion == installedVersion);
+                deferred.resolve(bundle);
+            }
+        }
+    );
+
+    return deferred.promise;
+};
+
+
+/**
+ * Ensure that the given firmware image is compatible with the given device.
+ *
+ * Checks the image header and then applies the bundle's version policy to the
+ * firmware installed on the device (see DeviceFirmwareBundle.setVersionPolicy).
+ *
+ * @param {DeviceFirmwareBundle} bundle The firmware and corresponding device to
+ *      check compatability for.
+ * @return {q.promise} Promise that resolves to the provided device bundle.
+ * @throws {CompatibilityError} Thrown if the firmware image is not
+ *      compatible or the version policy does not allow it to be installed.
+**/
+exports.checkCompatibility = function(bundle)
+{
+    var deferred = q.defer();
+
+    var expectedHeaderCode = driver_const.T7_HEAD_FIRST_FOUR_BYTES;
+    var imageInformation = bundle.getFirmwareImageInformation();
+
+    // The bundle's firmware version is read from this header, so it is the
+    // file name that is checked against it (see
+    // labjack_t7_header.checkFileName).
+    var headerCodeCorrect = imageInformation.headerCode == expectedHeaderCode;
+    var intendedDeviceCorrect = ALLOWED_IMAGE_INFO_DEVICE_TYPES.indexOf(
+        imageInformation.intendedDevice) != -1;
+
+    if (headerCodeCorrect && intendedDeviceCorrect) {
+        deferred.resolve(bundle);
+    } else {
+        var CompatibilityError = labjack_t7_errors.CompatibilityError;
+        if (!headerCodeCorrect) {
+            deferred.reject(createError(CompatibilityError, bundle,
+                'Invalid header code.'));
+        } else {
+            deferred.reject(createError(CompatibilityError, bundle,
+                'Incorrect device type.'));
+        }
+    }
+    
+    return deferred.promise.then(checkVersionPolicy);
+};
+
+
+/**
+ * Ensure that the firmware image matches the SHA-1 recorded in its header.
+ *
+ * Hashes the first numBytesInSHA bytes of the image payload and compares the
+ * result with the unencryptedSHA header field. Must be run before any flash is
+ * erased so that a corrupted file never reaches the device.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the firmware image and
+ *      image information to check.
+ * @return {q.promise} Promise that resolves to the provided device bundle.
+ * @throws {FirmwareFileError} Thrown if the image does not match the header
+ *      SHA-1.
+**/
+exports.checkImageHash = function(bundle)
+{
+    var deferred = q.defer();
+
+    var imageInformation = bundle.getFirmwareImageInformation();
+    var image = bundle.getFirmwareImage();
+    var numBytesInSHA = imageInformation.numBytesInSHA;
+
+    if (numBytesInSHA > image.length) {
+        deferred.reject(createError(labjack_t7_errors.FirmwareFileError, bundle,
+            'SHA-1 byte count exceeds image length.', {stage: 'check'}));
+        return deferred.promise;
+    }
+
+    var actualSHA = crypto.createHash('sha1')
+        .update(image.slice(0, numBytesInSHA))
+        .digest('hex');
+    var expectedSHA = imageInformation.unencryptedSHA.toString('hex');
+
+    if (actualSHA === expectedSHA) {
+        deferred.resolve(bundle);
+    } else {
+        deferred.reject(createError(
+            labjack_t7_errors.FirmwareFileError,
+            bundle,
+            'Image SHA-1 ' + actualSHA + ' does not match header SHA-1 ' +
+                expectedSHA + '.',
+            {stage: 'check'}
+        ));
+    }
+
+    return deferred.promise;
+};
+
+
+/**
+ * Erases n number of flash pages on the device within the provided bundle.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to perform
+ *      the erase operation on.
+ * @param {Number} startAddress The address to start erasing flash pages on.
+ * @param {Number} numPages The number of pages to erase;
+ * @param {Number} key Permissions key for that range.
+ * @return {q.promise} Promise that resolves to the provided bundle after the
+ *      erase is complete. Rejects with an EraseError with the address of the
+ *      page that could not be erased.
+**/
+exports.eraseFlash = function(bundle, startAddress, numPages, key)
+{
+    var deferred = q.defer();
+
+    var device = bundle.getDevice();
+    var pages = range(numPages);
+    var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
+    async.eachSeries(
+        pages,
+        function (page, callback) {
+            var abortError = getAbortError(bundle);
+            if (abortError) {
+                callback(abortError);
+                return;
+            }
+
+            var pageAddress = startAddress + page * pageSize;
+            var erasePage = function (onError, onSuccess) {
+                device.writeMany(
+                    [driver_const.T7_MA_EXF_KEY, driver_const.T7_MA_EXF_ERASE],
+                    [key, pageAddress],
+                    onError,
+                    onSuccess
+                );
+            };
+
+            retryOperation(
+                bundle.getRetryPolicy(),
+                erasePage,
+                function (err, retries) {
+                    callback(createDeviceError(
+                        labjack_t7_errors.EraseError,
+                        bundle,
+                        'Erasing flash page at ' + pageAddress,
+                        err,
+                        retries,
+                        pageAddress
+                    ));
+                },
+                function () {
+                    reportProgress(bundle, (page + 1) * pageSize,
+                        numPages * pageSize);
+                    callback(null);
+                }
+            );
+        },
+        function (err) {
+            if (err)
+                deferred.reject(err);
+            else
+                deferred.resolve(bundle);
+        }
+    );
+
+    return deferred.promise;
+};
+
+
+/**
+ * Erases the existing image in the device within the provided bundle.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to perform
+ *      the erase operation on.
+ * @return {q.promise} Promise that resolves to the provided bundle after the
+ *      erase is complete.
+**/
+exports.eraseImage = function(bundle)
+{
+    var deferred = q.defer();
+
+    exports.eraseFlash(
+        bundle,
+        driver_const.T7_EFAdd_ExtFirmwareImage,
+        driver_const.T7_IMG_FLASH_PAGE_ERASE,
+        driver_const.T7_EFkey_ExtFirmwareImage
+    ).then(
+        function() { deferred.resolve(bundle); },
+        function(err) { deferred.reject(err); }
+    );
+
+    return deferred.promise;
+};
+
+
+/**
+ * Erases the existing header in the device within the provided bundle.
+ *
+ * Erases the existing image information in the device within the provided
+ * bundle.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to perform
+ *      the erase operation on.
+ * @return {q.promise} Promise that resolves to the provided bundle after the
+ *      erase is complete.
+**/
+exports.eraseImageInformation = function(bundle)
+{
+    var deferred = q.defer();
+
+    exports.eraseFlash(
+        bundle,
+        driver_const.T7_EFAdd_ExtFirmwareImgInfo,
+        driver_const.T7_HDR_FLASH_PAGE_ERASE,
+        driver_const.T7_EFkey_ExtFirmwareImgInfo
+    ).then(
+        function() { deferred.resolve(bundle); },
+        deferred.reject
+    );
+
+    return deferred.promise;
+};
+
+
+/**
+ * Determine how many bytes one chunk of a flash operation adds to an rwMany
+ * call.
+ *
+ * @param {Number} size The number of integers in the chunk.
+ * @param {Boolean} isReadOp True if the chunk reads flash.
+ * @param {Boolean} hasKey True if the chunk writes a permissions key.
+ * @return {Object} Object with the number of command and response bytes.
+**/
+var getChunkBytes = function (size, isReadOp, hasKey)
+{
+    // A pointer write, an optional key write and the data frame itself.
+    var extraInts = hasKey ? 2 : 1;
+    return {
+        command: (extraInts + 1) * labjack_t7_ljm.FEEDBACK_FRAME_BYTES +
+            (extraInts + (isReadOp ? 0 : size)) * 4,
+        response: isReadOp ? size * 4 : 0
+    };
+};
+
+
+/**
+ * Decide how a flash operation splits its integers into chunks and calls.
+ *
+ * An adaptive size starts at the size last found to work on the device's
+ * connection type or else the largest power of two number of integers that
+ * fits in one packet on that connection. Powers of two keep chunks within
+ * flash pages. Adaptive chunks already fill a packet so are sent one per
+ * call. Other chunks are combined into as many per call as fit in a packet,
+ * up to the bundle's chunks per call.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to use.
+ * @param {Number|String} sizeInts The number of integers per chunk or
+ *      'adaptive'.
+ * @param {Boolean} isReadOp True if the operation reads flash.
+ * @param {Boolean} hasKey True if the operation writes a permissions key.
+ * @return {q.promise} Promise that resolves to an object with the chunk size
+ *      in integers, chunksPerCall, whether the size is adaptive and the
+ *      connectionType the size is for. If the connection can not be looked
+ *      up, the size is the default chunk size for adaptive operations, one
+ *      chunk is sent per call and the connectionType is null.
+**/
+var planTransfer = function (bundle, sizeInts, isReadOp, hasKey)
+{
+    var deferred = q.defer();
+    var maxChunksPerCall = bundle.getChunksPerCall();
+    var transfer = {
+        size: sizeInts === 'adaptive' ?
+            driver_const.T7_FLASH_BLOCK_WRITE_SIZE : sizeInts,
+        chunksPerCall: 1,
+        adaptive: sizeInts === 'adaptive',
+        connectionType: null
+    };
+
+    if (!transfer.adaptive && maxChunksPerCall === 1)
+        return q(transfer);
+
+    var fitsPacket = function (maxBytes, size, numChunks) {
+        var chunkBytes = getChunkBytes(size, isReadOp, hasKey);
+        var headerBytes = labjack_t7_ljm.FEEDBACK_HEADER_BYTES;
+        return headerBytes + chunkBytes.command * numChunks <= maxBytes &&
+            headerBytes + chunkBytes.response * numChunks <= maxBytes;
+    };
+
+    bundle.getDevice().getHandleInfo(
+        function () { deferred.resolve(transfer); },
+        function (handleInfo) {
+            if (!handleInfo || !handleInfo.maxBytesPerMB) {
+                deferred.resolve(transfer);
+                return;
+            }
+
+            var maxBytes = handleInfo.maxBytesPerMB;
+            var connectionType = handleInfo.connectionType;
+
+            if (transfer.adaptive) {
+                var size = 1;
+                while (fitsPacket(maxBytes, size * 2, 1))
+                    size *= 2;
+                transfer.connectionType = connectionType;
+                transfer.size = adaptiveChunkSizes[connectionType] || size;
+            } else {
+                while (transfer.chunksPerCall !== maxChunksPerCall &&
+                    fitsPacket(maxBytes, transfer.size,
+                        transfer.chunksPerCall + 1)) {
+                    transfer.chunksPerCall++;
+                }
+            }
+            deferred.resolve(transfer);
+        }
+    );
+
+    return deferred.promise;
+};
+
+
+/**
+ * Transfer a range of flash in chunks using rwMany calls.
+ *
+ * Each chunk writes the key, if given, and the flash pointer before reading
+ * or writing its integers, so several chunks can be sent in one call (see
+ * planTransfer). If a call with more than one chunk fails with a packet size
+ * error, the number of chunks per call is halved and the call tried again.
+ * With an adaptive size, the chunk size is halved and the chunk tried again
+ * each time a single chunk fails with a packet size error. The reduced size
+ * is remembered for the device's connection type. Packet size errors are only
+ * retried, as set by the bundle's retry policy, once the call can not shrink.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to use.
+ * @param {Number} startAddress The flash address to start at.
+ * @param {Number} lengthInts The number of integers to transfer.
+ * @param {Number|String} sizeInts The number of integers per chunk or
+ *      'adaptive'.
+ * @param {Number} ptrAddress The flash pointer register.
+ * @param {Number} flashAddress The flash data register.
+ * @param {Boolean} isReadOp True to read flash or false to write it.
+ * @param {Number} key Optional permissions key for the range.
+ * @param {Buffer} data The data to write.
+ * @param {function} onChunkComplete Optional function called with the flash
+ *      address and number of integers of each chunk after it completes.
+ * @return {q.promise} Promise that resolves to an array of the integers read
+ *      or, for writes, to the provided bundle.
+**/
+var createFlashOperation = function (bundle, startAddress, lengthInts, sizeInts,
+    ptrAddress, flashAddress, isReadOp, key, data, onChunkComplete)
+{
+    var deferred = q.defer();
+    var device = bundle.getDevice();
+    var completedInts = 0;
+    
+    // A packet size error is answered by shrinking the call rather than by
+    // retrying it unchanged, so it is only retried once the call can not
+    // shrink any further.
+    var getRetryPolicy = function (canShrink) {
+        var retryPolicy = bundle.getRetryPolicy();
+        if (!canShrink)
+            return retryPolicy;
+
+        var shrinkingPolicy = {};
+        for (var name in retryPolicy)
+            shrinkingPolicy[name] = retryPolicy[name];
+        shrinkingPolicy.retryableErrors = retryPolicy.retryableErrors.filter(
+            function (code) { return PACKET_SIZE_ERRORS.indexOf(code) == -1; }
+        );
+        return shrinkingPolicy;
+    };
+
+    // Creates a closure over a rw execution of chunks, each with an address,
+    // size and, for writes, the values to write
+    var createExecution = function(chunks, canShrink)
+    {
+        return function (lastResults) {
+            var innerDeferred = q.defer();
+
+            var addresses = [];
+            var values = [];
+            var directions = [];
+            var numValues = [];
+            var address = chunks[0].address;
+            var numInts = 0;
+
+            chunks.forEach(function (chunk) {
+                // Write for key
+                if (key !== undefined) {
+                    addresses.push(driver_const.T7_MA_EXF_KEY);
+                    directions.push(driver_const.LJM_WRITE);
+                    numValues.push(1);
+                    values.push(key);
+                }
+
+                // Flash memory pointer
+                addresses.push(ptrAddress);
                 directions.push(driver_const.LJM_WRITE);
-                addresses.push(driver_const.T7_MA_EXF_KEY);
-                values.push(key);
-                numFrames = 3;
-                numValues = [1, 1];
+                numValues.push(1);
+                values.push(chunk.address);
+
+                addresses.push(flashAddress);
+                if (isReadOp) {
+                    directions.push(driver_const.LJM_READ);
+                    for (var i=0; i<chunk.size; i++) {
+                        values.push(null);
+                    }
+                } else {
+                    directions.push(driver_const.LJM_WRITE);
+                    values.push.apply(values, chunk.writeValues);
+                }
+                numValues.push(chunk.size);
+                numInts += chunk.size;
+            });
+
+            var transferChunk = function (onError, onSuccess) {
+                device.rwMany(
+                    addresses,
+                    directions,
+                    numValues,
+                    values,
+                    onError,
+                    onSuccess
+                );
+            };
+
+            retryOperation(
+                getRetryPolicy(canShrink),
+                transferChunk,
+                function (err, retries) {
+                    innerDeferred.reject(createDeviceError(
+                        isReadOp ?
+                            labjack_t7_errors.VerifyError :
+                            labjack_t7_errors.WriteError,
+                        bundle,
+                        (isReadOp ? 'Reading' : 'Writing') + ' flash at ' +
+                            address,
+                        err,
+                        retries,
+                        address
+                    ));
+                },
+                function (newResults) { 
+                    completedInts += numInts;
+                    reportProgress(bundle, completedInts * 4, lengthInts * 4);
+                    if (onChunkComplete) {
+                        chunks.forEach(function (chunk) {
+                            onChunkComplete(chunk.address, chunk.size);
+                        });
+                    }
+                    lastResults.push.apply(lastResults, newResults);
+                    innerDeferred.resolve(lastResults);
+                }
+            );
+
+            return innerDeferred.promise;
+        };
+    };
+
+    var getdata = function (imageBuffer, numIntegers, offset) {
+        var retArray = [];
+        for (var i=0; i<numIntegers; i++) {
+            retArray.push(imageBuffer.readUInt32BE(i*4 + offset));
+        }
+        return retArray;
+    }
+
+    // Transfers one call at a time until lengthInts integers are done.
+    var executeFrom = function (transfer, offsetInts, lastMemoryResult) {
+        if (offsetInts >= lengthInts) {
+            deferred.resolve(isReadOp ? lastMemoryResult : bundle);
+            return;
+        }
+
+        var abortError = getAbortError(bundle);
+        if (abortError) {
+            deferred.reject(abortError);
+            return;
+        }
+
+        var chunks = [];
+        var nextOffsetInts = offsetInts;
+        while (chunks.length < transfer.chunksPerCall &&
+            nextOffsetInts < lengthInts) {
+            var size = Math.min(transfer.size, lengthInts - nextOffsetInts);
+            chunks.push({
+                address: startAddress + nextOffsetInts * 4, // 4 bytes per int
+                size: size,
+                writeValues: isReadOp ?
+                    undefined : getdata(data, size, nextOffsetInts * 4)
+            });
+            nextOffsetInts += size;
+        }
+
+        var chunkSize = chunks[0].size;
+        var canShrink = chunks.length > 1 ||
+            (transfer.adaptive && chunkSize > 1);
+
+        createExecution(chunks, canShrink)(lastMemoryResult).then(
+            function (newMemory) {
+                executeFrom(transfer, nextOffsetInts, newMemory);
+            },
+            function (err) {
+                var isPacketSizeError =
+                    PACKET_SIZE_ERRORS.indexOf(err.code) != -1;
+
+                if (isPacketSizeError && chunks.length > 1) {
+                    transfer.chunksPerCall = Math.floor(chunks.length / 2);
+                } else if (isPacketSizeError && canShrink) {
+                    transfer.size = Math.floor(chunkSize / 2);
+                    if (transfer.connectionType !== null) {
+                        adaptiveChunkSizes[transfer.connectionType] =
+                            transfer.size;
+                    }
+                } else {
+                    deferred.reject(err);
+                    return;
+                }
+                executeFrom(transfer, offsetInts, lastMemoryResult);
+            }
+        ).fail(function (err) { deferred.reject(err); });
+    };
+
+    planTransfer(bundle, sizeInts, isReadOp, key !== undefined)
+    .then(function (transfer) {
+        executeFrom(transfer, 0, []);
+    })
+    .fail(function (err) { deferred.reject(err); });
+
+    return deferred.promise;
+}
+
+
+/**
+ * Reads desired flash memory region from the device.
+ *
+ * @param {DeviceFirwareBundle} bundle The bundle with the device to read from.
+ * @param {Number} startAddress The address to start reading at.
+ * @param {Number} length Number of integers to read.
+ * @param {Number|String} size The number of integers to read in each chunk
+ *      or 'adaptive' to pick it from the connection. Chunks are combined into
+ *      calls as set by the bundle's chunks per call.
+ * @return {q.promise} Promise that resolves to a Buffer with the memory
+ *      contents, each integer stored big endian as it is in flash. Rejects
+ *      with a VerifyError with the address of the chunk that could not be
+ *      read.
+**/
+exports.readFlash = function(bundle, startAddress, length, size)
+{
+    var readPtrAddress = driver_const.T7_MA_EXF_pREAD;
+    var readFlashAddress = driver_const.T7_MA_EXF_READ;
+    var device = bundle.getDevice();
+    return createFlashOperation(
+        bundle,
+        startAddress,
+        length,
+        size,
+        readPtrAddress,
+        readFlashAddress,
+        true
+    ).then(function (memory) {
+        var memoryBuffer = new Buffer(memory.length * 4);
+        memory.forEach(function (value, i) {
+            memoryBuffer.writeUInt32BE(value >>> 0, i * 4);
+        });
+        return memoryBuffer;
+    });
+}
+
+/**
+ * Reads image from flash memory.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to read from.
+ * @return {q.promise} Promise that resolves to a Buffer with the image region
+ *      as read from memory contents.
+**/
+exports.readImage = function(bundle)
+{
+    var numberOfIntegers = driver_const.T7_IMG_FLASH_PAGE_ERASE *
+        driver_const.T7_FLASH_PAGE_SIZE / 4;
+
+    return exports.readFlash(
+        bundle,
+        driver_const.T7_EFAdd_ExtFirmwareImage,
+        numberOfIntegers,
+        bundle.getChunkSize()
+    );
+};
+
+/**
+ * Reads image information from flash memory.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to read from.
+ * @return {q.promise} Promise that resolves to a Buffer with the image
+ *      information region as read from memory contents.
+**/
+exports.readImageInformation = function(bundle)
+{
+    var numberOfIntegers = driver_const.T7_HDR_FLASH_PAGE_ERASE *
+        driver_const.T7_FLASH_PAGE_SIZE / 4;
+
+    return exports.readFlash(
+        bundle,
+        driver_const.T7_EFAdd_ExtFirmwareImgInfo,
+        numberOfIntegers,
+        bundle.getChunkSize()
+    );
+};
+
+
+/**
+ * Look up and check a request for part of a named flash region.
+ *
+ * @param {String} regionName The name of the region (see
+ *      labjack_t7_flash.getRegion).
+ * @param {Number} offset The byte offset into the region. Defaults to 0.
+ * @param {Number} length The number of bytes requested. Defaults to the rest
+ *      of the region.
+ * @param {String} operation The operation requested: 'erase', 'read' or
+ *      'write'.
+ * @param {Object} options Optional object with an allowProtected flag that
+ *      permits erasing or writing protected regions.
+ * @return {Object} Object with the region, the flash address the request
+ *      starts at and its length in bytes.
+ * @throws {FlashRegionError} Thrown if the region does not exist, may not be
+ *      modified, or the request is out of bounds or misaligned. Erases must
+ *      cover whole pages and reads and writes whole 32 bit words.
+**/
+var checkRegionRequest = function (regionName, offset, length, operation,
+    options)
+{
+    var region = labjack_t7_flash.getRegion(regionName);
+    var alignment = operation === 'erase' ?
+        region.pageSize : labjack_t7_flash.WORD_SIZE;
+
+    if (operation !== 'read')
+        labjack_t7_flash.checkWritable(region, (options || {}).allowProtected);
+    if (offset === undefined)
+        offset = 0;
+    if (length === undefined)
+        length = region.size - offset;
+
+    return {
+        region: region,
+        address: labjack_t7_flash.checkRange(region, offset, length, alignment),
+        length: length
+    };
+};
+
+
+/**
+ * Erase pages of a named flash region.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to erase.
+ * @param {String} regionName The name of the region to erase in.
+ * @param {Number} offset Optional byte offset of the first page to erase.
+ *      Must be a multiple of the region page size. Defaults to 0.
+ * @param {Number} length Optional number of bytes to erase. Must be a
+ *      multiple of the region page size. Defaults to the rest of the region.
+ * @param {Object} options Optional object. Set allowProtected to true to
+ *      erase a protected region such as calValues.
+ * @return {q.promise} Promise that resolves to the provided bundle after the
+ *      erase is complete. Rejects with a FlashRegionError, before anything is
+ *      sent to the device, if the request is invalid, or as eraseFlash does.
+**/
+exports.eraseRegion = function(bundle, regionName, offset, length, options)
+{
+    var request;
+    try {
+        request = checkRegionRequest(regionName, offset, length, 'erase',
+            options);
+    } catch (err) {
+        return q.reject(err);
+    }
+
+    return exports.eraseFlash(
+        bundle,
+        request.address,
+        request.length / request.region.pageSize,
+        request.region.key
+    );
+};
+
+
+/**
+ * Read part of a named flash region.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to read from.
+ * @param {String} regionName The name of the region to read.
+ * @param {Number} offset Optional byte offset to start reading at. Must be a
+ *      multiple of 4. Defaults to 0.
+ * @param {Number} length Optional number of bytes to read. Must be a multiple
+ *      of 4. Defaults to the rest of the region.
+ * @return {q.promise} Promise that resolves to a Buffer with the memory
+ *      contents. Rejects with a FlashRegionError, before anything is sent to
+ *      the device, if the request is invalid, or as readFlash does.
+**/
+exports.readRegion = function(bundle, regionName, offset, length)
+{
+    var request;
+    try {
+        request = checkRegionRequest(regionName, offset, length, 'read');
+    } catch (err) {
+        return q.reject(err);
+    }
+
+    return exports.readFlash(
+        bundle,
+        request.address,
+        request.length / labjack_t7_flash.WORD_SIZE,
+        bundle.getChunkSize()
+    );
+};
+
+
+/**
+ * Write data to part of a named flash region.
+ *
+ * The pages written to must already be erased.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to write to.
+ * @param {String} regionName The name of the region to write to.
+ * @param {Number} offset The byte offset to start writing at. Must be a
+ *      multiple of 4.
+ * @param {Buffer} data The data to write. Its length must be a multiple of 4.
+ * @param {Object} options Optional object. Set allowProtected to true to
+ *      write to a protected region such as calValues.
+ * @return {q.promise} Promise that resolves to the provided bundle after the
+ *      write is complete. Rejects with a FlashRegionError, before anything is
+ *      sent to the device, if the request is invalid, or as writeFlash does.
+**/
+exports.writeRegion = function(bundle, regionName, offset, data, options)
+{
+    var request;
+    try {
+        if (!Buffer.isBuffer(data)) {
+            throw new labjack_t7_flash.FlashRegionError(String(regionName),
+                'Data to write must be a Buffer.', offset);
+        }
+        request = checkRegionRequest(regionName, offset, data.length,
+            'write', options);
+    } catch (err) {
+        return q.reject(err);
+    }
+
+    return exports.writeFlash(
+        bundle,
+        request.address,
+        request.length / labjack_t7_flash.WORD_SIZE,
+        bundle.getChunkSize(),
+        request.region.key,
+        data
+    );
+};
+
+
+/**
+ * Check that all image information and image pages have been erased.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to check.
+ * @return {q.promise} Promise that resovles to the provided bundle.
+ * @throws {EraseError} Error thrown if the image and image information pages
+ *      on the specified device are not zeroed.
+**/
+exports.checkErase = function(bundle)
+{
+    var deferred = q.defer();
+
+    var checkMemory = function (targetFunction, startAddress)
+    {
+        return function () {
+            return targetFunction(bundle).then(function (memory) {
+                for (var i=0; i<memory.length; i+=4) {
+                    if (memory.readUInt32BE(i) != EXPECTED_ZEROED_MEM_VAL) {
+                        throw createError(
+                            labjack_t7_errors.EraseError,
+                            bundle,
+                            'Flash not erased at ' + (startAddress + i) + '.',
+                            {address: startAddress + i}
+                        );
+                    }
+                }
+            });
+        };
+    };
+
+    q(null)
+    .then(checkMemory(
+        exports.readImageInformation,
+        driver_const.T7_EFAdd_ExtFirmwareImgInfo
+    ))
+    .then(checkMemory(
+        exports.readImage,
+        driver_const.T7_EFAdd_ExtFirmwareImage
+    ))
+    .then(function () {
+        deferred.resolve(bundle);
+    }, deferred.reject);
+
+    return deferred.promise;
+};
+
+
+/**
+ * Writes data to a flash memory region on the device.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to write to.
+ * @param {Number} startAddress The address to start writing at.
+ * @param {Number} length Number of integers to write.
+ * @param {Number|String} size The number of integers to write in each chunk
+ *      or 'adaptive' to pick it from the connection. Chunks are combined into
+ *      calls as set by the bundle's chunks per call.
+ * @param {Number} key Permissions key for that range.
+ * @param {Buffer} data The data to write.
+ * @param {function} onChunkComplete Optional function called with the flash
+ *      address and number of integers of each chunk after it is written.
+ * @return {q.promise} Promise that resolves to the provided bundle after the
+ *      write is complete. Rejects with a WriteError with the address of the
+ *      chunk that could not be written.
+**/
+exports.writeFlash = function(bundle, startAddress, length, size, key, data,
+    onChunkComplete)
+{
+    var writePtrAddress = driver_const.T7_MA_EXF_pWRITE;
+    var writeFlashAddress = driver_const.T7_MA_EXF_WRITE;
+    var device = bundle.getDevice();
+    return createFlashOperation(
+        bundle,
+        startAddress,
+        length,
+        size,
+        writePtrAddress,
+        writeFlashAddress,
+        false,
+        key,
+        data,
+        onChunkComplete
+    );
+}
+
+
+/**
+ * Check that an interrupted image write can be resumed from a checkpoint.
+ *
+ * Reads back the region of flash that the checkpoint says was written and
+ * confirms that it matches the image. On success, the bundle's image write
+ * offset is set so that writeImage continues from the checkpoint.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device and image.
+ * @param {Object} checkpoint Checkpoint as saved during the interrupted write.
+ * @return {q.promise} Promise that resolves to the provided bundle.
+ * @throws {CompatibilityError} Error thrown if the checkpoint is for a
+ *      different device or image.
+ * @throws {VerifyError} Error thrown if the flash contents do not match the
+ *      image.
+**/
+exports.checkResumePoint = function(bundle, checkpoint)
+{
+    var deferred = q.defer();
+
+    var image = bundle.getFirmwareImage();
+    var imageInformation = bundle.getFirmwareImageInformation();
+    var startAddress = driver_const.T7_EFAdd_ExtFirmwareImage;
+    var writtenBytes = checkpoint.address - startAddress;
+
+    var rejectCheckpoint = function (message) {
+        deferred.reject(createError(labjack_t7_errors.CompatibilityError,
+            bundle, message, {stage: 'resume'}));
+        return deferred.promise;
+    };
+
+    if (checkpoint.serialNumber != bundle.getSerialNumber()) {
+        return rejectCheckpoint(
+            'Checkpoint is for device ' + checkpoint.serialNumber + '.');
+    }
+
+    if (checkpoint.imageNumber !== imageInformation.imageNumber ||
+        checkpoint.containedVersion !== imageInformation.containedVersion) {
+        return rejectCheckpoint('Checkpoint is for a different image.');
+    }
+
+    if (writtenBytes < 0 || writtenBytes > image.length ||
+        writtenBytes % 4 !== 0) {
+        return rejectCheckpoint('Checkpoint address is outside the image.');
+    }
+
+    exports.readFlash(
+        bundle,
+        startAddress,
+        writtenBytes / 4,
+        bundle.getChunkSize()
+    ).then(function (memory) {
+        for (var i=0; i<writtenBytes; i+=4) {
+            if (memory.readUInt32BE(i) !== image.readUInt32BE(i)) {
+                deferred.reject(createError(
+                    labjack_t7_errors.VerifyError,
+                    bundle,
+                    'Flash at ' + (startAddress + i) + ' does not match ' +
+                        'image. A full upgrade is required.',
+                    {stage: 'resume', address: startAddress + i}
+                ));
+                return;
             }
+        }
+
+        bundle.setImageWriteOffset(writtenBytes);
+        deferred.resolve(bundle);
+    }, deferred.reject);
+
+    return deferred.promise;
+};
+
+
+/**
+ * Write the image in the provided bundle to the device in that bundle.
+ *
+ * Starts writing at the bundle's image write offset so that an interrupted
+ * write can be resumed. If the bundle has a checkpoint store, a checkpoint is
+ * saved each time a full flash page has been written.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle to perform the write in.
+ * @return {q.promise} Promise that resolves to the provided bundle after the
+ *      write is complete.
+**/
+exports.writeImage = function(bundle)
+{
+    var deferred = q.defer();
+
+    var image = bundle.getFirmwareImage();
+    var writeOffset = bundle.getImageWriteOffset();
+    var startAddress = driver_const.T7_EFAdd_ExtFirmwareImage;
+    var endAddress = startAddress + image.length;
+    var checkpointStore = bundle.getCheckpointStore();
+
+    // 4 bytes per integer
+    var numberOfIntegers = (image.length - writeOffset) / 4;
+
+    // Chunks need not line up with pages so save whenever one crosses a page
+    var saveCheckpoint = function (address, numIntegers) {
+        var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
+        var confirmedAddress = address + numIntegers * 4;
+        var crossedPage = Math.floor(address / pageSize) !==
+            Math.floor(confirmedAddress / pageSize);
+        if (crossedPage || confirmedAddress === endAddress)
+            checkpointStore.save(createCheckpoint(bundle, confirmedAddress));
+    };
+
+    exports.writeFlash(
+        bundle,
+        startAddress + writeOffset,
+        numberOfIntegers,
+        bundle.getChunkSize(),
+        driver_const.T7_EFkey_ExtFirmwareImage,
+        image.slice(writeOffset),
+        checkpointStore ? saveCheckpoint : undefined
+    ).then(
+        function (memoryContents) { deferred.resolve(bundle); },
+        function (err) { deferred.reject(err); }
+    );
+
+    return deferred.promise;
+};
+
+
+/**
+ * Write the header in the provided bundle to the device in that bundle.
+ *
+ * Write the image information in the provided bundle to the device within that
+ * bundle.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle to perform the write in.
+ * @return {q.promise} Promise that resolves to the provided bundle after the
+ *      write is complete.
+**/
+exports.writeImageInformation = function(bundle)
+{
+    var deferred = q.defer();
+
+    var rawImageInfo = bundle.getFirmwareImageInformation().rawImageInfo;
+
+    // 4 bytes per integer
+    var numberOfIntegers = rawImageInfo.length / 4;
+
+    exports.writeFlash(
+        bundle,
+        driver_const.T7_EFAdd_ExtFirmwareImgInfo,
+        numberOfIntegers,
+        bundle.getChunkSize(),
+        driver_const.T7_EFkey_ExtFirmwareImgInfo,
+        rawImageInfo
+    ).then(
+        function (memoryContents) { deferred.resolve(bundle); },
+        function (err) { deferred.reject(err); }
+    );
+
+    return deferred.promise;
+};
+
+
+/**
+ * Compare flash contents with the data expected to be in flash.
+ *
+ * Compares the two buffers as big endian 32 bit words. Adjacent mismatched
+ * words are grouped into ranges.
+ *
+ * @param {Buffer} expected The data that should be in flash.
+ * @param {Buffer} actual The data read back from flash.
+ * @param {Number} startAddress The flash address of the first word.
+ * @param {Number} mismatchLimit The maximum number of mismatched words to
+ *      include in the report. Every mismatch is still counted.
+ * @return {Object} Report with the following attributes:
+ *      mismatchedWords {Number} The total number of mismatched words.
+ *      ranges {Array} Array of mismatched ranges, each with the address of
+ *          its first word and expected and actual arrays with the words in
+ *          the range.
+ *      truncated {Boolean} True if some mismatches were left out of ranges
+ *          because of the mismatch limit.
+**/
+exports.compareFlash = function(expected, actual, startAddress, mismatchLimit)
+{
+    var report = {mismatchedWords: 0, ranges: [], truncated: false};
+    var currentRange = null;
+
+    for (var i=0; i<expected.length; i+=4) {
+        var expectedWord = expected.readUInt32BE(i);
+        var actualWord = i + 4 <= actual.length ? actual.readUInt32BE(i) : null;
+
+        if (expectedWord === actualWord) {
+            currentRange = null;
+            continue;
+        }
+
+        report.mismatchedWords++;
+        if (report.mismatchedWords > mismatchLimit) {
+            report.truncated = true;
+            continue;
+        }
+
+        if (currentRange === null) {
+            currentRange = {
+                address: startAddress + i,
+                expected: [],
+                actual: []
+            };
+            report.ranges.push(currentRange);
+        }
+        currentRange.expected.push(expectedWord);
+        currentRange.actual.push(actualWord);
+    }
+
+    return report;
+};
+
+
+/**
+ * Check that the proper image / image information was written.
+ *
+ * Reads back the image and image information from flash and compares them
+ * word for word with the image and header in the bundle. Both regions are
+ * always checked so that the report covers every mismatch, up to the bundle's
+ * verify mismatch limit.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle to perform the check in.
+ * @return {q.promise} Promise that resolves to the provided bundle after the
+ *      check.
+ * @throws {VerifyError} Error thrown if the check fails. The error has a
+ *      report attribute as returned by compareFlash covering both regions.
+**/
+exports.checkImageWrite = function(bundle)
+{
+    var deferred = q.defer();
 
-            if (isReadOp)
-                directions.push(driver_const.LJM_READ);
-            else
-                directions.push(driver_const.LJM_WRITE);
+    var bundleImage = bundle.getFirmwareImage();
+    var rawImageInfo = bundle.getFirmwareImageInformation().rawImageInfo;
+    var mismatchLimit = bundle.getVerifyMismatchLimit();
+    var report = {mismatchedWords: 0, ranges: [], truncated: false};
 
-            addresses.push(ptrAddress);
-            values.push(address);
-            addresses.push(flashAddress);
+    var checkMemory = function (expected, startAddress) {
+        return function () {
+            return exports.readFlash(
+                bundle,
+                startAddress,
+                expected.length / 4,
+                bundle.getChunkSize()
+            ).then(function (memory) {
+                var regionReport = exports.compareFlash(
+                    expected,
+                    memory,
+                    startAddress,
+                    mismatchLimit - report.mismatchedWords
+                );
+                report.mismatchedWords += regionReport.mismatchedWords;
+                report.ranges.push.apply(report.ranges, regionReport.ranges);
+                report.truncated = report.truncated || regionReport.truncated;
+            });
+        };
+    };
 
-            if (isReadOp) {
-                for (var i=0; i<innerSize; i++) {
-                    values.push(null);
-                }
-            } else {
-                values.push.apply(values, writeValues);
-            }
+    var checkReport = function () {
+        if (report.mismatchedWords === 0) {
+            deferred.resolve(bundle);
+            return;
+        }
 
-            numValues.push(innerSize);
+        var firstRange = report.ranges[0];
+        var error = createError(
+            labjack_t7_errors.VerifyError,
+            bundle,
+            'Flash verification found ' + report.mismatchedWords +
+                ' mismatched words, starting at ' + firstRange.address + '.',
+            {address: firstRange.address}
+        );
+        error.report = report;
+        deferred.reject(error);
+    };
 
-            device.rwMany(
-                addresses,
-                directions,
-                numValues,
-                values,
-                innerDeferred.reject,
-                function (newResults) { 
-                    lastResults.push.apply(lastResults, newResults);
-                    innerDeferred.resolve(lastResults);
-                }
-            );
+    q(null)
+    .then(checkMemory(bundleImage, driver_const.T7_EFAdd_ExtFirmwareImage))
+    .then(checkMemory(rawImageInfo, driver_const.T7_EFAdd_ExtFirmwareImgInfo))
+    .then(checkReport, deferred.reject);
 
-            return innerDeferred.promise;
+    return deferred.promise;
+};
+
+
+/**
+ * Describe the flash operations that upgrading to an image would perform.
+ *
+ * Does not communicate with the device.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the image to plan for.
+ *      The image write offset is used if the write is being resumed.
+ * @param {Object} options Optional object with the following attributes:
+ *      resumed {Boolean} True if an interrupted write is being resumed
+ *          rather than flash being erased. Defaults to false.
+ *      verify {Boolean} True if the written flash will be read back and
+ *          checked. Defaults to true.
+ *      readTransfer {Object} How flash reads are split into chunks and
+ *          rwMany calls, as planned by planTransfer. Defaults to one chunk
+ *          of the bundle's chunk size per call.
+ *      writeTransfer {Object} How flash writes are split into chunks and
+ *          rwMany calls, as planned by planTransfer. Defaults to one chunk
+ *          of the bundle's chunk size per call.
+ * @return {Object} Plan with the following attributes:
+ *      imageNumber {Number} The number of the image in the firmware file.
+ *      intendedDevice {Number} The target the image is intended for.
+ *      firmwareVersion {Number} The firmware version of the image.
+ *      skipped {Boolean} True if the image is already installed and would
+ *          not be written. Skipped images perform no flash operations.
+ *      erasePages {Array} The address of every flash page that would be
+ *          erased, in order.
+ *      writeChunks {Number} The number of flash chunks that would be written.
+ *      writeBytes {Number} The number of bytes that would be written.
+ *      readChunks {Number} The number of flash chunks that would be read to
+ *          check the erase, resume point and write.
+ *      rwManyCalls {Number} The number of rwMany calls the chunks would be
+ *          sent in.
+ *      estimatedDuration {Number} Rough number of milliseconds the upgrade
+ *          of this image would take, including the reboot.
+**/
+exports.planImage = function(bundle, options)
+{
+    options = options || {};
+
+    var imageInformation = bundle.getFirmwareImageInformation();
+    var image = bundle.getFirmwareImage();
+    var writeOffset = options.resumed ? bundle.getImageWriteOffset() : 0;
+    var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
+    var erasePages = [];
+    var readChunks = 0;
+
+    if (bundle.isAlreadyInstalled()) {
+        return {
+            imageNumber: imageInformation.imageNumber,
+            intendedDevice: imageInformation.intendedDevice,
+            firmwareVersion: bundle.getFirmwareVersion(),
+            skipped: true,
+            erasePages: [],
+            writeChunks: 0,
+            writeBytes: 0,
+            readChunks: 0,
+            rwManyCalls: 0,
+            estimatedDuration: 0
         };
+    }
+
+    // The adaptive size is not known until the device is asked, so plan with
+    // the default
+    var chunkSize = bundle.getChunkSize();
+    if (chunkSize === 'adaptive')
+        chunkSize = driver_const.T7_FLASH_BLOCK_WRITE_SIZE;
+    var defaultTransfer = {size: chunkSize, chunksPerCall: 1};
+    var readTransfer = options.readTransfer || defaultTransfer;
+    var writeTransfer = options.writeTransfer || defaultTransfer;
+    var rwManyCalls = 0;
+
+    // Counts the chunks of one flash operation and the calls they are sent in.
+    var countChunks = function (numBytes, transfer) {
+        var numChunks = Math.ceil(numBytes / 4 / transfer.size);
+        rwManyCalls += Math.ceil(numChunks / transfer.chunksPerCall);
+        return numChunks;
     };
 
-    var getdata = function (imageBuffer, numIntegers, offset) {
-        var retArray = [];
-        for (var i=0; i<numIntegers; i++) {
-            retArray.push(imageBuffer.readUInt32BE(i*4 + offset));
-        }
-        return retArray;
+    var addPages = function (startAddress, numPages) {
+        for (var i=0; i<numPages; i++)
+            erasePages.push(startAddress + i * pageSize);
+    };
+
+    if (options.resumed) {
+        readChunks += countChunks(writeOffset, readTransfer);
+    } else {
+        addPages(
+            driver_const.T7_EFAdd_ExtFirmwareImage,
+            driver_const.T7_IMG_FLASH_PAGE_ERASE
+        );
+        addPages(
+            driver_const.T7_EFAdd_ExtFirmwareImgInfo,
+            driver_const.T7_HDR_FLASH_PAGE_ERASE
+        );
+        readChunks += countChunks(
+            driver_const.T7_HDR_FLASH_PAGE_ERASE * pageSize, readTransfer) +
+            countChunks(driver_const.T7_IMG_FLASH_PAGE_ERASE * pageSize,
+                readTransfer);
     }
 
-    var executeOperations = [];
-    var size = sizeInts;
-    var length = lengthInts;
-    var numIterations = Math.floor(length / size);
-    var remainder = length % size;
-    var shouldAugment = remainder > 0;
-    var currentAddress = startAddress;
-    var offset = 0;
-    var execution;
-
-    for (var i = 0; i<numIterations; i++)
-    {
-        if (isReadOp) {
-            execution = createExecution(
-                currentAddress,
-                size
-            );
-        } else {
-            execution = createExecution(
-                currentAddress,
-                size,
-                getdata(
-                    data,
-                    8, // 8 integer max for each rw op.
-                    offset
-                )
-            );
-        }
-        executeOperations.push(execution);
-        currentAddress += size * 4; // 4 bytes per integer written
-        offset += 32; // 4 bytes per integer * 8 integers written
+    var imageInfoLength = imageInformation.rawImageInfo.length;
+    var writeBytes = image.length - writeOffset + imageInfoLength;
+    var writeChunks = countChunks(image.length - writeOffset, writeTransfer) +
+        countChunks(imageInfoLength, writeTransfer);
+
+    if (options.verify !== false) {
+        readChunks += countChunks(image.length, readTransfer) +
+            countChunks(imageInfoLength, readTransfer);
     }
 
-    if (shouldAugment && remainder > 0) {
-        if (isReadOp) {
-            execution = createExecution(
-                currentAddress,
-                remainder
-            );
-        } else {
-            execution = createExecution(
-                currentAddress,
-                remainder,
-                getdata(
-                    data,
-                    remainder,
-                    offset
-                )
-            );
-        }
-        executeOperations.push(execution);
+    return {
+        imageNumber: imageInformation.imageNumber,
+        intendedDevice: imageInformation.intendedDevice,
+        firmwareVersion: bundle.getFirmwareVersion(),
+        skipped: false,
+        erasePages: erasePages,
+        writeChunks: writeChunks,
+        writeBytes: writeBytes,
+        readChunks: readChunks,
+        rwManyCalls: rwManyCalls,
+        estimatedDuration: erasePages.length * ESTIMATED_PAGE_ERASE_TIME +
+            rwManyCalls * ESTIMATED_CALL_TIME + EXPECTED_REBOOT_WAIT
+    };
+};
+
+
+/**
+ * Soft reboot the device, instructing it to upgrade in the process.
+ *
+ * Refuses to reboot if the upgrade the bundle is part of was aborted, as the
+ * image in flash may only be partially written.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle to perform the upgrade in.
+ * @return {q.promise} Promise that resolves to the provided bundle after the
+ *      upgrade and reboot has started.
+**/
+exports.restartAndUpgrade = function(bundle)
+{
+    var deferred = q.defer();
+    var device = bundle.getDevice();
+    var upgrade = bundle.getUpgrade();
+
+    if (upgrade && !upgrade.beginReboot()) {
+        deferred.reject(getAbortError(bundle));
+        return deferred.promise;
     }
 
-    async.reduce(
-        executeOperations,
-        [],
-        function (lastMemoryResult, currentExecution, callback) {
-            currentExecution(lastMemoryResult).then(
-                function (newMemory){
-                    callback(null, newMemory);
-                },
-                function (err) {
-                    callback(err, null);
-                }
-            );
+    device.write(
+        driver_const.T7_MA_REQ_FWUPG,
+        driver_const.T7_REQUEST_FW_UPGRADE,
+        function (err) {
+            deferred.reject(createError(
+                labjack_t7_errors.RebootError,
+                bundle,
+                'Requesting firmware upgrade failed: ' +
+                    describeDeviceError(err) + '.',
+                {code: labjack_t7_errors.getLJMErrorCode(err), cause: err}
+            ));
         },
-        function (err, allMemoryRead) {
-            if (err) {
-                deferred.reject( err );
-            } else {
-                deferred.resolve(bundle);
+        function () {
+            try {
+                device.closeSync();
+            } catch (err) {
+                // The device may already be gone. The reboot was requested.
             }
+            deferred.resolve(bundle);
         }
     );
-
     return deferred.promise;
-}
+};
 
 
 /**
- * Reads desired flash memory region from the device.
+ * Record how the device in a bundle is connected so it can be reopened.
  *
- * @param {DeviceFirwareBundle} bundle The bundle with the device to read from.
- * @param {Number} startAddress The address to start reading at.
- * @param {Number} length Number of integers to read.
- * @param {Number} size The number of reads to combine in a single read call.
+ * Must be called before the device is rebooted. Devices connected over USB are
+ * reopened using their serial number and devices connected over a network
+ * using their IP address.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the open device.
+ * @return {q.promise} Promise that resolves to the provided bundle after its
+ *      connection information has been set.
 **/
-exports.readFlash = function(bundle, startAddress, length, size)
+exports.recordConnection = function(bundle)
 {
-    var readPtrAddress = driver_const.T7_MA_EXF_pREAD;
-    var readFlashAddress = driver_const.T7_MA_EXF_READ;
-    var device = bundle.getDevice();
-    return createFlashOperation(
-        bundle,
-        startAddress,
-        length,
-        size,
-        readPtrAddress,
-        readFlashAddress,
-        true
+    var deferred = q.defer();
+
+    bundle.getDevice().getHandleInfo(
+        function (err) {
+            deferred.reject(createError(
+                labjack_t7_errors.RebootError,
+                bundle,
+                'Reading connection information failed: ' +
+                    describeDeviceError(err) + '.',
+                {code: labjack_t7_errors.getLJMErrorCode(err), cause: err}
+            ));
+        },
+        function (handleInfo) {
+            var isUSB = handleInfo.connectionType == connection_types.LJM_ctUSB;
+            bundle.setConnectionInfo({
+                deviceType: handleInfo.deviceType,
+                connectionType: handleInfo.connectionType,
+                serialNumber: handleInfo.serialNumber,
+                ipAddress: handleInfo.ipAddress,
+                identifier: isUSB ?
+                    String(handleInfo.serialNumber) : handleInfo.ipAddress
+            });
+            deferred.resolve(bundle);
+        }
     );
-}
+
+    return deferred.promise;
+};
+
 
 /**
- * Reads image from flash memory.
+ * Wait for a device to re-enumerate.
  *
- * @param {DeviceFirmwareBundle} bundle The bundle with the device to read from.
- * @return {q.promise} Promise that resolves to the image as read from memory
- *      contents.
+ * Wait for a specific device to re-enumerate. Looks for a device with the
+ * serial number in the provided bundle on each of the bundle's reconnect
+ * connection types in turn and updates the provided bundle with that new
+ * device after opening. Devices found over USB are opened using their serial
+ * number and devices found over a network using their IP address.
+ *
+ * The device is looked for once every poll interval until it is found or the
+ * bundle's enumeration policy runs out of time or attempts. Errors listing or
+ * opening the device count as failed attempts.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device information
+ *      to match.
+ * @return {q.promise} Promise that resolves to the updated bundle. Rejects
+ *      with an EnumerationTimeoutError if the device is not found in time.
 **/
-exports.readImage = function(bundle)
+exports.waitForEnumeration = function(bundle)
 {
     var deferred = q.defer();
+    var labjack = bundle.getLabJackLibrary();
+    var ljmDriver = new labjack.driver();
+    var targetSerial = bundle.getSerialNumber();
+    var connectionInfo = bundle.getConnectionInfo();
+    var deviceType = connectionInfo ?
+        connectionInfo.deviceType : device_types.LJM_dtT7;
+    var enumerationPolicy = bundle.getEnumerationPolicy();
+    var timeout = enumerationPolicy.timeout;
+    var pollInterval = enumerationPolicy.pollInterval || EXPECTED_REBOOT_WAIT;
+    var maxAttempts = enumerationPolicy.maxAttempts;
+    var startTime = Date.now();
+    var attempts = 0;
+    var lastError;
+
+    var findOnConnection = function (connectionType) {
+        var deferred = q.defer();
 
-    var numberOfIntegers = driver_const.T7_IMG_FLASH_PAGE_ERASE *
-        driver_const.T7_FLASH_PAGE_SIZE / 4;
+        ljmDriver.listAll(deviceType, connectionType,
+            function (err) { deferred.reject(err); },
+            function (devicesInfo) {
+                var matching = devicesInfo.filter(function (e) {
+                    return e.serialNumber == targetSerial;
+                });
+                deferred.resolve(matching.length > 0 ? matching[0] : null);
+            }
+        );
 
-    exports.readFlash(
-        bundle,
-        driver_const.T7_EFAdd_ExtFirmwareImage,
-        numberOfIntegers,
-        driver_const.T7_FLASH_BLOCK_WRITE_SIZE
-    ).then(
-        function (memoryContents) { deferred.resolve(bundle); },
-        function (err) { console.log(err); deferred.reject(err); }
-    );
+        return deferred.promise;
+    };
+
+    // Connection types are tried in order until the device is found.
+    var findDevice = function () {
+        return bundle.getReconnectOrder().reduce(
+            function (lastSearch, connectionType) {
+                return lastSearch.then(function (deviceInfo) {
+                    if (deviceInfo)
+                        return deviceInfo;
+                    return findOnConnection(connectionType)
+                    .fail(function (err) {
+                        lastError = err;
+                        return null;
+                    });
+                });
+            },
+            q(null)
+        );
+    };
+
+    var openDevice = function (deviceInfo) {
+        var isUSB = deviceInfo.connectionType == connection_types.LJM_ctUSB;
+        var identifier = isUSB ?
+            String(deviceInfo.serialNumber) : deviceInfo.ipAddress;
+        var newDevice = new labjack.device();
+        newDevice.openSync(deviceType, deviceInfo.connectionType, identifier);
+        return newDevice;
+    };
+
+    var scheduleCheck = function () {
+        var waited = Date.now() - startTime;
+        var outOfAttempts = maxAttempts !== null && attempts >= maxAttempts;
+        var outOfTime = timeout !== null && waited >= timeout;
+
+        if (outOfAttempts || outOfTime) {
+            deferred.reject(new labjack_t7_errors.EnumerationTimeoutError(
+                targetSerial,
+                waited,
+                attempts,
+                lastError
+            ));
+        } else if (timeout !== null) {
+            setTimeout(checkForDevice,
+                Math.min(pollInterval, timeout - waited));
+        } else {
+            setTimeout(checkForDevice, pollInterval);
+        }
+    };
+
+    var checkForDevice = function () {
+        attempts++;
+        findDevice().then(function (deviceInfo) {
+            if (deviceInfo) {
+                bundle.setDevice(openDevice(deviceInfo));
+                deferred.resolve(bundle);
+            } else {
+                scheduleCheck();
+            }
+        })
+        .fail(function (err) {
+            // The device may be listed before it can be opened.
+            lastError = err;
+            scheduleCheck();
+        });
+    };
+
+    scheduleCheck();
 
     return deferred.promise;
 };
 
+
 /**
- * Reads image information from flash memory.
+ * Checks that firmware image / image info matches the firmware on a device.
  *
- * @param {DeviceFirmwareBundle} bundle The bundle with the device to read from.
- * @return {q.promise} Promise that resolves to the image information as read
- *      from memory contents.
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to check and
+ *      the firmware image / image info to check for.
+ * @return {q.promise} Promise that resolves to the provided bundle.
+ * @throws {VerifyError} Error thrown if the firmware does not match.
 **/
-exports.readImageInformation = function(bundle)
+exports.checkNewFirmware = function(bundle)
 {
     var deferred = q.defer();
 
-    var numberOfIntegers = driver_const.T7_HDR_FLASH_PAGE_ERASE *
-        driver_const.T7_FLASH_PAGE_SIZE / 4;
+    bundle.getDevice().read('FIRMWARE_VERSION',
+        function (err) {
+            deferred.reject(createError(
+                labjack_t7_errors.VerifyError,
+                bundle,
+                'Reading firmware version failed: ' +
+                    describeDeviceError(err) + '.',
+                {
+                    stage: 'verify',
+                    code: labjack_t7_errors.getLJMErrorCode(err),
+                    cause: err
+                }
+            ));
+        },
+        function (firmwareVersion) {
+            var newVersion = roundVersion(firmwareVersion);
+            if(bundle.getFirmwareVersion() != newVersion) {
+                var errorMsg = 'New firmware version ' + newVersion +
+                    ' does not reflect upgrade to ' +
+                    bundle.getFirmwareVersion() + '.';
+                deferred.reject(createError(labjack_t7_errors.VerifyError,
+                    bundle, errorMsg, {stage: 'verify'}));
+            } else {
+                deferred.resolve(bundle);
+            }
+        }
+    );
+
+    return deferred.promise;
+};
+
+
+/**
+ * Handle on a firmware upgrade of a single device.
+ *
+ * Runs the update firmware pipeline and reports on it as it goes. Emits the
+ * following events:
+ *
+ *      stage (stageName, bundle) Emitted as the pipeline enters each of the
+ *          read, check, erase, write, verifyWrite, reboot, enumerate and
+ *          verify stages. The bundle is null during the read stage. Firmware
+ *          files with more than one image go through every stage after read
+ *          once per image. When resuming an interrupted write, a resume stage
+ *          replaces erase. The verifyWrite stage is skipped if the verify
+ *          option is false. Images that are already installed and skipped
+ *          (see the skipIfSameVersion option) only enter the check stage. Dry
+ *          runs only enter the read, check and resume stages. With the
+ *          rollback option, a backup stage comes before the first erase and
+ *          a rollback stage follows a failed enumerate or verify stage.
+ *      progress (progress) Emitted as flash pages are erased and flash chunks
+ *          are written. The progress object has stage, completedBytes and
+ *          totalBytes attributes. Totals are per flash operation.
+ *
+ * The upgrade may be aborted up until the device is asked to reboot into the
+ * new firmware. Erase and write operations stop before their next page or
+ * chunk and the upgrade rejects with an UpgradeAbortedError describing the
+ * stage that was interrupted and the state the firmware flash was left in.
+ *
+ * @param {labjack-nodejs.device} device The device to update.
+ * @param {String|Buffer|stream.Readable} firmwareFileLocation The location of
+ *      the bin file to read the firmware from, or its contents as a Buffer or
+ *      readable stream.
+ * @param {Object} options Optional object with upgrade options as described
+ *      in updateFirmware.
+**/
+function FirmwareUpgrade(device, firmwareFileLocation, options)
+{
+    EventEmitter.call(this);
+
+    var self = this;
+    var stage = null;
+    var aborted = false;
+    var rebooting = false;
+    var checkpointStore;
+    var rollbackSource = null;
+
+    options = options || {};
+
+    if (typeof options.rollback === 'string' ||
+        Buffer.isBuffer(options.rollback)) {
+        rollbackSource = options.rollback;
+    }
+
+    if (typeof options.checkpoint === 'string')
+        checkpointStore = exports.createFileCheckpointStore(options.checkpoint);
+    else
+        checkpointStore = options.checkpoint || null;
+
+    // Chunk options are checked before the firmware file is read.
+    var optionsError = null;
+    try {
+        var optionsBundle = new DeviceFirmwareBundle();
+        optionsBundle.setChunkSize(options.chunkSize);
+        optionsBundle.setChunksPerCall(options.chunksPerCall);
+    } catch (err) {
+        optionsError = err;
+    }
+
+    /**
+     * Get the name of the stage the upgrade pipeline is currently in.
+     *
+     * @return {String} The current stage name or null if the upgrade has not
+     *      been started.
+    **/
+    this.getStage = function()
+    {
+        return stage;
+    };
+
+    /**
+     * Move the upgrade pipeline into a new stage.
+     *
+     * @param {String} newStage The name of the stage being entered.
+     * @param {DeviceFirmwareBundle} bundle The bundle being operated on.
+    **/
+    this.enterStage = function(newStage, bundle)
+    {
+        if (newStage === 'check')
+            rebooting = false;
+        stage = newStage;
+        self.emit('stage', newStage, bundle || null);
+    };
+
+    /**
+     * Request that the upgrade stop at the next safe point.
+     *
+     * @return {Boolean} True if the upgrade will stop or false if the device
+     *      has already been asked to reboot into the new firmware and the
+     *      upgrade can no longer be aborted.
+    **/
+    this.abort = function()
+    {
+        if (rebooting)
+            return false;
+        aborted = true;
+        return true;
+    };
+
+    /**
+     * Determine if the upgrade has been aborted.
+     *
+     * @return {Boolean} True if abort was called before the device was asked
+     *      to reboot.
+    **/
+    this.isAborted = function()
+    {
+        return aborted;
+    };
+
+    /**
+     * Mark the point after which the upgrade can no longer be aborted.
+     *
+     * @return {Boolean} True if the device may be rebooted or false if the
+     *      upgrade was aborted.
+    **/
+    this.beginReboot = function()
+    {
+        if (aborted)
+            return false;
+        rebooting = true;
+        return true;
+    };
+
+    /**
+     * Start the upgrade.
+     *
+     * @return {q.promise} Promise that resolves to the bundle for the last
+     *      image written after the upgrade process completes or, for a dry
+     *      run, to the upgrade plan. On failure, the error is given a stage
+     *      attribute with the name of the stage that failed if it does not
+     *      already have one.
+    **/
+    this.start = function()
+    {
+        var deferred = q.defer();
+
+        var injectDevice = function (bundle) {
+            var innerDeferred = q.defer();
+            bundle.setSerialNumber(device.readSync('SERIAL_NUMBER'));
+            bundle.setDevice(device);
+            bundle.setUpgrade(self);
+            bundle.setRetryPolicy(options.retry);
+            bundle.setChunkSize(options.chunkSize);
+            bundle.setChunksPerCall(options.chunksPerCall);
+            bundle.setCheckpointStore(checkpointStore);
+            if (options.maxMismatches !== undefined)
+                bundle.setVerifyMismatchLimit(options.maxMismatches);
+            bundle.setReconnectOrder(options.reconnectOrder);
+            bundle.setEnumerationPolicy(options.enumeration);
+            bundle.setLabJackLibrary(options.labjack);
+            bundle.setVersionPolicy({
+                allowDowngrade: options.allowDowngrade,
+                skipIfSameVersion: options.skipIfSameVersion,
+                force: options.force,
+                minimumVersion: options.minimumVersion
+            });
+            innerDeferred.resolve(bundle);
+            return innerDeferred.promise;
+        };
+
+        // The device re-enumerates after each image so later images are
+        // written using the newly opened device.
+        var updateDevice = function (bundle) {
+            device = bundle.getDevice();
+            return bundle;
+        };
+
+        var enterStage = function (newStage) {
+            return function (bundle) {
+                if (aborted && !rebooting) {
+                    throw new labjack_t7_errors.UpgradeAbortedError(stage,
+                        {serialNumber: bundle && bundle.getSerialNumber()});
+                }
+                self.enterStage(newStage, bundle);
+                return bundle;
+            };
+        };
+
+        var reportError = function (error) {
+            if (error instanceof Object && error.stage === undefined)
+                error.stage = stage;
+            deferred.reject(error);
+        };
+
+        var isResumedImage = function (bundle) {
+            var imageInformation = bundle.getFirmwareImageInformation();
+            return Boolean(options.resumeFrom) &&
+                options.resumeFrom.imageNumber === imageInformation.imageNumber;
+        };
+
+        // Images before the one being resumed were already installed.
+        var skipInstalledImages = function (bundles) {
+            if (!options.resumeFrom)
+                return bundles;
+
+            var resumedIndex = bundles.map(isResumedImage).indexOf(true);
+            if (resumedIndex == -1) {
+                throw new labjack_t7_errors.CompatibilityError(
+                    'Checkpoint image is not in firmware file.',
+                    {stage: 'resume'}
+                );
+            }
+
+            return bundles.slice(resumedIndex);
+        };
+
+        var prepareFlash = function (bundle) {
+            if (isResumedImage(bundle)) {
+                return q(bundle)
+                .then(enterStage('resume'))
+                .then(function (bundle) {
+                    return exports.checkResumePoint(bundle, options.resumeFrom);
+                });
+            }
+
+            return q(bundle)
+            .then(enterStage('erase'))
+            .then(exports.eraseImage)
+            .then(exports.eraseImageInformation)
+            .then(exports.checkErase);
+        };
 
-    exports.readFlash(
-        bundle,
-        driver_const.T7_EFAdd_ExtFirmwareImgInfo,
-        numberOfIntegers,
-        driver_const.T7_FLASH_BLOCK_WRITE_SIZE
-    ).then(
-        function (memoryContents) { console.log('finished'); deferred.resolve(bundle); },
-        function (err) { console.log(err); deferred.reject(err); }
-    );
+        var verifyWrite = function (bundle) {
+            if (options.verify === false)
+                return bundle;
 
-    return deferred.promise;
-};
+            return q(bundle)
+            .then(enterStage('verifyWrite'))
+            .then(exports.checkImageWrite);
+        };
 
+        var clearCheckpoint = function (bundle) {
+            if (checkpointStore && checkpointStore.clear)
+                checkpointStore.clear();
+            return bundle;
+        };
 
-/**
- * Check that all image information and image pages have been erased.
- *
- * @param {DeviceFirmwareBundle} bundle The bundle with the device to check.
- * @return {q.promise} Promise that resovles to the provided bundle.
- * @throws {Error} Error thrown if the image and image information pages on the
- *      specified device are not zeroed.
-**/
-exports.checkErase = function(bundle)
-{
-    var deferred = q.defer();
+        // A rollback file is checked before any flash is touched.
+        var loadRollbackFirmware = function (bundles) {
+            if (rollbackSource === null)
+                return bundles;
 
-    var isAllZeroed = function (memory)
-    {
-        var memoryLength = memory.length;
-        for(var i=0; i<memoryLength; i++)
-        {
-            if (memory[i] != EXPECTED_ZEROED_MEM_VAL)
-                return false;
-        }
+            return exports.loadFirmwareImages(rollbackSource)
+            .then(function () { return bundles; });
+        };
 
-        return true;
-    };
+        // Only the firmware installed before the first image is backed up. A
+        // resumed image has already overwritten it.
+        var backUpFirmware = function (bundle) {
+            if (options.rollback !== true || rollbackSource !== null ||
+                isResumedImage(bundle)) {
+                return bundle;
+            }
 
-    var checkIfZeroedThenContinue = function (memory) {
-        var innerDeferred = q.defer();
-        if (isAllZeroed(memory)) {
-            innerDeferred.resolve();
-        } else {
-            innerDeferred.reject(new Error('Not zeroed')); // TODO: Lame error.
-        }
-    };
+            var backupBundle = new DeviceFirmwareBundle();
+            backupBundle.setSerialNumber(bundle.getSerialNumber());
+            backupBundle.setDevice(bundle.getDevice());
+            backupBundle.setUpgrade(self);
+            backupBundle.setRetryPolicy(options.retry);
+            backupBundle.setChunkSize(options.chunkSize);
+            backupBundle.setChunksPerCall(options.chunksPerCall);
+
+            return q(bundle)
+            .then(enterStage('backup'))
+            .then(function () {
+                return readBackup(backupBundle);
+            })
+            .then(function (contents) {
+                rollbackSource = contents;
+                return bundle;
+            });
+        };
 
-    var checkMemory = function (targetFunction)
-    {
-        return function () {
-            var innerDeferred = q.defer();
-            targetFunction(bundle).then(function (memory)
-            {
-                if (!isAllZeroed(memory))
-                    deferred.reject(new Error('Memory not zeroed.'));
-                else
-                    innerDeferred.resolve(bundle);
+        var rollBack = function (bundle, err) {
+            if (err instanceof Object && err.stage === undefined)
+                err.stage = stage;
+            if (rollbackSource === null)
+                throw err;
+
+            var rollbackReport = {attempted: false, succeeded: false};
+            var restoreOptions = {};
+            for (var name in options) {
+                if (['rollback', 'rollbackEnumeration', 'checkpoint',
+                    'resumeFrom', 'dryRun', 'allImages'].indexOf(name) == -1) {
+                    restoreOptions[name] = options[name];
+                }
+            }
+            restoreOptions.force = true;
+            restoreOptions.minimumVersion = null;
+
+            if (err instanceof Object)
+                err.rollback = rollbackReport;
+            self.enterStage('rollback', bundle);
+
+            // A failed enumeration has already used up the enumeration
+            // policy's time and attempts, so the device is looked for once
+            // more under the shorter rollback policy before it is reflashed.
+            var findDevice = function () {
+                if (err.stage !== 'enumerate')
+                    return q(bundle);
+
+                var policy = {};
+                var rollbackEnumeration = options.rollbackEnumeration || {};
+                for (var name in DEFAULT_ROLLBACK_ENUMERATION_POLICY) {
+                    policy[name] = rollbackEnumeration[name] === undefined ?
+                        DEFAULT_ROLLBACK_ENUMERATION_POLICY[name] :
+                        rollbackEnumeration[name];
+                }
+                bundle.setEnumerationPolicy(policy);
+
+                return exports.waitForEnumeration(bundle)
+                .fail(function (searchError) {
+                    rollbackReport.reason = 'Device not found to reflash.';
+                    throw searchError;
+                });
+            };
+
+            return findDevice().then(function (bundle) {
+                rollbackReport.attempted = true;
+                var restore = exports.createUpgrade(bundle.getDevice(),
+                    rollbackSource, restoreOptions);
+                restore.on('progress', function (progress) {
+                    self.emit('progress', progress);
+                });
+                return restore.start();
+            })
+            .then(function (restoredBundle) {
+                rollbackReport.succeeded = true;
+                rollbackReport.firmwareVersion =
+                    restoredBundle.getFirmwareVersion();
+                rollbackReport.device = restoredBundle.getDevice();
+            }, function (rollbackError) {
+                rollbackReport.error = rollbackError;
+            })
+            .then(function () {
+                throw err;
             });
+        };
 
-            return innerDeferred.promise;
+        // Failures once the device has rebooted leave it running unknown
+        // firmware so they are rolled back if possible.
+        var confirmImage = function (bundle) {
+            return q(bundle)
+            .then(enterStage('enumerate'))
+            .then(exports.waitForEnumeration)
+            .then(enterStage('verify'))
+            .then(exports.checkNewFirmware)
+            .fail(function (err) {
+                return rollBack(bundle, err);
+            });
         };
-    };
 
-    exports.readImageInformation(bundle)
-    .then(checkIfZeroedThenContinue, deferred.reject)
-    .then(checkMemory(exports.readImage), deferred.reject)
-    .then(function () {
-        deferred.resolve(bundle);
-    }, deferred.reject);
+        var installImage = function (bundle) {
+            if (bundle.isAlreadyInstalled())
+                return bundle;
+
+            return q(bundle)
+            .then(backUpFirmware)
+            .then(prepareFlash)
+            .then(enterStage('write'))
+            .then(exports.writeImage)
+            .then(exports.writeImageInformation)
+            .then(verifyWrite)
+            .then(enterStage('reboot'))
+            .then(exports.recordConnection)
+            .then(exports.restartAndUpgrade)
+            .then(confirmImage)
+            .then(updateDevice);
+        };
 
-    return deferred.promise;
-};
+        var upgradeImage = function (bundle) {
+            return injectDevice(bundle)
+            .then(enterStage('check'))
+            .then(exports.checkCompatibility)
+            .then(exports.checkImageHash)
+            .then(installImage);
+        };
 
+        var upgradeImages = function (bundles) {
+            return bundles.reduce(function (lastUpgrade, bundle) {
+                return lastUpgrade.then(function () {
+                    return upgradeImage(bundle);
+                });
+            }, q(null))
+            .then(clearCheckpoint);
+        };
 
-exports.writeFlash = function(bundle, startAddress, length, size, key, data)
-{
-    var writePtrAddress = driver_const.T7_MA_EXF_pWRITE;
-    var writeFlashAddress = driver_const.T7_MA_EXF_WRITE;
-    var device = bundle.getDevice();
-    return createFlashOperation(
-        bundle,
-        startAddress,
-        length,
-        size,
-        writePtrAddress,
-        writeFlashAddress,
-        false,
-        key,
-        data
-    );
+        // Dry runs only read from the device.
+        var planImage = function (bundle) {
+            return injectDevice(bundle)
+            .then(enterStage('check'))
+            .then(exports.checkCompatibility)
+            .then(exports.checkImageHash)
+            .then(function (bundle) {
+                if (!isResumedImage(bundle) || bundle.isAlreadyInstalled())
+                    return bundle;
+                return q(bundle)
+                .then(enterStage('resume'))
+                .then(function (bundle) {
+                    return exports.checkResumePoint(bundle, options.resumeFrom);
+                });
+            })
+            .then(function (bundle) {
+                var chunkSize = bundle.getChunkSize();
+                return q.all([
+                    planTransfer(bundle, chunkSize, true, false),
+                    planTransfer(bundle, chunkSize, false, true)
+                ])
+                .spread(function (readTransfer, writeTransfer) {
+                    return exports.planImage(bundle, {
+                        resumed: isResumedImage(bundle),
+                        verify: options.verify,
+                        readTransfer: readTransfer,
+                        writeTransfer: writeTransfer
+                    });
+                });
+            });
+        };
+
+        var planImages = function (bundles) {
+            var plan = {
+                dryRun: true,
+                serialNumber: device.readSync('SERIAL_NUMBER'),
+                currentVersion: null,
+                newVersion: null,
+                images: [],
+                erasePages: [],
+                writeChunks: 0,
+                writeBytes: 0,
+                readChunks: 0,
+                rwManyCalls: 0,
+                estimatedDuration: 0
+            };
+
+            return bundles.reduce(function (lastPlan, bundle) {
+                return lastPlan.then(function () {
+                    return planImage(bundle);
+                })
+                .then(function (imagePlan) {
+                    if (plan.currentVersion === null)
+                        plan.currentVersion = bundle.getInstalledVersion();
+                    plan.images.push(imagePlan);
+                    plan.newVersion = imagePlan.firmwareVersion;
+                    plan.erasePages.push.apply(plan.erasePages,
+                        imagePlan.erasePages);
+                    plan.writeChunks += imagePlan.writeChunks;
+                    plan.writeBytes += imagePlan.writeBytes;
+                    plan.readChunks += imagePlan.readChunks;
+                    plan.rwManyCalls += imagePlan.rwManyCalls;
+                    plan.estimatedDuration += imagePlan.estimatedDuration;
+                });
+            }, q(null))
+            .then(function () { return plan; });
+        };
+
+        if (optionsError) {
+            deferred.reject(optionsError);
+            return deferred.promise;
+        }
+
+        self.enterStage('read');
+        exports.loadFirmwareImages(firmwareFileLocation)
+        .then(function (bundles) {
+            return selectImages(bundles, options.allImages);
+        })
+        .then(skipInstalledImages)
+        .then(loadRollbackFirmware)
+        .then(options.dryRun ? planImages : upgradeImages)
+        .then(deferred.resolve, reportError);
+
+        return deferred.promise;
+    };
 }
+util.inherits(FirmwareUpgrade, EventEmitter);
 
 
 /**
- * Write the image in the provided bundle to the device in that bundle.
+ * Create a new firmware upgrade without starting it.
  *
- * @param {DeviceFirmwareBundle} bundle The bundle to perform the write in.
- * @return {q.promise} Promise that resolves to the provided bundle after the
- *      write is complete.
+ * Allows callers to listen for stage and progress events before the upgrade
+ * starts. Call start on the returned object to begin the upgrade. Invalid
+ * chunkSize or chunksPerCall options make start reject with an UpgradeError,
+ * with the check stage, before the firmware file is read.
+ *
+ * @param {labjack-nodejs.device} device The device to update.
+ * @param {String|Buffer|stream.Readable} firmwareFileLocation The location of
+ *      the bin file to read the firmware from, or its contents as a Buffer or
+ *      readable stream.
+ * @param {Object} options Optional object with upgrade options as described
+ *      in updateFirmware.
+ * @return {FirmwareUpgrade} The new upgrade.
 **/
-exports.writeImage = function(bundle)
+exports.createUpgrade = function(device, firmwareFileLocation, options)
 {
-    var deferred = q.defer();
-
-    // 4 bytes per integer
-    var numberOfIntegers = bundle.getFirmwareImage().length / 4;
+    return new FirmwareUpgrade(device, firmwareFileLocation, options);
+};
 
-    exports.writeFlash(
-        bundle,
-        driver_const.T7_EFAdd_ExtFirmwareImage,
-        numberOfIntegers,
-        driver_const.T7_FLASH_BLOCK_WRITE_SIZE,
-        driver_const.T7_EFkey_ExtFirmwareImage,
-        bundle.getFirmwareImage()
-    ).then(
-        function (memoryContents) { deferred.resolve(bundle); },
-        function (err) { deferred.reject(err); }
-    );
 
-    return deferred.promise;
+/**
+ * Facade / entry point for the update firmware pipeline.
+ *
+ * Firmware files may contain more than one image. By default only the images
+ * intended for the connected device are written. Each image goes through the
+ * full pipeline, including the reboot, before the next image is written. Use
+ * createUpgrade to receive progress events during the upgrade.
+ *
+ * @param {labjack-nodejs.device} device The device to update.
+ * @param {String|Buffer|stream.Readable} firmwareFileLocation The location of
+ *      the bin file to read the firmware from, or its contents as a Buffer or
+ *      readable stream.
+ * @param {Object} options Optional object with upgrade options:
+ *      allImages {Boolean} Write every image in the file rather than only the
+ *          images intended for the connected device. Defaults to false.
+ *      retry {Object} How failed erase pages and flash chunks are retried. See
+ *          DeviceFirmwareBundle.setRetryPolicy. Defaults to no retries.
+ *      chunkSize {Number|String} How many words each flash read and write
+ *          chunk transfers or 'adaptive'. See
+ *          DeviceFirmwareBundle.setChunkSize. Defaults to 8.
+ *      chunksPerCall {Number} The most flash chunks to send in each rwMany
+ *          call. Defaults to as many as fit in one packet.
+ *      checkpoint {String|Object} File path or checkpoint store (see
+ *          DeviceFirmwareBundle.setCheckpointStore) to save image write
+ *          checkpoints to. The checkpoint is cleared once the upgrade
+ *          completes. Defaults to no checkpoints.
+ *      resumeFrom {Object} Checkpoint to resume an interrupted upgrade from.
+ *          See resumeUpgrade.
+ *      verify {Boolean} Read back the image and image information after they
+ *          are written and compare them word for word with the firmware file
+ *          before rebooting. Defaults to true.
+ *      maxMismatches {Number} The maximum number of mismatched words to
+ *          include in a failed verification's report. Defaults to 16.
+ *      reconnectOrder {Array} Connection types to look for the device on
+ *          after it reboots, tried in order. For example,
+ *          ['LJM_ctETHERNET', 'LJM_ctUSB']. Defaults to the connection type
+ *          the device was opened with.
+ *      enumeration {Object} How long to wait for the device to
+ *          re-enumerate after it reboots. See
+ *          DeviceFirmwareBundle.setEnumerationPolicy. Defaults to polling
+ *          every 5 seconds for up to 2 minutes.
+ *      labjack {Object} Library used to find and open the device after it
+ *          reboots. See DeviceFirmwareBundle.setLabJackLibrary. Defaults to
+ *          labjack-nodejs.
+ *      dryRun {Boolean} Read and check the firmware file against the device
+ *          and plan the upgrade without erasing or writing flash. Defaults to
+ *          false.
+ *      allowDowngrade {Boolean} Allow installing firmware older than the
+ *          firmware on the device. Defaults to false.
+ *      skipIfSameVersion {Boolean} Skip images whose version is already
+ *          installed rather than failing. Defaults to false.
+ *      force {Boolean} Install images whatever firmware version is on the
+ *          device. Defaults to false.
+ *      minimumVersion {Number} The oldest firmware version that may be
+ *          installed, even with force. Defaults to no minimum.
+ *      rollback {Boolean|String|Buffer} Firmware to reflash if the device
+ *          does not report the new firmware version after it reboots. True
+ *          backs up the image in flash before it is erased (see
+ *          backupFirmware). A path or Buffer gives the previously installed
+ *          firmware file instead, which is checked before flash is touched.
+ *          The rollback ignores the version policy options. A device that
+ *          does not re-enumerate is looked for again under the
+ *          rollbackEnumeration policy and is not reflashed if it is still
+ *          missing. Defaults to no rollback.
+ *      rollbackEnumeration {Object} How long to look for a device that did
+ *          not re-enumerate before rolling it back. See
+ *          DeviceFirmwareBundle.setEnumerationPolicy. Defaults to polling
+ *          every 5 seconds for up to 30 seconds.
+ * @return {q.promise} Promise that resolves to the bundle for the last image
+ *      written after the upgrade process completes. For a dry run, resolves
+ *      to a plan with dryRun, serialNumber, currentVersion and newVersion
+ *      attributes, an images array with the planImage result for each image
+ *      and the erasePages, writeChunks, writeBytes, readChunks, rwManyCalls
+ *      and estimatedDuration of every image combined. If the upgrade fails with
+ *      a rollback source, it still rejects and the error has a rollback
+ *      attribute with attempted and succeeded attributes and either the
+ *      firmwareVersion rolled back to and the newly opened device or the
+ *      error the rollback failed with. A rollback that was not attempted
+ *      also has a reason attribute.
+**/
+exports.updateFirmware = function(device, firmwareFileLocation, options)
+{
+    return exports.createUpgrade(device, firmwareFileLocation, options).start();
 };
 
 
 /**
- * Write the header in the provided bundle to the device in that bundle.
+ * Resume an upgrade whose image write was interrupted.
  *
- * Write the image information in the provided bundle to the device within that
- * bundle.
+ * Reads back the part of the image that the checkpoint says was written,
+ * confirms that it matches the firmware file, and then continues the upgrade
+ * from the checkpoint without erasing flash.
  *
- * @param {DeviceFirmwareBundle} bundle The bundle to perform the write in.
- * @return {q.promise} Promise that resolves to the provided bundle after the
- *      write is complete.
+ * @param {labjack-nodejs.device} device The device to update.
+ * @param {String|Buffer|stream.Readable} firmwareFileLocation The location of
+ *      the bin file that the interrupted upgrade was writing, or its contents
+ *      as a Buffer or readable stream.
+ * @param {String|Object} checkpoint The checkpoint saved by the interrupted
+ *      upgrade, a checkpoint store to load it from, or the path of a
+ *      checkpoint file. Further checkpoints are saved to the same store
+ *      unless options.checkpoint is given.
+ * @param {Object} options Optional object with upgrade options as described
+ *      in updateFirmware.
+ * @return {q.promise} Promise that resolves to the bundle for the last image
+ *      written after the upgrade process completes. Rejects with a
+ *      CompatibilityError if there is no checkpoint to resume from.
 **/
-exports.writeImageInformation = function(bundle)
+exports.resumeUpgrade = function(device, firmwareFileLocation, checkpoint,
+    options)
 {
-    var deferred = q.defer();
+    var upgradeOptions = {};
+    for (var name in options)
+        upgradeOptions[name] = options[name];
 
-    var rawImageInfo = bundle.getFirmwareImageInformation().rawImageInfo;
+    if (typeof checkpoint === 'string')
+        checkpoint = exports.createFileCheckpointStore(checkpoint);
 
-    // 4 bytes per integer
-    var numberOfIntegers = rawImageInfo.length / 4;
+    if (checkpoint && typeof checkpoint.load === 'function') {
+        if (upgradeOptions.checkpoint === undefined)
+            upgradeOptions.checkpoint = checkpoint;
+        checkpoint = checkpoint.load();
+    }
 
-    exports.writeFlash(
-        bundle,
-        driver_const.T7_EFAdd_ExtFirmwareImgInfo,
-        numberOfIntegers,
-        driver_const.T7_FLASH_BLOCK_WRITE_SIZE,
-        driver_const.T7_EFkey_ExtFirmwareImgInfo,
-        rawImageInfo
-    ).then(
-        function (memoryContents) { deferred.resolve(bundle); },
-        function (err) { deferred.reject(err); }
-    );
+    if (!checkpoint)
+        return q.reject(new labjack_t7_errors.CompatibilityError(
+            'No checkpoint to resume from.', {stage: 'resume'}));
 
-    return deferred.promise;
+    upgradeOptions.resumeFrom = checkpoint;
+    return exports.updateFirmware(device, firmwareFileLocation, upgradeOptions);
 };
 
 
-// TODO: Check image write information
-
-
 /**
- * Check that the proper image / image information was written.
+ * Build the header for a backup file from the header read from flash.
  *
- * @param {DeviceFirmwareBundle} bundle The bundle to perform the check in.
- * @return {q.promise} Promise that resolves to the provided bundle after the
- *      check.
- * @throws {Error} Error thrown if the check fails.
+ * The image on a device may have come from a file with more than one image.
+ * Backups only ever hold that one image so the header is rewritten to say so.
+ *
+ * @param {Object} header The header read from the image information region.
+ * @return {Buffer} The raw 128 byte header for the backup file.
 **/
-exports.checkImageWrite = function(bundle)
+var createBackupHeader = function (header)
 {
-    var deferred = q.defer();
-
-    exports.readImage(bundle).then(function (readImage) {
-        var readImageLength = readImage.length;
-        var bundleImage = bundle.getFirmwareImage();
-        for(var i=0; i<readImageLength; i++)
-        {
-            if (bundleImage[i] != readImage[i])
-                deferred.reject(new Error('Unexpected image data at ' + i));
-        }
-
-        deferred.resolve(bundle);
-    }, function (err) { deferred.reject(err); });
-
-    return deferred.promise;
+    if (header.numImgInFile <= 1)
+        return header.rawImageInfo;
+
+    var backupHeader = {};
+    for (var name in header)
+        backupHeader[name] = header[name];
+    backupHeader.numImgInFile = 1;
+    backupHeader.startNextImg = 0;
+    return labjack_t7_header.serializeHeader(backupHeader);
 };
 
 
 /**
- * Soft reboot the device, instructing it to upgrade in the process.
+ * Read the firmware image in a device's external flash as a backup file.
  *
- * @param {DeviceFirmwareBundle} bundle The bundle to perform the upgrade in.
- * @return {q.promise} Promise that resolves to the provided bundle after the
- *      upgrade and reboot has started.
+ * The header and image SHA-1 are checked so that a device without a valid
+ * image does not produce a backup that cannot be restored.
+ *
+ * @param {DeviceFirmwareBundle} bundle The bundle with the device to read
+ *      from. The image and image information read are loaded into it.
+ * @return {q.promise} Promise that resolves to a Buffer with the contents of
+ *      the backup file. Rejects with an error in the backup stage: a
+ *      VerifyError if flash could not be read or a FirmwareHeaderError or
+ *      FirmwareFileError if flash does not hold a valid image.
 **/
-exports.restartAndUpgrade = function(bundle)
+var readBackup = function (bundle)
 {
-    var deferred = q.defer();
-    var device = bundle.getDevice();
-    device.write(
-        driver_const.T7_MA_REQ_FWUPG,
-        driver_const.T7_REQUEST_FW_UPGRADE,
-        function (err) { deferred.reject(err); },
-        function () { device.closeSync(); deferred.resolve(bundle); }
-    );
-    return deferred.promise;
+    var imageRegionLength = driver_const.T7_IMG_FLASH_PAGE_ERASE *
+        driver_const.T7_FLASH_PAGE_SIZE;
+
+    var readImage = function (rawImageInfo) {
+        var header = labjack_t7_header.parseHeader(rawImageInfo);
+        labjack_t7_header.validateHeader(header,
+            header.imgOffset + header.lenOfImg);
+        if (header.lenOfImg > imageRegionLength) {
+            throw new labjack_t7_header.FirmwareHeaderError(
+                'lenOfImg',
+                'Image is larger than the image flash region.',
+                imageRegionLength,
+                header.lenOfImg
+            );
+        }
+
+        bundle.setFirmwareImageInformation(header);
+        bundle.setFirmwareVersion(header.containedVersion);
+
+        return exports.readFlash(
+            bundle,
+            driver_const.T7_EFAdd_ExtFirmwareImage,
+            header.lenOfImg / 4,
+            bundle.getChunkSize()
+        );
+    };
+
+    var checkImage = function (image) {
+        bundle.setFirmwareImage(image);
+        return exports.checkImageHash(bundle);
+    };
+
+    return exports.readFlash(
+        bundle,
+        driver_const.T7_EFAdd_ExtFirmwareImgInfo,
+        labjack_t7_header.HEADER_LENGTH / 4,
+        bundle.getChunkSize()
+    )
+    .then(readImage)
+    .then(checkImage)
+    .then(function (bundle) {
+        return Buffer.concat([
+            createBackupHeader(bundle.getFirmwareImageInformation()),
+            bundle.getFirmwareImage()
+        ]);
+    })
+    .fail(function (err) {
+        if (err instanceof Object)
+            err.stage = 'backup';
+        throw err;
+    });
 };
 
 
 /**
- * Wait for a device to re-enumerate.
+ * Save the firmware image in a device's external flash to a firmware file.
  *
- * Wait for a specific device to re-enumerate. Will look for a device that has
- * the same attributes as the device in the provided bundle and update the
- * provided bundle with that new device after openining.
+ * Reads the image information and image regions, normally holding the
+ * firmware the device is running, and writes them to a file in the same
+ * format as a firmware release (see readBackup). The flash is only read.
  *
- * @param {DeviceFirmwareBundle} bundle The bundle with the device information
- *      to match.
- * @return {q.promise} Promise that resolves to the updated bundle.
+ * @param {labjack-nodejs.device} device The device to back up.
+ * @param {String} outFile The path of the file to write the backup to.
+ * @param {Object} options Optional object with the following options:
+ *      retry {Object} How failed flash reads are retried. See
+ *          DeviceFirmwareBundle.setRetryPolicy. Defaults to no retries.
+ *      chunkSize {Number|String} How many words each flash read chunk
+ *          transfers. See DeviceFirmwareBundle.setChunkSize. Defaults to 8.
+ *      chunksPerCall {Number} The most flash chunks to read in each rwMany
+ *          call. Defaults to as many as fit in one packet.
+ * @return {q.promise} Promise that resolves to a DeviceFirmwareBundle with the
+ *      device and the backed up image loaded. Rejects with an error in the
+ *      backup stage: a VerifyError if flash could not be read, a
+ *      FirmwareHeaderError or FirmwareFileError if flash does not hold a
+ *      valid image, or a FirmwareFileError if the file could not be written.
 **/
-exports.waitForEnumeration = function(bundle)
+exports.backupFirmware = function(device, outFile, options)
 {
-    console.log('waitForEnumeration');
-    var deferred = q.defer();
-    var ljmDriver = new labjack_nodejs.driver();
-    var targetSerial = bundle.getSerialNumber();
-
-    var getAllConnectedSerials = function () {
-        var deferred = q.defer();
+    var bundle = new DeviceFirmwareBundle();
 
-        ljmDriver.listAll("LJM_dtT7", "LJM_ctUSB",
-            function (err) { deferred.reject(err); },
-            function (devicesInfo) {
-                var serials = devicesInfo.map(function (e) {
-                    return e.serialNumber; 
-                });
-                deferred.resolve(serials);
-            }
-        )
+    options = options || {};
 
-        return deferred.promise;
-    };
+    var writeBackup = function (contents) {
+        var deferred = q.defer();
 
-    var checkForDevice = function () {
-        getAllConnectedSerials().then(function (serialNumbers) {
-            if (serialNumbers.indexOf(targetSerial) != -1) {
-                var newDevice = new labjack_nodejs.device();
-                newDevice.openSync("LJM_dtT7", "LJM_ctUSB", targetSerial);
-                bundle.setDevice(newDevice);
-                deferred.resolve(bundle);
+        fs.writeFile(outFile, contents, function (err) {
+            if (err) {
+                deferred.reject(createError(
+                    labjack_t7_errors.FirmwareFileError,
+                    bundle,
+                    'Could not write backup file: ' + err.message + '.',
+                    {stage: 'backup', cause: err}
+                ));
             } else {
-                setTimeout(checkForDevice, EXPECTED_REBOOT_WAIT);
+                deferred.resolve(bundle);
             }
         });
-    }
 
-    setTimeout(checkForDevice, EXPECTED_REBOOT_WAIT);
+        return deferred.promise;
+    };
 
-    return deferred.promise;
+    return q(null)
+    .then(function () {
+        bundle.setSerialNumber(device.readSync('SERIAL_NUMBER'));
+        bundle.setDevice(device);
+        bundle.setRetryPolicy(options.retry);
+        bundle.setChunkSize(options.chunkSize);
+        bundle.setChunksPerCall(options.chunksPerCall);
+        return readBackup(bundle);
+    })
+    .then(writeBackup);
 };
 
 
 /**
- * Checks that firmware image / image info matches the firmware on a device.
+ * Write a firmware backup made by backupFirmware back to a device.
  *
- * @param {DeviceFirmwareBundle} bundle The bundle with the device to check and
- *      the firmware image / image info to check for.
- * @return {q.promise} Promise that resolves to the provided bundle.
- * @throws {Error} Error thrown if the firmware does not match.
+ * Runs a normal upgrade with the backup as the firmware file. Restoring is
+ * usually a rollback to older firmware so downgrades are allowed unless
+ * options.allowDowngrade is false.
+ *
+ * @param {labjack-nodejs.device} device The device to restore.
+ * @param {String|Buffer|stream.Readable} backupFile The location of the
+ *      backup file, or its contents as a Buffer or readable stream.
+ * @param {Object} options Optional object with upgrade options as described
+ *      in updateFirmware.
+ * @return {q.promise} Promise that resolves to the bundle for the restored
+ *      image after the device has rebooted into it.
 **/
-exports.checkNewFirmware = function(bundle)
+exports.restoreFirmware = function(device, backupFile, options)
 {
-    var deferred = q.defer();
+    var upgradeOptions = {};
+    for (var name in options)
+        upgradeOptions[name] = options[name];
 
-    bundle.getDevice().read('FIRMWARE_VERSION',
-        function (err) { deferred.reject(err); },
-        function (firmwareVersion) {
-            if(bundle.getFirmwareVersion() != firmwareVersion) {
-                var errorMsg = 'New firmware version does not reflect upgrade.';
-                deferred.reject(new Error(errorMsg));
-            } else {
-                deferred.resolve(bundle);
-            }
-        }
-    );
+    if (upgradeOptions.allowDowngrade === undefined)
+        upgradeOptions.allowDowngrade = true;
 
-    return deferred.promise;
+    return exports.updateFirmware(device, backupFile, upgradeOptions);
 };
 
 
 /**
- * Facade / entry point for the update firmware pipeline.
+ * Upgrade the firmware on many T7s at once.
  *
- * @param {labjack-nodejs.device} device The device to update.
- * @param {String} firmwareFileLocation The location of the bin file to read the
- *      firmware from.
- * @return {q.promise} Promise that resolves after the build process completes.
+ * Finds the connected T7s with listAll, opens each device to be upgraded and
+ * runs updateFirmware on it. At most options.concurrency upgrades run at the
+ * same time. A device failing does not stop the other upgrades. Devices are
+ * found and opened using options.labjack if it is given. Every handle opened
+ * for a device, including those reopened after it reboots or rolls back, is
+ * closed once its upgrade finishes.
+ *
+ * @param {Array|Number|String} serials The serial number or an array of serial
+ *      numbers of the devices to upgrade or 'all' to upgrade every T7 found.
+ * @param {String|Buffer|stream.Readable} firmwareFileLocation The location of
+ *      the bin file to read the firmware from, or its contents as a Buffer or
+ *      readable stream.
+ * @param {Object} options Optional object with upgrade options as described
+ *      in updateFirmware, except checkpoint and resumeFrom which are specific
+ *      to a single device, and the following fleet options:
+ *      concurrency {Number} The maximum number of devices to upgrade at the
+ *          same time. Defaults to 1.
+ *      connectionType {String|Number} The connection type to find and open
+ *          devices over. Defaults to 'LJM_ctUSB'.
+ * @return {q.promise} Promise that resolves to a summary object with
+ *      succeeded and failed arrays of serial numbers and a devices object
+ *      keyed by serial number. Each device entry has a success attribute and
+ *      either the installed firmwareVersion or the error and the stage it
+ *      occurred in, with the error's rollback report if one was attempted.
+ *      Devices that were requested but not found fail in the open stage.
+ *      Rejects only if the devices could not be listed.
 **/
-exports.updateFirmware = function(device, firmwareFileLocation)
+exports.upgradeFleet = function(serials, firmwareFileLocation, options)
 {
     var deferred = q.defer();
+    var summary = {succeeded: [], failed: [], devices: {}};
+    var upgradeOptions = {};
+
+    options = options || {};
+    var labjack = options.labjack || labjack_nodejs;
+    var ljmDriver = new labjack.driver();
+    var concurrency = options.concurrency || 1;
+    var connectionType = getConnectionTypeName(
+        options.connectionType || 'LJM_ctUSB');
+
+    for (var name in options) {
+        if (['concurrency', 'connectionType', 'checkpoint',
+            'resumeFrom'].indexOf(name) == -1) {
+            upgradeOptions[name] = options[name];
+        }
+    }
 
-    var injectDevice = function (bundle) {
-        var innerDeferred = q.defer();
-        bundle.setSerialNumber(device.readSync('SERIAL_NUMBER'));
-        bundle.setDevice(device);
-        innerDeferred.resolve(bundle);
-        return innerDeferred.promise;
+    // A stream can only be read once, so its contents are shared by every
+    // upgrade.
+    var firmwareSource = isReadableStream(firmwareFileLocation) ?
+        readFirmwareSource(firmwareFileLocation) : q(firmwareFileLocation);
+
+    var recordOutcome = function (serial, outcome) {
+        summary.devices[serial] = outcome;
+        if (outcome.success)
+            summary.succeeded.push(serial);
+        else
+            summary.failed.push(serial);
     };
 
-    var reportError = function (error) {
-        deferred.reject(error);
-        throw error;
-    };
-
-    exports.readFirmwareFile(firmwareFileLocation, reportError)
-    .then(injectDevice, reportError)
-    .then(exports.checkCompatibility, reportError)
-    .then(exports.eraseImage, reportError)
-    .then(exports.eraseImageInformation, reportError)
-    // .then(exports.checkErase, reportError)
-    .then(exports.writeImage, reportError)
-    .then(exports.writeImageInformation, reportError)
-    // .then(exports.checkImageWrite, reportError)
-    .then(exports.restartAndUpgrade, reportError)
-    .then(exports.waitForEnumeration, reportError)
-    .then(exports.checkNewFirmware, reportError)
-    .fail(deferred.resolve, reportError);
+    var recordFailure = function (serial, err) {
+        var outcome = {success: false, error: err};
+        if (err instanceof Object) {
+            outcome.stage = err.stage;
+            if (err.rollback)
+                outcome.rollback = err.rollback;
+        }
+        recordOutcome(serial, outcome);
+    };
+
+    // Every handle opened for a device is closed once it is done with.
+    var closeDevices = function (devices) {
+        devices.forEach(function (device, i) {
+            if (!device || devices.indexOf(device) != i)
+                return;
+            try {
+                device.closeSync();
+            } catch (err) {
+                // The device may already be closed or gone.
+            }
+        });
+    };
+
+    var upgradeDevice = function (deviceInfo, callback) {
+        var serial = deviceInfo.serialNumber;
+        var device = new labjack.device();
+        var lastBundle = null;
+        var rollbackDevice = null;
+
+        try {
+            device.openSync(deviceInfo.deviceType, deviceInfo.connectionType,
+                String(serial));
+        } catch (err) {
+            recordFailure(serial, new labjack_t7_errors.EnumerationError(
+                'Could not open device: ' + describeDeviceError(err) + '.',
+                {
+                    stage: 'open',
+                    serialNumber: serial,
+                    code: labjack_t7_errors.getLJMErrorCode(err),
+                    cause: err
+                }
+            ));
+            callback();
+            return;
+        }
+
+        firmwareSource.then(function (source) {
+            var upgrade = exports.createUpgrade(device, source, upgradeOptions);
+            upgrade.on('stage', function (stage, bundle) {
+                if (bundle)
+                    lastBundle = bundle;
+            });
+            return upgrade.start();
+        })
+        .then(function (bundle) {
+            lastBundle = bundle;
+            recordOutcome(serial, {
+                success: true,
+                firmwareVersion: bundle.getFirmwareVersion()
+            });
+        }, function (err) {
+            if (err instanceof Object && err.rollback)
+                rollbackDevice = err.rollback.device;
+            recordFailure(serial, err);
+        })
+        .fin(function () {
+            closeDevices([
+                device,
+                lastBundle ? lastBundle.getDevice() : null,
+                rollbackDevice
+            ]);
+            callback();
+        });
+    };
+
+    ljmDriver.listAll('LJM_dtT7', connectionType,
+        function (err) { deferred.reject(err); },
+        function (devicesInfo) {
+            var found = {};
+            var toUpgrade = [];
+
+            // A device may be listed once per connection it is reachable on.
+            devicesInfo.forEach(function (deviceInfo) {
+                var serial = deviceInfo.serialNumber;
+                if (found[serial] === undefined) {
+                    found[serial] = deviceInfo;
+                    if (serials === 'all')
+                        toUpgrade.push(deviceInfo);
+                }
+            });
+
+            if (serials !== 'all') {
+                [].concat(serials).map(Number).forEach(function (serial) {
+                    if (found[serial] !== undefined) {
+                        toUpgrade.push(found[serial]);
+                    } else {
+                        recordFailure(serial,
+                            new labjack_t7_errors.EnumerationError(
+                                'Device not found.',
+                                {stage: 'open', serialNumber: serial}
+                            )
+                        );
+                    }
+                });
+            }
+
+            async.eachLimit(toUpgrade, concurrency, upgradeDevice,
+                function () { deferred.resolve(summary); });
+        }
+    );
 
     return deferred.promise;
 };
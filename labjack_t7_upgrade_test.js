@@ -5,11 +5,20 @@
  * @author Sam Pottinger (samnsparky)
 **/
 
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+
 var q = require('q');
 var rewire = require('rewire');
 
 var driver_const = require('labjack-nodejs').driver_const;
+var connection_types = driver_const.connectionTypes;
+var device_types = driver_const.deviceTypes;
 
+var labjack_t7_header = require('./labjack_t7_header');
 var labjack_t7_upgrade = rewire('./labjack_t7_upgrade');
 
 var TEST_DATA = 'abcdefghijklmnopqrstuvwxyz1234567890';
@@ -32,6 +41,34 @@ labjack_t7_upgrade.__set__('EXPECTED_REBOOT_WAIT',
 var DeviceFirmwareBundle = labjack_t7_upgrade.__get__('DeviceFirmwareBundle');
 
 
+/**
+ * Create the contents of a firmware file with a valid header.
+ *
+ * @param {Object} headerFields Header fields to set in addition to the image
+ *      length, offset and SHA-1 which are filled in from the image.
+ * @param {Number} imageLength The number of bytes in the image payload.
+ * @return {Buffer} Header followed by the image payload.
+**/
+function createFirmwareFile(headerFields, imageLength)
+{
+	var image = new Buffer(imageLength);
+	for (var i=0; i<imageLength; i++)
+		image[i] = i % 256;
+
+	var fields = {
+		lenOfImg: imageLength,
+		imgOffset: driver_const.T7_IMG_HEADER_LENGTH,
+		numBytesInSHA: imageLength,
+		unencryptedSHA: crypto.createHash('sha1').update(image).digest()
+	};
+	for (var name in headerFields)
+		fields[name] = headerFields[name];
+
+	var header = labjack_t7_header.serializeHeader(fields);
+	return Buffer.concat([header, image]);
+}
+
+
 function MockDevice()
 {
 	// Address or addresses last passed to this mock device.
@@ -51,6 +88,12 @@ function MockDevice()
 
 	var numReadsRead = 0;
 
+	// Errors to report, one per call, before calls start succeeding again.
+	var nextErrors = [];
+
+	// Connection information to report from getHandleInfo.
+	var handleInfo = null;
+
 	this.deviceType = null;
 
 	this.write = function (address, value, onError, onSuccess) {
@@ -62,7 +105,10 @@ function MockDevice()
 	this.writeMany = function (addressess, values, onError, onSuccess) {
 		lastAddress.push(addressess);
 		lastValue.push(values);
-		onSuccess();
+		if (nextErrors.length > 0)
+			onError(nextErrors.shift());
+		else
+			onSuccess();
 	};
 	//NumFrames: Total number of operations to perform 
 	//Addresses: array of addresses to be operated upon
@@ -93,7 +139,10 @@ function MockDevice()
 		lastDirections.push(directions);
 		lastNumValues.push(numValues);
 		lastValue.push(values);
-		onSuccess(this.getNextValueToReturn());
+		if (nextErrors.length > 0)
+			onError(nextErrors.shift());
+		else
+			onSuccess(this.getNextValueToReturn());
 	}
 	
 	/*this.rwMany = function (addresses, directions, values, onError, onSuccess)
@@ -109,6 +158,17 @@ function MockDevice()
 		onSuccess(this.getNextValueToReturn());
 	};
 
+	this.closeSync = function () {};
+
+	this.readSync = function (address) {
+		lastAddress.push(address);
+		return this.getNextValueToReturn();
+	};
+
+	this.getHandleInfo = function (onError, onSuccess) {
+		onSuccess(handleInfo);
+	};
+
 	this.readMany = function (addresses, onError, onSuccess) {
 		lastAddress.push(address);
 		onSuccess(this.getNextValueToReturn());
@@ -144,6 +204,14 @@ function MockDevice()
 		nextValue = newVal;
 	};
 
+	this.setNextErrors = function (newErrors) {
+		nextErrors = newErrors;
+	};
+
+	this.setHandleInfo = function (newHandleInfo) {
+		handleInfo = newHandleInfo;
+	};
+
 	this.getLastDirections = function () {
 		return lastDirections;
 	};
@@ -166,6 +234,87 @@ function MockDevice()
 }
 
 
+function MockDriver(devicesInfo)
+{
+	this.listAll = function (deviceType, connectionType, onError, onSuccess) {
+		if (typeof connectionType === 'string')
+			connectionType = connection_types[connectionType];
+
+		if (devicesInfo instanceof Error) {
+			onError(devicesInfo);
+		} else {
+			onSuccess(devicesInfo.filter(function (deviceInfo) {
+				return connectionType === connection_types.LJM_ctANY ||
+					deviceInfo.connectionType == connectionType;
+			}));
+		}
+	};
+}
+
+
+/**
+ * Replace the device and driver classes used by the upgrade module.
+ *
+ * @param {Array|Error} devicesInfo The devices for listAll to report or the
+ *      error for it to fail with.
+ * @param {Array} openedSerials Array that the identifier of every opened
+ *      device is pushed on to.
+ * @return {Function} Function that restores the original classes.
+**/
+function injectFleet(devicesInfo, openedSerials)
+{
+	var origLabjackNodejs = labjack_t7_upgrade.__get__('labjack_nodejs');
+
+	var FleetDevice = function () {
+		MockDevice.call(this);
+		this.openSync = function (deviceType, connectionType, identifier) {
+			this.serialNumber = identifier;
+			this.openArgs = [deviceType, connectionType, identifier];
+			openedSerials.push(identifier);
+		};
+	};
+
+	labjack_t7_upgrade.__set__('labjack_nodejs', {
+		driver_const: driver_const,
+		device: FleetDevice,
+		driver: function () { MockDriver.call(this, devicesInfo); }
+	});
+
+	return function () {
+		labjack_t7_upgrade.__set__('labjack_nodejs', origLabjackNodejs);
+	};
+}
+
+
+/**
+ * Replace createUpgrade with a stand-in whose start runs the given function.
+ *
+ * @param {function} startUpgrade Function called with the device, firmware
+ *      location and options of each upgrade when it is started. Returns the
+ *      promise for start to return.
+ * @return {Function} Function that restores the original createUpgrade.
+**/
+function injectUpgrade(startUpgrade)
+{
+	var origCreateUpgrade = labjack_t7_upgrade.createUpgrade;
+
+	labjack_t7_upgrade.__set__('exports.createUpgrade',
+		function (device, firmwareFileLocation, options) {
+			return {
+				on: function () {},
+				start: function () {
+					return startUpgrade(device, firmwareFileLocation, options);
+				}
+			};
+		}
+	);
+
+	return function () {
+		labjack_t7_upgrade.__set__('exports.createUpgrade', origCreateUpgrade);
+	};
+}
+
+
 module.exports = {
 
 	setUp: function(callback)
@@ -177,12 +326,11 @@ module.exports = {
 	testReadFirmwareFile: function(test)
 	{
 		var testFirmwareFileSrc = 'T7firmware_100000_200000.bin'
-		var testFileBuffer = new Buffer(driver_const.T7_IMG_HEADER_LENGTH);
-		testFileBuffer.writeUInt32BE(123, driver_const.HEADER_CODE);
-		testFileBuffer.fill(0, 4);
+		var testFileBuffer = createFirmwareFile(
+			{headerCode: 123, containedVersion: 10}, 32);
 
 		var fakeReadFile = function (src, callback) {
-			callback(null, testFileBuffer.toString());
+			callback(null, testFileBuffer);
 		};
 		
 		labjack_t7_upgrade.__set__('fs', {readFile: fakeReadFile});
@@ -190,6 +338,7 @@ module.exports = {
 		labjack_t7_upgrade.readFirmwareFile(testFirmwareFileSrc)
 		.then(function (bundle) {
 			test.equal(bundle.getFirmwareImageInformation().headerCode, 123);
+			test.equal(bundle.getFirmwareImage().length, 32);
 
 			test.equal(bundle.getFirmwareVersion(), 10);
 			test.done();
@@ -197,6 +346,195 @@ module.exports = {
 	},
 
 
+	testReadFirmwareFileTruncated: function(test)
+	{
+		var testFirmwareFileSrc = 'T7firmware_100000_200000.bin'
+		var testFileBuffer = createFirmwareFile({headerCode: 123}, 32);
+
+		var fakeReadFile = function (src, callback) {
+			callback(null, testFileBuffer.slice(0, testFileBuffer.length - 4));
+		};
+
+		labjack_t7_upgrade.__set__('fs', {readFile: fakeReadFile});
+
+		labjack_t7_upgrade.readFirmwareFile(testFirmwareFileSrc)
+		.then(function () {
+			test.ok(false, 'Truncated file accepted.');
+			test.done();
+		}, function(err) {
+			test.ok(err instanceof labjack_t7_upgrade.FirmwareFileError);
+			test.equal(err.stage, 'read');
+			test.equal(err.field, 'lenOfImg');
+			test.done();
+		});
+	},
+
+
+	testReadFirmwareFileVersionFromHeader: function(test)
+	{
+		var testFileBuffer = createFirmwareFile({
+			intendedDevice: driver_const.T7_TARGET,
+			containedVersion: 1.0067
+		}, 32);
+
+		var fakeReadFile = function (src, callback) {
+			callback(null, testFileBuffer);
+		};
+		labjack_t7_upgrade.__set__('fs', {readFile: fakeReadFile});
+
+		labjack_t7_upgrade.readFirmwareFile('/tmp/my_files/latest.bin')
+		.then(function (bundle) {
+			test.equal(bundle.getFirmwareVersion(), 1.0067);
+			return labjack_t7_upgrade.readFirmwareFile(
+				'/tmp/my_files/T7firmware_010066_2014-02-24.bin');
+		})
+		.then(function () {
+			test.ok(false, 'Mismatched file name accepted.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.FirmwareHeaderError);
+			test.equal(err.stage, 'read');
+			test.equal(err.field, 'containedVersion');
+			test.equal(err.expected, 1.0066);
+			test.equal(err.actual, 1.0067);
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testLoadFirmwareBuffer: function(test)
+	{
+		var testFileBuffer = createFirmwareFile({headerCode: 123}, 32);
+
+		labjack_t7_upgrade.loadFirmware(testFileBuffer)
+		.then(function (bundle) {
+			var image = bundle.getFirmwareImage();
+			test.equal(bundle.getFirmwareImageInformation().headerCode, 123);
+			test.equal(image.length, 32);
+
+			// Later changes by the caller do not affect the bundle.
+			testFileBuffer.fill(0);
+			test.equal(image[image.length - 1], 31);
+		}, function (err) {
+			test.ok(false, 'Buffer rejected: ' + err);
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testLoadFirmwareStream: function(test)
+	{
+		var testFileBuffer = createFirmwareFile({headerCode: 123}, 32);
+		var firmwareStream = new stream.PassThrough();
+
+		labjack_t7_upgrade.loadFirmwareImages(firmwareStream)
+		.then(function (bundles) {
+			test.equal(bundles.length, 1);
+			test.equal(bundles[0].getFirmwareImageInformation().headerCode,
+				123);
+			test.equal(bundles[0].getFirmwareImage().length, 32);
+		}, function (err) {
+			test.ok(false, 'Stream rejected: ' + err);
+		})
+		.fin(function () {
+			test.done();
+		});
+
+		firmwareStream.write(testFileBuffer.slice(0, 10));
+		firmwareStream.end(testFileBuffer.slice(10));
+	},
+
+
+	testLoadFirmwareStreamFails: function(test)
+	{
+		var firmwareStream = new stream.PassThrough();
+
+		labjack_t7_upgrade.loadFirmware(firmwareStream)
+		.then(function () {
+			test.ok(false, 'Failed stream accepted.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.FirmwareFileError);
+			test.equal(err.stage, 'read');
+			test.equal(err.cause.message, 'Connection reset');
+		})
+		.fin(function () {
+			test.done();
+		});
+
+		firmwareStream.emit('error', new Error('Connection reset'));
+	},
+
+
+	testLoadFirmwareInvalidSource: function(test)
+	{
+		labjack_t7_upgrade.loadFirmware({})
+		.then(function () {
+			test.ok(false, 'Invalid source accepted.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.FirmwareFileError);
+			test.equal(err.stage, 'read');
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testReadFirmwareImages: function(test)
+	{
+		var first = createFirmwareFile({
+			intendedDevice: driver_const.T7_RECOVERY_TARGET,
+			containedVersion: 0.5,
+			numImgInFile: 2,
+			startNextImg: driver_const.T7_IMG_HEADER_LENGTH + 32
+		}, 32);
+		var second = createFirmwareFile({
+			intendedDevice: driver_const.T7_TARGET,
+			containedVersion: 1.0067,
+			imageNumber: 1,
+			numImgInFile: 2
+		}, 64);
+
+		var fakeReadFile = function (src, callback) {
+			callback(null, Buffer.concat([first, second]));
+		};
+		labjack_t7_upgrade.__set__('fs', {readFile: fakeReadFile});
+
+		labjack_t7_upgrade.readFirmwareImages('T7firmware_combined.bin')
+		.then(function (bundles) {
+			test.equal(bundles.length, 2);
+			test.equal(bundles[0].getFirmwareImage().length, 32);
+			test.equal(bundles[0].getFirmwareVersion(), 0.5);
+			test.equal(bundles[1].getFirmwareImage().length, 64);
+			test.equal(bundles[1].getFirmwareVersion(), 1.0067);
+			test.done();
+		}, function(err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testSelectImages: function(test)
+	{
+		var selectImages = labjack_t7_upgrade.__get__('selectImages');
+
+		var createBundle = function (intendedDevice) {
+			var bundle = new DeviceFirmwareBundle();
+			bundle.setFirmwareImageInformation({intendedDevice: intendedDevice});
+			return bundle;
+		};
+		var recoveryBundle = createBundle(driver_const.T7_RECOVERY_TARGET);
+		var applicationBundle = createBundle(driver_const.T7_TARGET);
+		var bundles = [recoveryBundle, applicationBundle];
+
+		test.deepEqual(selectImages(bundles, false), [applicationBundle]);
+		test.deepEqual(selectImages(bundles, true), bundles);
+		test.throws(function () { selectImages([recoveryBundle], false); });
+		test.done();
+	},
+
+
 	testCheckCompatibilitySuccess: function(test)
 	{
 		var code = TEST_FIRMWARE_CODE;
@@ -271,8 +609,12 @@ module.exports = {
 		testBundle.setFirmwareImageInformation(fakeFirmwareInfo);
 		testBundle.setFirmwareVersion(version);
 		testBundle.setDevice(testDevice);
+		testBundle.setSerialNumber(FAKE_SERIAL_NUMBER);
 
-		labjack_t7_upgrade.checkCompatibility(testBundle).fail( function () {
+		labjack_t7_upgrade.checkCompatibility(testBundle).fail(function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.CompatibilityError);
+			test.equal(err.stage, 'check');
+			test.equal(err.serialNumber, FAKE_SERIAL_NUMBER);
 			test.done();
 		});
 	},
@@ -304,6 +646,229 @@ module.exports = {
 	},
 
 
+	testCheckCompatibilityDowngrade: function(test)
+	{
+		var version = 1.0067;
+		var testDevice = new MockDevice();
+		testDevice.setNextValue(1.0070000171661377);
+
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setFirmwareImageInformation({
+			headerCode: TEST_FIRMWARE_CODE,
+			intendedDevice: driver_const.T7_TARGET,
+			containedVersion: version
+		});
+		testBundle.setFirmwareVersion(version);
+		testBundle.setDevice(testDevice);
+
+		labjack_t7_upgrade.checkCompatibility(testBundle)
+		.then(function () {
+			test.ok(false, 'Downgrade allowed.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.CompatibilityError);
+			test.equal(testBundle.getInstalledVersion(), 1.007);
+			testBundle.setVersionPolicy({allowDowngrade: true});
+			return labjack_t7_upgrade.checkCompatibility(testBundle);
+		})
+		.then(function (bundle) {
+			test.ok(!bundle.isAlreadyInstalled());
+		}, function (err) {
+			test.ok(false, 'Allowed downgrade rejected: ' + err);
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testCheckCompatibilitySameVersion: function(test)
+	{
+		var version = 1.0067;
+		var testDevice = new MockDevice();
+		testDevice.setNextValue(1.0066999197006226);
+
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setFirmwareImageInformation({
+			headerCode: TEST_FIRMWARE_CODE,
+			intendedDevice: driver_const.T7_TARGET,
+			containedVersion: version
+		});
+		testBundle.setFirmwareVersion(version);
+		testBundle.setDevice(testDevice);
+
+		labjack_t7_upgrade.checkCompatibility(testBundle)
+		.then(function () {
+			test.ok(false, 'Installed version reinstalled.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.CompatibilityError);
+			testBundle.setVersionPolicy({skipIfSameVersion: true});
+			return labjack_t7_upgrade.checkCompatibility(testBundle);
+		})
+		.then(function (bundle) {
+			test.ok(bundle.isAlreadyInstalled());
+			testBundle.setVersionPolicy({force: true});
+			return labjack_t7_upgrade.checkCompatibility(testBundle);
+		})
+		.then(function (bundle) {
+			test.ok(!bundle.isAlreadyInstalled());
+		}, function (err) {
+			test.ok(false, 'Version policy not applied: ' + err);
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testCheckCompatibilityMinimumVersion: function(test)
+	{
+		var version = 1.0067;
+		var testDevice = new MockDevice();
+		testDevice.setNextValue(1.0);
+
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setFirmwareImageInformation({
+			headerCode: TEST_FIRMWARE_CODE,
+			intendedDevice: driver_const.T7_TARGET,
+			containedVersion: version
+		});
+		testBundle.setFirmwareVersion(version);
+		testBundle.setDevice(testDevice);
+		testBundle.setVersionPolicy({force: true, minimumVersion: 1.0068});
+
+		labjack_t7_upgrade.checkCompatibility(testBundle)
+		.then(function () {
+			test.ok(false, 'Version below minimum allowed.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.CompatibilityError);
+			test.equal(err.stage, 'check');
+			test.deepEqual(testDevice.getLastAddress(), []);
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testCheckVersionPolicyMultiImage: function(test)
+	{
+		var checkVersionPolicy = labjack_t7_upgrade.__get__(
+			'checkVersionPolicy');
+		var testDevice = new MockDevice();
+		testDevice.setNextValue(1.0070000171661377);
+
+		var createBundle = function (intendedDevice, version) {
+			var bundle = new DeviceFirmwareBundle();
+			bundle.setFirmwareImageInformation({
+				headerCode: TEST_FIRMWARE_CODE,
+				intendedDevice: intendedDevice,
+				containedVersion: version
+			});
+			bundle.setFirmwareVersion(version);
+			bundle.setDevice(testDevice);
+			bundle.setVersionPolicy({minimumVersion: 1.0});
+			return bundle;
+		};
+		var recoveryBundle = createBundle(driver_const.T7_RECOVERY_TARGET,
+			0.5);
+		var applicationBundle = createBundle(driver_const.T7_TARGET, 1.0067);
+
+		// The recovery image is not compared with the application version.
+		checkVersionPolicy(recoveryBundle)
+		.then(function (bundle) {
+			test.equal(bundle, recoveryBundle);
+			test.ok(!bundle.isAlreadyInstalled());
+			test.deepEqual(testDevice.getLastAddress(), []);
+			return checkVersionPolicy(applicationBundle);
+		}, function (err) {
+			test.ok(false, 'Recovery image rejected: ' + err);
+			return checkVersionPolicy(applicationBundle);
+		})
+		.then(function () {
+			test.ok(false, 'Application downgrade allowed.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.CompatibilityError);
+			test.equal(applicationBundle.getInstalledVersion(), 1.007);
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testCheckImageHashSuccess: function(test)
+	{
+		var file = createFirmwareFile({}, 64);
+		var parsed = labjack_t7_header.parseFirmwareFile(file)[0];
+
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setFirmwareImageInformation(parsed.header);
+		testBundle.setFirmwareImage(parsed.image);
+
+		labjack_t7_upgrade.checkImageHash(testBundle).then(function (bundle) {
+			test.equal(bundle, testBundle);
+			test.done();
+		}, function (err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testCheckImageHashFail: function(test)
+	{
+		var file = createFirmwareFile({}, 64);
+		var parsed = labjack_t7_header.parseFirmwareFile(file)[0];
+		parsed.image[10] = parsed.image[10] + 1;
+
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setFirmwareImageInformation(parsed.header);
+		testBundle.setFirmwareImage(parsed.image);
+
+		labjack_t7_upgrade.checkImageHash(testBundle).then(function () {
+			test.ok(false, 'Corrupted image accepted.');
+			test.done();
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.FirmwareFileError);
+			test.equal(err.stage, 'check');
+			test.done();
+		});
+	},
+
+
+	testUpdateFirmwareHashMismatchDoesNotErase: function(test)
+	{
+		var file = createFirmwareFile({
+			headerCode: TEST_FIRMWARE_CODE,
+			intendedDevice: driver_const.T7_TARGET,
+			containedVersion: 1.0067
+		}, 64);
+		file[file.length - 1] = 0;
+
+		var fakeReadFile = function (src, callback) {
+			callback(null, file);
+		};
+		labjack_t7_upgrade.__set__('fs', {readFile: fakeReadFile});
+
+		var testDevice = new MockDevice();
+		testDevice.setNextValue(FAKE_SERIAL_NUMBER);
+
+		var upgrade = labjack_t7_upgrade.createUpgrade(
+			testDevice,
+			'T7firmware_010067_2014-02-24.bin'
+		);
+		var stages = [];
+		upgrade.on('stage', function (stage) { stages.push(stage); });
+
+		upgrade.start().then(function () {
+			test.ok(false, 'Corrupted image accepted.');
+			test.done();
+		}, function (err) {
+			test.deepEqual(testDevice.getLastValue(), []);
+			test.deepEqual(stages, ['read', 'check']);
+			test.equal(err.stage, 'check');
+			test.done();
+		});
+	},
+
+
 	testEraseFlash: function(test)
 	{
 		var address1 = driver_const.T7_MA_EXF_KEY;
@@ -333,23 +898,135 @@ module.exports = {
 	},
 
 
-	testEraseImage: function(test)
+	testEraseFlashProgress: function(test)
 	{
-		var expectedNumWrites = driver_const.T7_IMG_FLASH_PAGE_ERASE;
-		var expectedFirstAddr = driver_const.T7_EFAdd_ExtFirmwareImage;
 		var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
-		var numBytesErasedBeforeLast = (expectedNumWrites - 1) * pageSize;
-		var expectedLastAddr = expectedFirstAddr + numBytesErasedBeforeLast;
-
 		var testDevice = new MockDevice();
 		var testBundle = new DeviceFirmwareBundle();
+		var upgrade = labjack_t7_upgrade.createUpgrade(testDevice, 'test.bin');
+		var progress = [];
+
+		upgrade.enterStage('erase');
+		upgrade.on('progress', function (event) { progress.push(event); });
 		testBundle.setDevice(testDevice);
+		testBundle.setUpgrade(upgrade);
+
+		labjack_t7_upgrade.eraseFlash(testBundle, 0, 2, 1).then(function () {
+			test.deepEqual(progress, [
+				{stage: 'erase', completedBytes: pageSize,
+					totalBytes: 2 * pageSize},
+				{stage: 'erase', completedBytes: 2 * pageSize,
+					totalBytes: 2 * pageSize}
+			]);
+			test.done();
+		}, function(err) { test.ok(false, err); test.done(); });
+	},
 
-		labjack_t7_upgrade.eraseImage(testBundle).then(function(){
-			var valuesWritten = testDevice.getLastValue();
-			test.equal(valuesWritten.length, expectedNumWrites);
-			test.equal(valuesWritten[0][0],
-				driver_const.T7_EFkey_ExtFirmwareImage);
+
+	testEraseFlashAbort: function(test)
+	{
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		var upgrade = labjack_t7_upgrade.createUpgrade(testDevice, 'test.bin');
+		var writeMany = testDevice.writeMany;
+
+		testDevice.writeMany = function (addresses, values, onError,
+			onSuccess)
+		{
+			upgrade.abort();
+			writeMany(addresses, values, onError, onSuccess);
+		};
+		upgrade.enterStage('erase');
+		testBundle.setDevice(testDevice);
+		testBundle.setUpgrade(upgrade);
+
+		labjack_t7_upgrade.eraseFlash(testBundle, 0, 3, 1).then(function () {
+			test.ok(false, 'Erase not aborted.');
+			test.done();
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.UpgradeAbortedError);
+			test.equal(err.stage, 'erase');
+			test.equal(err.flashState, 'partially erased');
+			test.equal(testDevice.getLastValue().length, 1);
+			test.done();
+		});
+	},
+
+
+	testEraseFlashRetry: function(test)
+	{
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testBundle.setRetryPolicy({maxAttempts: 3, backoff: 0});
+		testDevice.setNextErrors([1255, 1255]);
+
+		labjack_t7_upgrade.eraseFlash(testBundle, 0, 2, 1).then(function () {
+			test.equal(testDevice.getLastValue().length, 4);
+			test.done();
+		}, function(err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testEraseFlashRetryExhausted: function(test)
+	{
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testBundle.setRetryPolicy({maxAttempts: 3, backoff: 0});
+		testDevice.setNextErrors([1255, 1255, 1255]);
+
+		labjack_t7_upgrade.eraseFlash(testBundle, 0, 2, 1).then(function () {
+			test.ok(false, 'Erase succeeded after failures.');
+			test.done();
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.EraseError);
+			test.equal(err.stage, 'erase');
+			test.equal(err.address, 0);
+			test.equal(err.code, 1255);
+			test.equal(err.retries, 2);
+			test.equal(testDevice.getLastValue().length, 3);
+			test.done();
+		});
+	},
+
+
+	testEraseFlashRetryNotRetryable: function(test)
+	{
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testBundle.setRetryPolicy({maxAttempts: 3, backoff: 0});
+		testDevice.setNextErrors([2358]);
+
+		labjack_t7_upgrade.eraseFlash(testBundle, 0, 2, 1).then(function () {
+			test.ok(false, 'Erase succeeded after failure.');
+			test.done();
+		}, function (err) {
+			test.equal(err.code, 2358);
+			test.equal(err.retries, 0);
+			test.done();
+		});
+	},
+
+
+	testEraseImage: function(test)
+	{
+		var expectedNumWrites = driver_const.T7_IMG_FLASH_PAGE_ERASE;
+		var expectedFirstAddr = driver_const.T7_EFAdd_ExtFirmwareImage;
+		var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
+		var numBytesErasedBeforeLast = (expectedNumWrites - 1) * pageSize;
+		var expectedLastAddr = expectedFirstAddr + numBytesErasedBeforeLast;
+
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+
+		labjack_t7_upgrade.eraseImage(testBundle).then(function(){
+			var valuesWritten = testDevice.getLastValue();
+			test.equal(valuesWritten.length, expectedNumWrites);
+			test.equal(valuesWritten[0][0],
+				driver_const.T7_EFkey_ExtFirmwareImage);
 			test.equal(valuesWritten[0][1], expectedFirstAddr);
 			test.equal(valuesWritten[valuesWritten.length-1][1],
 				expectedLastAddr);
@@ -361,7 +1038,7 @@ module.exports = {
 	testEraseImageInformation: function(test)
 	{
 		var expectedNumWrites = driver_const.T7_HDR_FLASH_PAGE_ERASE;
-		var expectedFirstAddr = driver_const.T7_EFAdd_ExtFirmwareImage;
+		var expectedFirstAddr = driver_const.T7_EFAdd_ExtFirmwareImgInfo;
 		var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
 		var numBytesErasedBeforeLast = (expectedNumWrites - 1) * pageSize;
 		var expectedLastAddr = expectedFirstAddr + numBytesErasedBeforeLast;
@@ -389,12 +1066,16 @@ module.exports = {
 		var length = writeSize*1.5;
 		var size = writeSize;
 		var paramAddress1 = 0;
-		var paramAddress2 = 8;
+		var paramAddress2 = writeSize * 4;
 		var readPtrAddress = driver_const.T7_MA_EXF_pREAD;
 		var readFlashAddress = driver_const.T7_MA_EXF_READ;
 
 		var expectedMemory = [[1, 2], [3]];
-		var expectedReturnMemory = [1, 2, 3];
+		var expectedReturnMemory = new Buffer([
+			0, 0, 0, 1,
+			0, 0, 0, 2,
+			0, 0, 0, 3
+		]);
 
 		var expectedValues = [
 			[paramAddress1, null, null, null, null, null, null, null, null],
@@ -433,11 +1114,53 @@ module.exports = {
 			test.deepEqual(testDevice.getLastAddress(), expectedAddresses);
 			test.deepEqual(testDevice.getLastValue(), expectedValues);
 			test.deepEqual(testDevice.getLastDirections(), expectedDirections);
-			test.deepEqual(actualMemory, expectedReturnMemory);
+			test.equal(actualMemory.toString('hex'),
+				expectedReturnMemory.toString('hex'));
+			test.done();
+		}, function(err) { test.ok(false, err); test.done(); });
+	},
+
+	testReadFlashBatched: function(test)
+	{
+		var readPtrAddress = driver_const.T7_MA_EXF_pREAD;
+		var readFlashAddress = driver_const.T7_MA_EXF_READ;
+		var memory = [];
+		for (var i=0; i<16; i++)
+			memory.push(i);
+
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testDevice.setNextValue([memory]);
+		testDevice.setHandleInfo({
+			connectionType: connection_types.LJM_ctETHERNET,
+			maxBytesPerMB: 1040
+		});
+
+		labjack_t7_upgrade.readFlash(testBundle, 64, 16, 8)
+		.then(function (actualMemory) {
+			test.deepEqual(testDevice.getLastAddress(), [[
+				readPtrAddress,
+				readFlashAddress,
+				readPtrAddress,
+				readFlashAddress
+			]]);
+			test.deepEqual(testDevice.getLastDirections(), [[
+				driver_const.LJM_WRITE,
+				driver_const.LJM_READ,
+				driver_const.LJM_WRITE,
+				driver_const.LJM_READ
+			]]);
+			test.deepEqual(testDevice.getLastNumValues(), [[1, 8, 1, 8]]);
+			test.equal(testDevice.getLastValue()[0][0], 64);
+			test.equal(testDevice.getLastValue()[0][9], 96);
+			test.equal(actualMemory.length, 16 * 4);
+			test.equal(actualMemory.readUInt32BE(15 * 4), 15);
 			test.done();
 		}, function(err) { test.ok(false, err); test.done(); });
 	},
 
+
 	testReadImage: function(test)
 	{
 		var sizePerOperation = driver_const.T7_FLASH_BLOCK_WRITE_SIZE; 
@@ -471,7 +1194,7 @@ module.exports = {
 
 		labjack_t7_upgrade.readImage(testBundle).then(function (actualMemory) {
 			var lastValues = testDevice.getLastValue();
-			test.equal(actualMemory.length, expectedIntsReturned);
+			test.equal(actualMemory.length, expectedIntsReturned * 4);
 			test.equal(lastValues.length, expectedRWOps);
 			test.equal(lastValues[0].length, 9); // 1 for ptr, 8 for data
 			test.equal(lastValues[0][0], expectedReadAddr);
@@ -513,7 +1236,7 @@ module.exports = {
 		labjack_t7_upgrade.readImageInformation(testBundle)
 		.then(function (actualMemory) {
 			var lastValues = testDevice.getLastValue();
-			test.equal(actualMemory.length, expectedIntsReturned);
+			test.equal(actualMemory.length, expectedIntsReturned * 4);
 			test.equal(lastValues.length, expectedRWOps);
 			test.equal(lastValues[0].length, 9); // 1 for ptr, 8 for data
 			test.equal(lastValues[0][0], expectedReadAddr);
@@ -521,12 +1244,164 @@ module.exports = {
 		}, function(err) { test.ok(false, err); test.done(); });
 	},
 
+	testEraseRegion: function(test)
+	{
+		var key = driver_const.T7_EFkey_ExtFirmwareImage;
+		var start = driver_const.T7_EFAdd_ExtFirmwareImage;
+		var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+
+		labjack_t7_upgrade.eraseRegion(testBundle, 'extFirmwareImage',
+			pageSize, pageSize * 2)
+		.then(function (bundle) {
+			test.equal(bundle, testBundle);
+			test.deepEqual(testDevice.getLastValue(), [
+				[key, start + pageSize],
+				[key, start + pageSize * 2]
+			]);
+		}, function (err) {
+			test.ok(false, err);
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testReadRegion: function(test)
+	{
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testDevice.setNextValue([[1, 2, 3, 4, 5, 6, 7, 8]]);
+
+		labjack_t7_upgrade.readRegion(testBundle, 'startupSettings', 32, 32)
+		.then(function (memory) {
+			var lastValues = testDevice.getLastValue();
+			test.equal(memory.length, 32);
+			test.equal(memory.readUInt32BE(28), 8);
+			test.equal(lastValues.length, 1);
+			test.equal(lastValues[0][0],
+				driver_const.T7_EFAdd_StartupSettings + 32);
+		}, function (err) {
+			test.ok(false, err);
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testWriteRegion: function(test)
+	{
+		var data = new Buffer(32);
+		for (var i=0; i<8; i++)
+			data.writeUInt32BE(i + 1, i * 4);
+
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testDevice.setNextValue([[]]);
+
+		labjack_t7_upgrade.writeRegion(testBundle, 'deviceConfig', 64, data,
+			{allowProtected: true})
+		.then(function () {
+			test.deepEqual(testDevice.getLastValue(), [[
+				driver_const.T7_EFkey_DeviceConfig,
+				driver_const.T7_EFAdd_DeviceConfig + 64,
+				1, 2, 3, 4, 5, 6, 7, 8
+			]]);
+		}, function (err) {
+			test.ok(false, err);
+		})
+		.fin(function () {
+			test.done();
+		});
+	},
+
+
+	testRegionRequestRejected: function(test)
+	{
+		var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
+		var startupSize = pageSize;
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+
+		var requests = [
+			function () {
+				return labjack_t7_upgrade.readRegion(testBundle, 'bootloader');
+			},
+			function () {
+				return labjack_t7_upgrade.eraseRegion(testBundle,
+					'extFirmwareImage', 4, pageSize);
+			},
+			function () {
+				return labjack_t7_upgrade.eraseRegion(testBundle,
+					'extFirmwareImage', 0, 4);
+			},
+			function () {
+				return labjack_t7_upgrade.readRegion(testBundle,
+					'startupSettings', startupSize - 4, 8);
+			},
+			function () {
+				return labjack_t7_upgrade.readRegion(testBundle,
+					'startupSettings', 2, 4);
+			},
+			function () {
+				return labjack_t7_upgrade.writeRegion(testBundle,
+					'startupSettings', 0, new Buffer(6),
+					{allowProtected: true});
+			},
+			function () {
+				return labjack_t7_upgrade.writeRegion(testBundle,
+					'startupSettings', 0, [1, 2, 3, 4],
+					{allowProtected: true});
+			},
+			function () {
+				return labjack_t7_upgrade.writeRegion(testBundle,
+					'deviceConfig', 0, new Buffer(4));
+			},
+			function () {
+				return labjack_t7_upgrade.eraseRegion(testBundle, 'calValues');
+			},
+			function () {
+				return labjack_t7_upgrade.eraseRegion(testBundle,
+					'emerFirmwareImage', 0, pageSize, {allowProtected: false});
+			},
+			function () {
+				return labjack_t7_upgrade.readRegion(testBundle,
+					'swdtSettings');
+			}
+		];
+
+		requests.reduce(function (lastRequest, request) {
+			return lastRequest.then(function () {
+				return request().then(function () {
+					test.ok(false, 'Invalid request accepted.');
+				}, function (err) {
+					test.ok(err instanceof labjack_t7_upgrade.FlashRegionError);
+				});
+			});
+		}, q(null))
+		.fin(function () {
+			test.deepEqual(testDevice.getLastAddress(), []);
+			test.done();
+		});
+	},
+
+
 	testCheckErase: function(test)
 	{
 		var zeroedValue = labjack_t7_upgrade.__get__('EXPECTED_ZEROED_MEM_VAL');
 		var returnConst = function () { 
 			var deferred = q.defer();
-			deferred.resolve([zeroedValue, zeroedValue, zeroedValue]);
+			var memory = new Buffer(12);
+			for (var i=0; i<memory.length; i+=4)
+				memory.writeUInt32BE(zeroedValue, i);
+			deferred.resolve(memory);
 			return deferred.promise;
 		};
 
@@ -539,12 +1414,36 @@ module.exports = {
 			'exports.readImageInformation');
 		labjack_t7_upgrade.__set__('exports.readImage', returnConst);
 		labjack_t7_upgrade.__set__('exports.readImageInformation', returnConst);
-		labjack_t7_upgrade.readImageInformation(testBundle).then(function(){
-			test.done();
+		labjack_t7_upgrade.checkErase(testBundle).then(function(bundle){
+			test.equal(bundle, testBundle);
+		}, function(err) {
+			test.ok(false, err);
+		}).fin(function () {
 			labjack_t7_upgrade.__set__('exports.readImage', origReadImage);
 			labjack_t7_upgrade.__set__('exports.readImageInformation',
 				origReadImageInfo);
-		})
+			test.done();
+		});
+	},
+
+
+	testCheckEraseFail: function(test)
+	{
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testDevice.setNextValue([[4294967295, 0]]);
+
+		labjack_t7_upgrade.checkErase(testBundle).then(function () {
+			test.ok(false, 'Unerased flash accepted.');
+			test.done();
+		}, function (err) {
+			var address = driver_const.T7_EFAdd_ExtFirmwareImgInfo + 4;
+			test.ok(err instanceof labjack_t7_upgrade.EraseError);
+			test.equal(err.address, address);
+			test.ok(err.message.indexOf(String(address)) != -1);
+			test.done();
+		});
 	},
 
 
@@ -554,36 +1453,22 @@ module.exports = {
 		var length = writeSize*1.5;
 		var size = writeSize;
 		var paramAddress1 = 0;
-		var paramAddress2 = 8;
+		var paramAddress2 = writeSize * 4;
 		var key = 5;
 		var keyAddress = driver_const.T7_MA_EXF_KEY;
 		var writePtrAddress = driver_const.T7_MA_EXF_pWRITE;
 		var writeFlashAddress = driver_const.T7_MA_EXF_WRITE;
 
-		var expectedMemory = [[1], [2]];
-		var expectedReturnMemory = [1, 2];
+		var data = new Buffer(length * 4);
+		var integers = [];
+		for (var i=0; i<length; i++) {
+			data.writeUInt32BE(i + 1, i * 4);
+			integers.push(i + 1);
+		}
 
 		var expectedValues = [
-			[
-				key,
-				paramAddress1,
-				null,
-				null,
-				null,
-				null,
-				null,
-				null,
-				null,
-				null
-			],
-			[
-				key,
-				paramAddress2,
-				null,
-				null,
-				null,
-				null
-			]
+			[key, paramAddress1].concat(integers.slice(0, writeSize)),
+			[key, paramAddress2].concat(integers.slice(writeSize))
 		];
 
 		var expectedAddresses = [
@@ -617,19 +1502,20 @@ module.exports = {
 		var expectedNumValues = [
 			[1, 1, writeSize],
 			[1, 1, writeSize*0.5]
-		];	
+		];
 
 		var testDevice = new MockDevice();
 		var testBundle = new DeviceFirmwareBundle();
 		testBundle.setDevice(testDevice);
-		testDevice.setNextValue(expectedMemory);
+		testDevice.setNextValue([]);
 
 		labjack_t7_upgrade.writeFlash(
 			testBundle,
 			paramAddress1,
 			length,
-			size, 
-			key
+			size,
+			key,
+			data
 		).then(function () {
 			test.deepEqual(testDevice.getLastAddress(), expectedAddresses);
 			test.deepEqual(testDevice.getLastValue(), expectedValues);
@@ -642,165 +1528,750 @@ module.exports = {
 	},
 
 
-	testWriteImage: function(test)
+	testWriteFlashProgress: function(test)
 	{
-		var sizePerOperation = driver_const.T7_FLASH_BLOCK_WRITE_SIZE; 
-		var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
-		var numPages = driver_const.T7_IMG_FLASH_PAGE_ERASE;
-		var numBytesPerInt = 4;
-
-		var intsPerPage = pageSize / numBytesPerInt;
-		var expectedIntsWritten = numPages * intsPerPage;
-		var expectedRWOps = expectedIntsWritten / sizePerOperation;
-		var expectedWriteAddr = driver_const.T7_EFAdd_ExtFirmwareImage;
-
-		var createZeroArray = function (numZeros)
-		{
-			var retVal = [];
-			for(var i=0; i<numZeros; i++)
-				retVal.push(0);
-			return retVal;
-		}
+		var writeSize = driver_const.T7_FLASH_BLOCK_WRITE_SIZE;
+		var data = new Buffer(writeSize * 4 * 2);
+		data.fill(0);
 
-		var mockMemory = [];
-		for(i=0; i<expectedRWOps; i++)
-		{
-			mockMemory.push(createZeroArray(sizePerOperation));
-		}
-		
 		var testDevice = new MockDevice();
 		var testBundle = new DeviceFirmwareBundle();
+		var upgrade = labjack_t7_upgrade.createUpgrade(testDevice, 'test.bin');
+		var progress = [];
+
+		upgrade.enterStage('write');
+		upgrade.on('progress', function (event) { progress.push(event); });
 		testBundle.setDevice(testDevice);
-		testBundle.setDeviceImage(mockMemory);
+		testBundle.setUpgrade(upgrade);
+		testDevice.setNextValue([]);
 
-		labjack_t7_upgrade.writeImage(testBundle).then(function () {
-			var lastValues = testDevice.getLastValue();
-			test.equal(lastValues.length, expectedRWOps);
-			test.equal(lastValues[0][1], expectedWriteAddr);
-			test.equal(lastValues[0].length, 10); // 1 for ptr, 1 key, 8 data
+		labjack_t7_upgrade.writeFlash(
+			testBundle,
+			0,
+			writeSize * 2,
+			writeSize,
+			1,
+			data
+		).then(function () {
+			test.deepEqual(progress, [
+				{stage: 'write', completedBytes: data.length / 2,
+					totalBytes: data.length},
+				{stage: 'write', completedBytes: data.length,
+					totalBytes: data.length}
+			]);
 			test.done();
 		}, function(err) { test.ok(false, err); test.done(); });
 	},
 
 
-	testWriteImageInformation: function(test)
+	testWriteFlashRetry: function(test)
 	{
-		var sizePerOperation = driver_const.T7_FLASH_BLOCK_WRITE_SIZE; 
-		var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
-		var numPages = driver_const.T7_HDR_FLASH_PAGE_ERASE;
-		var numBytesPerInt = 4;
-
-		var intsPerPage = pageSize / numBytesPerInt;
-		var expectedIntsWritten = numPages * intsPerPage;
-		var expectedRWOps = expectedIntsWritten / sizePerOperation;
-		var expectedWriteAddr = driver_const.T7_EFAdd_ExtFirmwareImgInfo;
-
-		var createZeroArray = function (numZeros)
-		{
-			var retVal = [];
-			for(var i=0; i<numZeros; i++)
-				retVal.push(0);
-			return retVal;
-		}
+		var writeSize = driver_const.T7_FLASH_BLOCK_WRITE_SIZE;
+		var data = new Buffer(writeSize * 4 * 2);
+		data.fill(0);
 
-		var mockMemory = [];
-		for(i=0; i<expectedRWOps; i++)
-		{
-			mockMemory.push(createZeroArray(sizePerOperation));
-		}
-		
 		var testDevice = new MockDevice();
 		var testBundle = new DeviceFirmwareBundle();
 		testBundle.setDevice(testDevice);
-		testBundle.setDeviceImage(mockMemory);
+		testBundle.setRetryPolicy({
+			maxAttempts: 2,
+			backoff: 0,
+			retryableErrors: [1]
+		});
+		testDevice.setNextValue([]);
+		testDevice.setNextErrors([1]);
 
-		labjack_t7_upgrade.writeImageInformation(testBundle).then(function () {
+		labjack_t7_upgrade.writeFlash(
+			testBundle,
+			0,
+			writeSize * 2,
+			writeSize,
+			1,
+			data
+		).then(function () {
 			var lastValues = testDevice.getLastValue();
-			test.equal(lastValues.length, expectedRWOps);
-			test.equal(lastValues[0][1], expectedWriteAddr);
-			test.equal(lastValues[0].length, 10); // 1 for ptr, 1 key, 8 data
+			test.equal(lastValues.length, 3);
+			test.deepEqual(lastValues[0], lastValues[1]);
 			test.done();
-		}, function (err) { test.ok(false, err); test.done(); });
+		}, function(err) { test.ok(false, err); test.done(); });
 	},
 
 
-	testCheckImageWrite: function(test)
+	testWriteFlashFail: function(test)
 	{
-		var sizePerOperation = driver_const.T7_FLASH_BLOCK_WRITE_SIZE; 
-		var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
-		var numPages = driver_const.T7_HDR_FLASH_PAGE_ERASE;
-		var numBytesPerInt = 4;
-
-		var intsPerPage = pageSize / numBytesPerInt;
-		var expectedIntsWritten = numPages * intsPerPage;
-		var expectedRWOps = expectedIntsWritten / sizePerOperation;
-
-		var createZeroArray = function (numZeros)
-		{
-			var retVal = [];
-			for(var i=0; i<numZeros; i++)
-				retVal.push(i+1);
-			return retVal;
-		}
+		var writeSize = driver_const.T7_FLASH_BLOCK_WRITE_SIZE;
+		var data = new Buffer(writeSize * 4 * 2);
+		data.fill(0);
 
-		var mockMemory = [];
-		for(i=0; i<expectedRWOps; i++)
-		{
-			mockMemory.push(createZeroArray(sizePerOperation));
-		}
-		var mockMemoryFlattened = mockMemory.reduce(function(a, b) {
-		    return a.concat(b);
-		});
-		
 		var testDevice = new MockDevice();
 		var testBundle = new DeviceFirmwareBundle();
 		testBundle.setDevice(testDevice);
-		testBundle.setDeviceImage(mockMemoryFlattened);
-		testDevice.setNextValue(mockMemory);
+		testBundle.setSerialNumber(FAKE_SERIAL_NUMBER);
+		testDevice.rwMany = function (addresses, directions, numValues,
+			values, onError, onSuccess)
+		{
+			if (values[1] === writeSize * 4)
+				onError(2358);
+			else
+				onSuccess([]);
+		};
 
-		labjack_t7_upgrade.checkImageWrite(testBundle).then(function () {
+		labjack_t7_upgrade.writeFlash(
+			testBundle,
+			0,
+			writeSize * 2,
+			writeSize,
+			1,
+			data
+		).then(function () {
+			test.ok(false, 'Write succeeded after failure.');
 			test.done();
-		}, function (err) { test.ok(false, err); test.done(); });
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.WriteError);
+			test.equal(err.stage, 'write');
+			test.equal(err.serialNumber, FAKE_SERIAL_NUMBER);
+			test.equal(err.address, writeSize * 4);
+			test.equal(err.code, 2358);
+			test.done();
+		});
 	},
 
 
-	testCheckImageWriteFail: function(test)
+	testWriteFlashChunkSize: function(test)
 	{
-		var sizePerOperation = driver_const.T7_FLASH_BLOCK_WRITE_SIZE; 
-		var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
-		var numPages = driver_const.T7_HDR_FLASH_PAGE_ERASE;
-		var numBytesPerInt = 4;
+		var data = new Buffer(10 * 4);
+		for (var i=0; i<10; i++)
+			data.writeUInt32BE(i, i * 4);
 
-		var intsPerPage = pageSize / numBytesPerInt;
-		var expectedIntsWritten = numPages * intsPerPage;
-		var expectedRWOps = expectedIntsWritten / sizePerOperation;
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testDevice.setNextValue([]);
 
-		var createZeroArray = function (numZeros)
-		{
-			var retVal = [];
-			for(var i=0; i<numZeros; i++)
-				retVal.push(i+1);
-			return retVal;
+		labjack_t7_upgrade.writeFlash(
+			testBundle,
+			16,
+			10,
+			4,
+			1,
+			data
+		).then(function () {
+			test.deepEqual(testDevice.getLastNumValues(), [
+				[1, 1, 4],
+				[1, 1, 4],
+				[1, 1, 2]
+			]);
+			test.deepEqual(testDevice.getLastValue(), [
+				[1, 16, 0, 1, 2, 3],
+				[1, 32, 4, 5, 6, 7],
+				[1, 48, 8, 9]
+			]);
+			test.done();
+		}, function(err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testWriteFlashAdaptive: function(test)
+	{
+		var data = new Buffer(256 * 4);
+		data.fill(0);
+
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		var adaptiveChunkSizes = {};
+		labjack_t7_upgrade.__set__('adaptiveChunkSizes', adaptiveChunkSizes);
+		testBundle.setDevice(testDevice);
+		testDevice.setNextValue([]);
+		testDevice.setHandleInfo({
+			connectionType: connection_types.LJM_ctETHERNET,
+			maxBytesPerMB: 1040
+		});
+		testDevice.setNextErrors([1254]);
+
+		labjack_t7_upgrade.writeFlash(
+			testBundle,
+			0,
+			256,
+			'adaptive',
+			1,
+			data
+		).then(function () {
+			var chunkSizes = testDevice.getLastNumValues().map(
+				function (numValues) { return numValues[2]; }
+			);
+			test.deepEqual(chunkSizes, [128, 64, 64, 64, 64]);
+			test.equal(adaptiveChunkSizes[connection_types.LJM_ctETHERNET],
+				64);
+
+			// Other errors fail the write rather than shrinking the chunks.
+			testDevice = new MockDevice();
+			testBundle.setDevice(testDevice);
+			testDevice.setHandleInfo({
+				connectionType: connection_types.LJM_ctETHERNET,
+				maxBytesPerMB: 1040
+			});
+			testDevice.setNextErrors([2358]);
+			return labjack_t7_upgrade.writeFlash(testBundle, 0, 256,
+				'adaptive', 1, data);
+		}).then(function () {
+			test.ok(false, 'Write succeeded after failure.');
+			test.done();
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.WriteError);
+			test.equal(err.code, 2358);
+			test.equal(testDevice.getLastNumValues()[0][2], 64);
+			labjack_t7_upgrade.__set__('adaptiveChunkSizes', {});
+			test.done();
+		});
+	},
+
+
+	testWriteFlashBatched: function(test)
+	{
+		var keyAddress = driver_const.T7_MA_EXF_KEY;
+		var writePtrAddress = driver_const.T7_MA_EXF_pWRITE;
+		var writeFlashAddress = driver_const.T7_MA_EXF_WRITE;
+		var data = new Buffer(40 * 4);
+		for (var i=0; i<40; i++)
+			data.writeUInt32BE(i, i * 4);
+
+		var createDevice = function () {
+			var testDevice = new MockDevice();
+			testDevice.setNextValue([]);
+			testDevice.setHandleInfo({
+				connectionType: connection_types.LJM_ctETHERNET,
+				maxBytesPerMB: 1040
+			});
+			return testDevice;
+		};
+
+		var testDevice = createDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+
+		labjack_t7_upgrade.writeFlash(testBundle, 0, 40, 8, 1, data)
+		.then(function () {
+			var addresses = testDevice.getLastAddress();
+			var values = testDevice.getLastValue();
+
+			test.deepEqual(testDevice.getLastFrames(), [15]);
+			test.deepEqual(addresses[0].slice(0, 6), [
+				keyAddress,
+				writePtrAddress,
+				writeFlashAddress,
+				keyAddress,
+				writePtrAddress,
+				writeFlashAddress
+			]);
+			test.deepEqual(values[0].slice(0, 12),
+				[1, 0, 0, 1, 2, 3, 4, 5, 6, 7, 1, 32]);
+			test.equal(values[0].length, 5 * 2 + 40);
+
+			// Chunks per call can be limited.
+			testDevice = createDevice();
+			testBundle.setDevice(testDevice);
+			testBundle.setChunksPerCall(2);
+			return labjack_t7_upgrade.writeFlash(testBundle, 0, 40, 8, 1,
+				data);
+		}).then(function () {
+			test.deepEqual(testDevice.getLastFrames(), [6, 6, 3]);
+			test.done();
+		}, function(err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testWriteFlashBatchTooLarge: function(test)
+	{
+		var data = new Buffer(40 * 4);
+		data.fill(0);
+
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		var completedChunks = [];
+		testBundle.setDevice(testDevice);
+		testDevice.setNextValue([]);
+		testDevice.setHandleInfo({
+			connectionType: connection_types.LJM_ctETHERNET,
+			maxBytesPerMB: 1040
+		});
+		testDevice.setNextErrors([1254]);
+
+		labjack_t7_upgrade.writeFlash(testBundle, 0, 40, 8, 1, data,
+			function (address, numIntegers) {
+				completedChunks.push([address, numIntegers]);
+			}
+		).then(function () {
+			test.deepEqual(testDevice.getLastFrames(), [15, 6, 6, 3]);
+			test.deepEqual(completedChunks,
+				[[0, 8], [32, 8], [64, 8], [96, 8], [128, 8]]);
+			test.done();
+		}, function(err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testWriteImage: function(test)
+	{
+		var sizePerOperation = driver_const.T7_FLASH_BLOCK_WRITE_SIZE;
+		var key = driver_const.T7_EFkey_ExtFirmwareImage;
+		var expectedWriteAddr = driver_const.T7_EFAdd_ExtFirmwareImage;
+
+		// Two full chunks and a partial one
+		var numIntegers = sizePerOperation * 2.5;
+		var image = new Buffer(numIntegers * 4);
+		var integers = [];
+		for (var i=0; i<numIntegers; i++) {
+			image.writeUInt32BE(i + 1, i * 4);
+			integers.push(i + 1);
 		}
 
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testBundle.setFirmwareImage(image);
+		testDevice.setNextValue([]);
+
+		labjack_t7_upgrade.writeImage(testBundle).then(function (bundle) {
+			test.equal(bundle, testBundle);
+			test.deepEqual(testDevice.getLastNumValues(), [
+				[1, 1, sizePerOperation],
+				[1, 1, sizePerOperation],
+				[1, 1, sizePerOperation / 2]
+			]);
+			test.deepEqual(testDevice.getLastValue(), [
+				[key, expectedWriteAddr].concat(
+					integers.slice(0, sizePerOperation)),
+				[key, expectedWriteAddr + sizePerOperation * 4].concat(
+					integers.slice(sizePerOperation, sizePerOperation * 2)),
+				[key, expectedWriteAddr + sizePerOperation * 8].concat(
+					integers.slice(sizePerOperation * 2))
+			]);
+			test.done();
+		}, function(err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testWriteImageCheckpoints: function(test)
+	{
+		var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
+		var startAddress = driver_const.T7_EFAdd_ExtFirmwareImage;
+		var image = new Buffer(pageSize * 2);
+		image.fill(0);
+
+		var checkpoints = [];
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testBundle.setSerialNumber(FAKE_SERIAL_NUMBER);
+		testBundle.setFirmwareImage(image);
+		testBundle.setFirmwareImageInformation({
+			imageNumber: 0,
+			containedVersion: 1.0067
+		});
+		testBundle.setCheckpointStore({
+			save: function (checkpoint) { checkpoints.push(checkpoint); }
+		});
+		testDevice.setNextValue([]);
+
+		labjack_t7_upgrade.writeImage(testBundle).then(function () {
+			test.deepEqual(checkpoints, [
+				{serialNumber: FAKE_SERIAL_NUMBER, imageNumber: 0,
+					containedVersion: 1.0067, address: startAddress + pageSize},
+				{serialNumber: FAKE_SERIAL_NUMBER, imageNumber: 0,
+					containedVersion: 1.0067,
+					address: startAddress + 2 * pageSize}
+			]);
+			test.done();
+		}, function(err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testWriteImageFromOffset: function(test)
+	{
+		var pageSize = driver_const.T7_FLASH_PAGE_SIZE;
+		var writeSize = driver_const.T7_FLASH_BLOCK_WRITE_SIZE;
+		var startAddress = driver_const.T7_EFAdd_ExtFirmwareImage;
+		var image = new Buffer(pageSize * 2);
+		image.fill(0);
+
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testBundle.setFirmwareImage(image);
+		testBundle.setImageWriteOffset(pageSize);
+		testDevice.setNextValue([]);
+
+		labjack_t7_upgrade.writeImage(testBundle).then(function () {
+			var lastValues = testDevice.getLastValue();
+			test.equal(lastValues.length, pageSize / 4 / writeSize);
+			test.equal(lastValues[0][1], startAddress + pageSize);
+			test.done();
+		}, function(err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testCheckResumePoint: function(test)
+	{
+		var writeSize = driver_const.T7_FLASH_BLOCK_WRITE_SIZE;
+		var startAddress = driver_const.T7_EFAdd_ExtFirmwareImage;
+		var image = new Buffer(writeSize * 4 * 4);
+		for (var i=0; i<image.length; i++)
+			image[i] = i;
+
+		var memory = [];
+		for (i=0; i<writeSize*2; i++)
+			memory.push(image.readUInt32BE(i*4));
+
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testBundle.setSerialNumber(FAKE_SERIAL_NUMBER);
+		testBundle.setFirmwareImage(image);
+		testBundle.setFirmwareImageInformation({
+			imageNumber: 0,
+			containedVersion: 1.0067
+		});
+		testDevice.setNextValue([
+			memory.slice(0, writeSize),
+			memory.slice(writeSize)
+		]);
+
+		var checkpoint = {
+			serialNumber: FAKE_SERIAL_NUMBER,
+			imageNumber: 0,
+			containedVersion: 1.0067,
+			address: startAddress + writeSize * 4 * 2
+		};
+
+		labjack_t7_upgrade.checkResumePoint(testBundle, checkpoint)
+		.then(function (bundle) {
+			test.equal(bundle.getImageWriteOffset(), writeSize * 4 * 2);
+			test.equal(testDevice.getLastValue()[0][0], startAddress);
+			test.done();
+		}, function(err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testCheckResumePointMismatch: function(test)
+	{
+		var writeSize = driver_const.T7_FLASH_BLOCK_WRITE_SIZE;
+		var startAddress = driver_const.T7_EFAdd_ExtFirmwareImage;
+		var image = new Buffer(writeSize * 4 * 4);
+		image.fill(0);
+
+		var memory = [];
+		for (var i=0; i<writeSize; i++)
+			memory.push(0);
+		memory[3] = 1;
+
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testBundle.setSerialNumber(FAKE_SERIAL_NUMBER);
+		testBundle.setFirmwareImage(image);
+		testBundle.setFirmwareImageInformation({
+			imageNumber: 0,
+			containedVersion: 1.0067
+		});
+		testDevice.setNextValue([memory]);
+
+		var checkpoint = {
+			serialNumber: FAKE_SERIAL_NUMBER,
+			imageNumber: 0,
+			containedVersion: 1.0067,
+			address: startAddress + writeSize * 4
+		};
+
+		labjack_t7_upgrade.checkResumePoint(testBundle, checkpoint)
+		.then(function () {
+			test.ok(false, 'Mismatched flash accepted.');
+			test.done();
+		}, function () {
+			test.equal(testBundle.getImageWriteOffset(), 0);
+			test.done();
+		});
+	},
+
+
+	testCheckResumePointWrongDevice: function(test)
+	{
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testBundle.setSerialNumber(FAKE_SERIAL_NUMBER);
+		testBundle.setFirmwareImage(new Buffer(32));
+		testBundle.setFirmwareImageInformation({
+			imageNumber: 0,
+			containedVersion: 1.0067
+		});
+
+		var checkpoint = {
+			serialNumber: FAKE_SERIAL_NUMBER + 1,
+			imageNumber: 0,
+			containedVersion: 1.0067,
+			address: driver_const.T7_EFAdd_ExtFirmwareImage
+		};
+
+		labjack_t7_upgrade.checkResumePoint(testBundle, checkpoint)
+		.then(function () {
+			test.ok(false, 'Checkpoint for other device accepted.');
+			test.done();
+		}, function () {
+			test.deepEqual(testDevice.getLastAddress(), []);
+			test.done();
+		});
+	},
+
+
+	testFileCheckpointStore: function(test)
+	{
+		var filePath = path.join(os.tmpdir(),
+			'labjack_t7_upgrade_test_checkpoint.json');
+		var checkpoint = {serialNumber: FAKE_SERIAL_NUMBER, address: 4};
+
+		labjack_t7_upgrade.__set__('fs', fs);
+		var store = labjack_t7_upgrade.createFileCheckpointStore(filePath);
+
+		store.save(checkpoint);
+		test.deepEqual(store.load(), checkpoint);
+		store.clear();
+		test.equal(store.load(), null);
+		test.done();
+	},
+
+
+	testResumeUpgradeWithoutCheckpoint: function(test)
+	{
+		var store = {load: function () { return null; }};
+
+		labjack_t7_upgrade.resumeUpgrade(new MockDevice(), 'missing.bin', store)
+		.then(function () {
+			test.ok(false, 'Resumed without a checkpoint.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.CompatibilityError);
+			test.equal(err.stage, 'resume');
+			test.equal(err.message, 'No checkpoint to resume from.');
+		})
+		.fin(function () { test.done(); });
+	},
+
+
+	testCreateUpgradeInvalidChunkOptions: function(test)
+	{
+		var optionsList = [{chunkSize: 0}, {chunksPerCall: 1.5}];
+		var stages = [];
+
+		q.all(optionsList.map(function (options) {
+			var upgrade = labjack_t7_upgrade.createUpgrade(new MockDevice(),
+				'missing.bin', options);
+			upgrade.on('stage', function (stage) { stages.push(stage); });
+			return upgrade.start().then(function () {
+				test.ok(false, 'Upgrade started with invalid options.');
+			}, function (err) {
+				test.ok(err instanceof labjack_t7_upgrade.UpgradeError);
+				test.equal(err.stage, 'check');
+			});
+		}))
+		.fin(function () {
+			// The firmware file is never read.
+			test.deepEqual(stages, []);
+			test.done();
+		});
+	},
+
+
+	testWriteImageInformation: function(test)
+	{
+		var sizePerOperation = driver_const.T7_FLASH_BLOCK_WRITE_SIZE;
+		var key = driver_const.T7_EFkey_ExtFirmwareImgInfo;
+		var expectedWriteAddr = driver_const.T7_EFAdd_ExtFirmwareImgInfo;
+		var numIntegers = driver_const.T7_IMG_HEADER_LENGTH / 4;
+		var expectedRWOps = Math.ceil(numIntegers / sizePerOperation);
+
+		var rawImageInfo = new Buffer(numIntegers * 4);
+		for (var i=0; i<numIntegers; i++)
+			rawImageInfo.writeUInt32BE(i + 1, i * 4);
+
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testBundle.setFirmwareImageInformation({rawImageInfo: rawImageInfo});
+		testDevice.setNextValue([]);
+
+		labjack_t7_upgrade.writeImageInformation(testBundle).then(function () {
+			var lastValues = testDevice.getLastValue();
+			test.equal(lastValues.length, expectedRWOps);
+			lastValues.forEach(function (values, i) {
+				var firstInteger = i * sizePerOperation;
+				test.equal(values[0], key);
+				test.equal(values[1], expectedWriteAddr + firstInteger * 4);
+				test.equal(values[2], firstInteger + 1);
+				test.equal(values.length, 2 + Math.min(sizePerOperation,
+					numIntegers - firstInteger));
+			});
+			test.done();
+		}, function (err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testCheckImageWrite: function(test)
+	{
+		var sizePerOperation = driver_const.T7_FLASH_BLOCK_WRITE_SIZE; 
+		var image = new Buffer(sizePerOperation * 4 * 2);
+		for (var i=0; i<image.length; i++)
+			image[i] = i;
+		var rawImageInfo = new Buffer(sizePerOperation * 4);
+		rawImageInfo.fill(7);
+
+		var toIntegers = function (buffer) {
+			var integers = [];
+			for (var i=0; i<buffer.length; i+=4)
+				integers.push(buffer.readUInt32BE(i));
+			return integers;
+		};
+		var imageIntegers = toIntegers(image);
+
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+		testBundle.setFirmwareImage(image);
+		testBundle.setFirmwareImageInformation({rawImageInfo: rawImageInfo});
+		testDevice.setNextValue([
+			imageIntegers.slice(0, sizePerOperation),
+			imageIntegers.slice(sizePerOperation),
+			toIntegers(rawImageInfo)
+		]);
+
+		labjack_t7_upgrade.checkImageWrite(testBundle).then(function () {
+			test.equal(testDevice.getLastValue().length, 3);
+			test.done();
+		}, function (err) { test.ok(false, err); test.done(); });
+	},
+
+
+	testCheckImageWriteFail: function(test)
+	{
+		var sizePerOperation = driver_const.T7_FLASH_BLOCK_WRITE_SIZE; 
+		var image = new Buffer(sizePerOperation * 4);
+		image.fill(0);
+
 		var mockMemory = [];
-		for(i=0; i<expectedRWOps; i++)
-		{
-			mockMemory.push(createZeroArray(sizePerOperation));
-		}
+		for (var i=0; i<sizePerOperation; i++)
+			mockMemory.push(0);
+		mockMemory[5] = 1;
 		
 		var testDevice = new MockDevice();
 		var testBundle = new DeviceFirmwareBundle();
 		testBundle.setDevice(testDevice);
-		testBundle.setDeviceImage(mockMemory);
-		testDevice.setNextValue(mockMemory);
-
-		labjack_t7_upgrade.checkImageWrite(testBundle).fail(function () {
+		testBundle.setFirmwareImage(image);
+		testBundle.setFirmwareImageInformation({rawImageInfo: image});
+		testDevice.setNextValue([mockMemory]);
+
+		labjack_t7_upgrade.checkImageWrite(testBundle).fail(function (err) {
+			// One image word and every unread image information word.
+			var startAddress = driver_const.T7_EFAdd_ExtFirmwareImage;
+			test.ok(err instanceof labjack_t7_upgrade.VerifyError);
+			test.equal(err.address, startAddress + 5 * 4);
+			test.equal(err.report.mismatchedWords, 1 + sizePerOperation);
+			test.deepEqual(err.report.ranges[0], {
+				address: startAddress + 5 * 4,
+				expected: [0],
+				actual: [1]
+			});
+			test.equal(err.report.ranges[1].address,
+				driver_const.T7_EFAdd_ExtFirmwareImgInfo);
 			test.done();
 		});
 	},
 
 
+	testCompareFlash: function(test)
+	{
+		var expected = new Buffer(6 * 4);
+		expected.fill(0);
+		var actual = new Buffer(6 * 4);
+		actual.fill(0);
+		actual.writeUInt32BE(1, 4);
+		actual.writeUInt32BE(2, 8);
+		actual.writeUInt32BE(3, 20);
+
+		var report = labjack_t7_upgrade.compareFlash(expected, actual, 100, 16);
+
+		test.deepEqual(report, {
+			mismatchedWords: 3,
+			ranges: [
+				{address: 104, expected: [0, 0], actual: [1, 2]},
+				{address: 120, expected: [0], actual: [3]}
+			],
+			truncated: false
+		});
+		test.done();
+	},
+
+
+	testCompareFlashLimit: function(test)
+	{
+		var expected = new Buffer(6 * 4);
+		expected.fill(0);
+		var actual = new Buffer(6 * 4);
+		actual.fill(1);
+
+		var report = labjack_t7_upgrade.compareFlash(expected, actual, 0, 2);
+
+		test.equal(report.mismatchedWords, 6);
+		test.equal(report.ranges.length, 1);
+		test.equal(report.ranges[0].actual.length, 2);
+		test.ok(report.truncated);
+		test.done();
+	},
+
+
+	testPlanImage: function(test)
+	{
+		var bundle = new DeviceFirmwareBundle();
+		bundle.setFirmwareImage(new Buffer(64));
+		bundle.setFirmwareImageInformation({
+			imageNumber: 0,
+			intendedDevice: driver_const.T7_TARGET,
+			rawImageInfo: new Buffer(driver_const.T7_IMG_HEADER_LENGTH)
+		});
+		bundle.setFirmwareVersion(1.0067);
+		bundle.setImageWriteOffset(32);
+
+		var plan = labjack_t7_upgrade.planImage(bundle);
+		var numPages = driver_const.T7_IMG_FLASH_PAGE_ERASE +
+			driver_const.T7_HDR_FLASH_PAGE_ERASE;
+		test.equal(plan.firmwareVersion, 1.0067);
+		test.equal(plan.erasePages.length, numPages);
+		test.equal(plan.erasePages[0], driver_const.T7_EFAdd_ExtFirmwareImage);
+		test.equal(plan.erasePages[numPages - 1],
+			driver_const.T7_EFAdd_ExtFirmwareImgInfo);
+		test.equal(plan.writeBytes, 64 + driver_const.T7_IMG_HEADER_LENGTH);
+		test.equal(plan.writeChunks, 2 + 4);
+		test.equal(plan.readChunks, numPages * 128 + 2 + 4);
+		test.equal(plan.rwManyCalls, plan.writeChunks + plan.readChunks);
+		test.ok(plan.estimatedDuration > 0);
+
+		var batchedPlan = labjack_t7_upgrade.planImage(bundle, {
+			readTransfer: {size: 8, chunksPerCall: 16},
+			writeTransfer: {size: 8, chunksPerCall: 3}
+		});
+		test.equal(batchedPlan.writeChunks, plan.writeChunks);
+		test.equal(batchedPlan.readChunks, plan.readChunks);
+		test.equal(batchedPlan.rwManyCalls, 1 + 2 + numPages * 8 + 1 + 1);
+		test.ok(batchedPlan.estimatedDuration < plan.estimatedDuration);
+
+		var resumedPlan = labjack_t7_upgrade.planImage(bundle,
+			{resumed: true, verify: false});
+		test.deepEqual(resumedPlan.erasePages, []);
+		test.equal(resumedPlan.writeBytes,
+			32 + driver_const.T7_IMG_HEADER_LENGTH);
+		test.equal(resumedPlan.writeChunks, 1 + 4);
+		test.equal(resumedPlan.readChunks, 1);
+		test.equal(resumedPlan.rwManyCalls, 1 + 4 + 1);
+		test.done();
+	},
+
+
 	testRestartAndUpgrade: function(test)
 	{
 		var testDevice = new MockDevice();
@@ -817,6 +2288,185 @@ module.exports = {
 	},
 
 
+	testRestartAndUpgradeAborted: function(test)
+	{
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		var upgrade = labjack_t7_upgrade.createUpgrade(testDevice, 'test.bin');
+		testBundle.setDevice(testDevice);
+		testBundle.setUpgrade(upgrade);
+
+		upgrade.enterStage('write');
+		test.ok(upgrade.abort());
+
+		labjack_t7_upgrade.restartAndUpgrade(testBundle).then(function () {
+			test.ok(false, 'Rebooted after abort.');
+			test.done();
+		}, function (err) {
+			test.equal(err.flashState, 'partially written');
+			test.deepEqual(testDevice.getLastAddress(), []);
+			test.done();
+		});
+	},
+
+
+	testAbortAfterReboot: function(test)
+	{
+		var testDevice = new MockDevice();
+		var upgrade = labjack_t7_upgrade.createUpgrade(testDevice, 'test.bin');
+
+		upgrade.enterStage('reboot');
+		test.ok(upgrade.beginReboot());
+		test.equal(upgrade.abort(), false);
+		test.equal(upgrade.isAborted(), false);
+		test.done();
+	},
+
+
+	testRecordConnection: function(test)
+	{
+		var testDevice = new MockDevice();
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setDevice(testDevice);
+
+		testDevice.setHandleInfo({
+			deviceType: device_types.LJM_dtT7,
+			connectionType: connection_types.LJM_ctETHERNET,
+			serialNumber: 470010117,
+			ipAddress: '192.168.1.207'
+		});
+
+		labjack_t7_upgrade.recordConnection(testBundle).then(function () {
+			var connectionInfo = testBundle.getConnectionInfo();
+			test.equal(connectionInfo.connectionType,
+				connection_types.LJM_ctETHERNET);
+			test.equal(connectionInfo.identifier, '192.168.1.207');
+			test.deepEqual(testBundle.getReconnectOrder(),
+				[connection_types.LJM_ctETHERNET]);
+
+			testDevice.setHandleInfo({
+				deviceType: device_types.LJM_dtT7,
+				connectionType: connection_types.LJM_ctUSB,
+				serialNumber: 470010117,
+				ipAddress: '0.0.0.0'
+			});
+			return labjack_t7_upgrade.recordConnection(testBundle);
+		})
+		.then(function () {
+			test.equal(testBundle.getConnectionInfo().identifier, '470010117');
+		})
+		.fin(function () { test.done(); });
+	},
+
+
+	testWaitForEnumerationSameConnection: function(test)
+	{
+		var restore = injectFleet([
+			{deviceType: 7, connectionType: connection_types.LJM_ctUSB,
+				serialNumber: 470010117, ipAddress: '0.0.0.0'},
+			{deviceType: 7, connectionType: connection_types.LJM_ctETHERNET,
+				serialNumber: 470010117, ipAddress: '192.168.1.208'}
+		], []);
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setSerialNumber(470010117);
+		testBundle.setConnectionInfo({
+			deviceType: device_types.LJM_dtT7,
+			connectionType: connection_types.LJM_ctETHERNET,
+			serialNumber: 470010117,
+			ipAddress: '192.168.1.207',
+			identifier: '192.168.1.207'
+		});
+
+		labjack_t7_upgrade.waitForEnumeration(testBundle).then(function () {
+			test.deepEqual(testBundle.getDevice().openArgs, [
+				device_types.LJM_dtT7,
+				connection_types.LJM_ctETHERNET,
+				'192.168.1.208'
+			]);
+		})
+		.fin(function () {
+			restore();
+			test.done();
+		});
+	},
+
+
+	testWaitForEnumerationFallback: function(test)
+	{
+		var restore = injectFleet([
+			{deviceType: 7, connectionType: connection_types.LJM_ctUSB,
+				serialNumber: 470010117, ipAddress: '0.0.0.0'}
+		], []);
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setSerialNumber(470010117);
+		testBundle.setConnectionInfo({
+			deviceType: device_types.LJM_dtT7,
+			connectionType: connection_types.LJM_ctETHERNET,
+			serialNumber: 470010117,
+			ipAddress: '192.168.1.207',
+			identifier: '192.168.1.207'
+		});
+		testBundle.setReconnectOrder(['LJM_ctETHERNET', 'LJM_ctWIFI',
+			'LJM_ctUSB']);
+
+		labjack_t7_upgrade.waitForEnumeration(testBundle).then(function () {
+			test.deepEqual(testBundle.getDevice().openArgs, [
+				device_types.LJM_dtT7,
+				connection_types.LJM_ctUSB,
+				'470010117'
+			]);
+		})
+		.fin(function () {
+			restore();
+			test.done();
+		});
+	},
+
+
+	testWaitForEnumerationTimeout: function(test)
+	{
+		var restore = injectFleet([], []);
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setSerialNumber(470010117);
+		testBundle.setEnumerationPolicy({timeout: 20, pollInterval: 5});
+
+		labjack_t7_upgrade.waitForEnumeration(testBundle).then(function () {
+			test.ok(false, 'Found a device that is not connected.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.EnumerationTimeoutError);
+			test.equal(err.serialNumber, 470010117);
+			test.ok(err.waited >= 20);
+			test.ok(err.attempts >= 1);
+			test.equal(err.lastError, undefined);
+		})
+		.fin(function () {
+			restore();
+			test.done();
+		});
+	},
+
+
+	testWaitForEnumerationMaxAttempts: function(test)
+	{
+		var restore = injectFleet(new Error('LJM error'), []);
+		var testBundle = new DeviceFirmwareBundle();
+		testBundle.setSerialNumber(470010117);
+		testBundle.setEnumerationPolicy({timeout: null, maxAttempts: 3});
+
+		labjack_t7_upgrade.waitForEnumeration(testBundle).then(function () {
+			test.ok(false, 'Found a device that is not connected.');
+		}, function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.EnumerationTimeoutError);
+			test.equal(err.attempts, 3);
+			test.equal(err.lastError.message, 'LJM error');
+		})
+		.fin(function () {
+			restore();
+			test.done();
+		});
+	},
+
+
 	testCheckNewFirmwareSuccess: function(test)
 	{
 		var testDevice = new MockDevice();
@@ -841,7 +2491,154 @@ module.exports = {
 
 		testDevice.setNextValue(11);
 
-		labjack_t7_upgrade.checkNewFirmware(testBundle).fail(function () {
+		labjack_t7_upgrade.checkNewFirmware(testBundle).fail(function (err) {
+			test.ok(err instanceof labjack_t7_upgrade.VerifyError);
+			test.equal(err.stage, 'verify');
+			test.done();
+		});
+	},
+
+
+	testUpgradeFleet: function(test)
+	{
+		var openedSerials = [];
+		var restore = injectFleet([
+			{deviceType: 7, connectionType: 1, serialNumber: 1},
+			{deviceType: 7, connectionType: 3, serialNumber: 1},
+			{deviceType: 7, connectionType: 1, serialNumber: 2},
+			{deviceType: 7, connectionType: 1, serialNumber: 3}
+		], openedSerials);
+
+		var restoreUpgrade = injectUpgrade(
+			function (device, firmwareFileLocation, options) {
+				test.equal(firmwareFileLocation, 'test.bin');
+				test.equal(options.checkpoint, undefined);
+				test.equal(options.verify, false);
+
+				if (device.serialNumber === '2') {
+					var err = new Error('Write failed.');
+					err.stage = 'write';
+					return q.reject(err);
+				}
+
+				var bundle = new DeviceFirmwareBundle();
+				bundle.setFirmwareVersion(1.0067);
+				return q(bundle);
+			}
+		);
+
+		labjack_t7_upgrade.upgradeFleet([1, '2', 4], 'test.bin', {
+			connectionType: 'LJM_ctANY',
+			verify: false,
+			checkpoint: 'checkpoint.json'
+		})
+		.then(function (summary) {
+			test.deepEqual(openedSerials, ['1', '2']);
+			test.deepEqual(summary.succeeded, [1]);
+			test.deepEqual(summary.failed.sort(), [2, 4]);
+			test.equal(summary.devices[1].firmwareVersion, 1.0067);
+			test.equal(summary.devices[2].stage, 'write');
+			test.equal(summary.devices[4].stage, 'open');
+			test.equal(summary.devices[3], undefined);
+		})
+		.fin(function () {
+			restore();
+			restoreUpgrade();
+			test.done();
+		});
+	},
+
+
+	testUpgradeFleetSingleSerialNumber: function(test)
+	{
+		var openedSerials = [];
+		var listAllArgs = [];
+		var restore = injectFleet([
+			{deviceType: 7, connectionType: 3, serialNumber: 1},
+			{deviceType: 7, connectionType: 3, serialNumber: 2}
+		], openedSerials);
+		var restoreUpgrade = injectUpgrade(function () {
+			return q(new DeviceFirmwareBundle());
+		});
+
+		var fleetLibrary = labjack_t7_upgrade.__get__('labjack_nodejs');
+		var FleetDriver = fleetLibrary.driver;
+		fleetLibrary.driver = function () {
+			FleetDriver.call(this);
+			var listAll = this.listAll;
+			this.listAll = function (deviceType, connectionType, onError,
+				onSuccess) {
+				listAllArgs.push([deviceType, connectionType]);
+				listAll(deviceType, connectionType, onError, onSuccess);
+			};
+		};
+
+		labjack_t7_upgrade.upgradeFleet(2, 'test.bin', {
+			connectionType: connection_types.LJM_ctETHERNET
+		})
+		.then(function (summary) {
+			test.deepEqual(listAllArgs, [['LJM_dtT7', 'LJM_ctETHERNET']]);
+			test.deepEqual(openedSerials, ['2']);
+			test.deepEqual(summary.succeeded, [2]);
+			test.deepEqual(summary.failed, []);
+		}, function (err) {
+			test.ok(false, 'Fleet upgrade failed: ' + err);
+		})
+		.fin(function () {
+			restore();
+			restoreUpgrade();
+			test.done();
+		});
+	},
+
+
+	testUpgradeFleetConcurrency: function(test)
+	{
+		var openedSerials = [];
+		var restore = injectFleet([
+			{deviceType: 7, connectionType: 1, serialNumber: 1},
+			{deviceType: 7, connectionType: 1, serialNumber: 2},
+			{deviceType: 7, connectionType: 1, serialNumber: 3}
+		], openedSerials);
+		var numRunning = 0;
+		var maxRunning = 0;
+
+		var restoreUpgrade = injectUpgrade(function () {
+			var deferred = q.defer();
+			numRunning++;
+			maxRunning = Math.max(numRunning, maxRunning);
+			setTimeout(function () {
+				numRunning--;
+				deferred.resolve(new DeviceFirmwareBundle());
+			}, 1);
+			return deferred.promise;
+		});
+
+		labjack_t7_upgrade.upgradeFleet('all', 'test.bin', {concurrency: 2})
+		.then(function (summary) {
+			test.deepEqual(openedSerials, ['1', '2', '3']);
+			test.equal(summary.succeeded.length, 3);
+			test.equal(maxRunning, 2);
+		})
+		.fin(function () {
+			restore();
+			restoreUpgrade();
+			test.done();
+		});
+	},
+
+
+	testUpgradeFleetListAllFail: function(test)
+	{
+		var restore = injectFleet(new Error('LJM error'), []);
+
+		labjack_t7_upgrade.upgradeFleet('all', 'test.bin').then(function () {
+			test.ok(false, 'Resolved without a device list.');
+		}, function (err) {
+			test.equal(err.message, 'LJM error');
+		})
+		.fin(function () {
+			restore();
 			test.done();
 		});
 	}
@@ -1 +1 @@
-nodeunit labjack_t7_upgrade_test.js
+nodeunit labjack_t7_upgrade_test.js labjack_t7_header_test.js labjack_t7_errors_test.js labjack_t7_simulator_test.js labjack_t7_flash_test.js labjack_t7_cli_test.js
\ No newline at end of file